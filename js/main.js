@@ -1,24 +1,51 @@
 // 主入口文件
 import { MetaMaskConnector } from './modules/wallet-connector.js';
 import { AbiManager } from './modules/abi-manager.js';
+import { AbiDiff } from './modules/abi-diff.js';
 import { ContractInteractor } from './modules/contract-interactor.js';
 import { HistoryManager } from './modules/history-manager.js';
 import { UIManager } from './modules/ui-manager.js';
+import { ProviderManager } from './modules/provider-manager.js';
+import { ChainRegistry } from './modules/chain-registry.js';
+import { EventDecoder } from './modules/event-decoder.js';
+import { ErrorDecoder } from './modules/error-decoder.js';
+import { LogQuery } from './modules/log-query.js';
+import { ContractWatcher } from './modules/contract-watcher.js';
+import { TransactionTracker } from './modules/transaction-tracker.js';
+import { MulticallReader } from './modules/multicall-reader.js';
+import { BatchManager } from './modules/batch-manager.js';
+import { CalldataDecoder } from './modules/calldata-decoder.js';
+import { SafeBatch } from './modules/safe-batch.js';
+import { OfflineTransaction } from './modules/offline-transaction.js';
+import { MessageSigner } from './modules/message-signer.js';
+import { ContractDeployer } from './modules/contract-deployer.js';
+import { AddressBook } from './modules/address-book.js';
+import { WorkspaceManager } from './modules/workspace-manager.js';
 
 // 应用初始化
 document.addEventListener('DOMContentLoaded', async () => {
     const uiManager = new UIManager();
     
+    // 初始化链注册表
+    const chainRegistry = new ChainRegistry();
+    
     // 初始化钱包连接器
     const metaMask = new MetaMaskConnector({
         onConnected: (address, chainId) => {
             uiManager.updateConnectionStatus(true, address, chainId);
+            uiManager.updateChainInfo(chainId, chainRegistry.getChain(chainId));
+            refreshReadProvider();
+            renderAddressBook();
         },
         onDisconnected: () => {
             uiManager.updateConnectionStatus(false);
+            refreshReadProvider();
+            renderAddressBook();
         },
         onChainChanged: (chainId) => {
-            uiManager.updateChainInfo(chainId);
+            uiManager.updateChainInfo(chainId, chainRegistry.getChain(chainId));
+            refreshReadProvider();
+            renderAddressBook();
         },
         onAccountsChanged: (accounts) => {
             if (accounts.length > 0) {
@@ -26,23 +53,167 @@ document.addEventListener('DOMContentLoaded', async () => {
             } else {
                 uiManager.updateConnectionStatus(false);
             }
+            refreshReadProvider();
         }
     });
 
+    // 初始化Provider管理器，只读调用优先走自定义RPC节点
+    const providerManager = new ProviderManager({
+        getWalletProvider: () => metaMask.getProvider(),
+        getWalletChainId: () => metaMask.getCurrentChainId()
+    });
+
     // 初始化ABI管理器
     const abiManager = new AbiManager();
     await abiManager.loadSavedAbis();
-    uiManager.populateAbiDropdown(abiManager.getSavedAbisList());
+
+    // 初始化ABI对比，用于审核合约升级前后的ABI变化
+    const abiDiff = new AbiDiff();
+
+    // 初始化地址簿，条目关联合约地址、网络和ABI
+    const addressBook = new AddressBook({
+        getChainName: (chainId) => chainRegistry.getChainName(chainId)
+    });
 
     // 初始化合约交互器
+    // 初始化事件解码器，当前ABI匹配不到时使用已保存的ABI
+    const eventDecoder = new EventDecoder({
+        getSavedAbis: () => abiManager.getAllAbis()
+    });
+
+    // 初始化错误解码器，用于解析回滚原因和自定义错误
+    const errorDecoder = new ErrorDecoder({
+        getSavedAbis: () => abiManager.getAllAbis()
+    });
+
     const contractInteractor = new ContractInteractor({
-        getProvider: () => metaMask.getProvider(),
-        getSigner: () => metaMask.getSigner()
+        getProvider: () => providerManager.getReadProvider(),
+        getSigner: () => metaMask.getSigner(),
+        eventDecoder,
+        errorDecoder
+    });
+
+    // 初始化合约监控器，新区块时刷新固定的只读函数并推送订阅的事件
+    const contractWatcher = new ContractWatcher({
+        getProvider: () => providerManager.getReadProvider(),
+        eventDecoder,
+        onEvent: (log) => uiManager.prependLiveEvent(log),
+        onWatchUpdate: (watches) => {
+            uiManager.renderWatches(watches, (id) => contractWatcher.removeWatch(id));
+        },
+        onBlock: (blockNumber) => uiManager.updateLatestBlock(blockNumber)
     });
 
+    const renderSubscriptions = () => {
+        uiManager.renderSubscriptions(contractWatcher.getSubscriptions(), (id) => {
+            contractWatcher.unsubscribeEvent(id);
+            renderSubscriptions();
+        });
+    };
+
     // 初始化历史记录管理器
     const historyManager = new HistoryManager();
-    uiManager.renderTransactionHistory(historyManager.getHistory());
+
+    // 初始化交易跟踪器，已发送的交易在后台等待确认，刷新页面后继续跟踪
+    const txStatusMessages = {
+        mined: '交易已上链',
+        confirmed: '交易已确认',
+        failed: '交易执行失败',
+        replaced: '交易已被同nonce的其他交易替换'
+    };
+    const transactionTracker = new TransactionTracker({
+        getProvider: () => providerManager.getReadProvider(),
+        getSigner: () => metaMask.getSigner(),
+        getChainId: () => providerManager.getReadChainId(),
+        historyManager,
+        decodeLogs: (logs) => contractInteractor.decodeLogs(logs),
+        onUpdate: () => renderHistory(),
+        onStatusChange: (item) => {
+            const message = txStatusMessages[item.status];
+            if (!message) return;
+            const type = item.status === 'failed' || item.status === 'replaced' ? 'warning' : 'success';
+            uiManager.showNotification(`${message}: ${item.function}`, type);
+        }
+    });
+
+    // 加速或取消待确认的交易
+    const replaceTransaction = async (id, action) => {
+        const confirmMessage = action === 'cancel'
+            ? '确认取消该交易？将以相同nonce和更高手续费向自己发送一笔0金额交易'
+            : '确认加速该交易？将以相同nonce和更高手续费重新发送';
+        if (!confirm(confirmMessage)) return;
+
+        try {
+            const record = action === 'cancel'
+                ? await transactionTracker.cancel(id)
+                : await transactionTracker.speedUp(id);
+            uiManager.showSuccess(`替换交易已发送: ${record.transactionHash}`);
+            renderHistory();
+        } catch (error) {
+            uiManager.showError(action === 'cancel' ? '取消交易失败' : '加速交易失败', error.message);
+        }
+    };
+
+    function renderHistory() {
+        // 发送数量按记录所在网络的原生币显示
+        const items = historyManager.getHistory().map(item => ({
+            ...item,
+            nativeSymbol: chainRegistry.getNativeSymbol(item.chainId)
+        }));
+        uiManager.renderTransactionHistory(items, {
+            onSpeedUp: (id) => replaceTransaction(id, 'speedup'),
+            onCancel: (id) => replaceTransaction(id, 'cancel')
+        });
+    }
+    renderHistory();
+
+    // 钱包或RPC设置变化后重新初始化合约实例
+    function refreshReadProvider() {
+        contractInteractor.refreshProvider();
+        contractWatcher.refreshProvider();
+        transactionTracker.refreshProvider();
+        
+        const status = providerManager.getStatus();
+        const chain = chainRegistry.getChain(status.chainId);
+        uiManager.updateReadProviderStatus({ ...status, chainName: chain ? chain.name : null });
+    }
+
+    const renderRpcEndpoints = () => {
+        const endpoints = providerManager.getEndpoints().map(endpoint => {
+            const chain = chainRegistry.getChain(endpoint.chainId);
+            return { ...endpoint, name: chain ? chain.name : null };
+        });
+        uiManager.renderRpcEndpoints(endpoints, providerManager.settings.readChainId, (chainId) => {
+            providerManager.removeEndpoint(chainId);
+            renderRpcEndpoints();
+            refreshReadProvider();
+        });
+    };
+
+    // 渲染网络切换下拉框和网络管理列表
+    const renderChains = () => {
+        const currentChainId = metaMask.getCurrentChainId();
+        uiManager.populateNetworkDropdown(chainRegistry.getChains(), currentChainId, chainRegistry.getChain(currentChainId));
+        uiManager.renderChainList(chainRegistry.getChains(), {
+            onEdit: (chain) => uiManager.fillChainForm(chain),
+            onDelete: (chain) => {
+                if (confirm(`确认删除网络 ${chain.name}？`)) {
+                    chainRegistry.deleteChain(chain.chainId);
+                    renderChains();
+                }
+            }
+        });
+        renderRpcEndpoints();
+    };
+    renderChains();
+    refreshReadProvider();
+
+    // 设置ABI并更新函数和事件下拉框
+    const applyAbi = (parsedAbi) => {
+        contractInteractor.setAbi(parsedAbi);
+        uiManager.populateFunctionDropdown(contractInteractor.getAvailableFunctions());
+        uiManager.populateEventDropdown(contractInteractor.getAvailableEvents());
+    };
 
     // 设置事件监听
     // 连接钱包按钮
@@ -54,6 +225,240 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // 网络切换下拉框，钱包中不存在该网络时自动添加
+    document.getElementById('networkSelect').addEventListener('change', async (e) => {
+        const chainId = e.target.value;
+        if (!chainId) return;
+
+        try {
+            await metaMask.switchChain(chainId, chainRegistry.getAddChainParams(chainId));
+        } catch (error) {
+            uiManager.showError('切换网络失败', error.message);
+            const currentChainId = metaMask.getCurrentChainId();
+            uiManager.updateChainInfo(currentChainId, chainRegistry.getChain(currentChainId));
+        }
+    });
+
+    // 网络管理按钮
+    document.getElementById('manageChainsBtn').addEventListener('click', () => {
+        uiManager.toggleChainSection();
+    });
+
+    // 保存网络按钮
+    document.getElementById('saveChainBtn').addEventListener('click', () => {
+        try {
+            const chain = chainRegistry.saveChain(uiManager.readChainForm());
+            uiManager.fillChainForm(null);
+            renderChains();
+            refreshReadProvider();
+            uiManager.showSuccess(`网络已保存: ${chain.name}`);
+        } catch (error) {
+            uiManager.showError('保存失败', error.message);
+        }
+    });
+
+    // 恢复默认网络按钮
+    document.getElementById('resetChainsBtn').addEventListener('click', () => {
+        if (confirm('确认恢复默认网络列表？自定义的网络将被删除')) {
+            chainRegistry.resetToDefaults();
+            renderChains();
+            refreshReadProvider();
+        }
+    });
+
+    // 保存RPC节点按钮
+    document.getElementById('saveRpcBtn').addEventListener('click', async () => {
+        const url = document.getElementById('rpcUrl').value.trim();
+        const chainId = document.getElementById('rpcChainId').value.trim();
+        if (!url) {
+            uiManager.showError('保存失败', 'RPC地址不能为空');
+            return;
+        }
+
+        try {
+            const savedChainId = await providerManager.setEndpoint(url, chainId);
+            document.getElementById('rpcUrl').value = '';
+            document.getElementById('rpcChainId').value = '';
+            renderRpcEndpoints();
+            refreshReadProvider();
+            uiManager.showSuccess(`RPC节点已保存（链ID ${parseInt(savedChainId, 16)}）`);
+        } catch (error) {
+            uiManager.showError('保存失败', error.message);
+        }
+    });
+
+    // 选择只读网络
+    document.getElementById('readChainSelect').addEventListener('change', (e) => {
+        providerManager.setReadChainId(e.target.value);
+        refreshReadProvider();
+    });
+
+    // 当前ABI对应的已保存名称，用于显示NatSpec注释和编辑ABI条目
+    let currentAbiName = null;
+
+    // 载入已保存的ABI并显示其条目
+    const loadSavedAbi = (name) => {
+        const abiContent = abiManager.getAbiByName(name);
+        document.getElementById('abiInput').value = abiContent;
+        applyAbi(abiContent);
+        currentAbiName = name;
+        renderAbiFragments();
+    };
+
+    // 对比ABI库中选中的两个版本
+    const runAbiDiff = () => {
+        const selection = uiManager.getAbiDiffSelection();
+        if (!selection) {
+            uiManager.showError('对比失败', '请选择要对比的两个ABI版本');
+            return;
+        }
+        try {
+            const oldAbi = abiManager.getAbiVersion(...selection.base);
+            const newAbi = abiManager.getAbiVersion(...selection.target);
+            uiManager.renderAbiDiff(abiDiff.diff(oldAbi, newAbi));
+        } catch (error) {
+            uiManager.showError('对比失败', error.message);
+        }
+    };
+
+    // 刷新ABI下拉框、ABI库列表和对比选项
+    const refreshAbiLibrary = () => {
+        const savedAbisSelect = document.getElementById('savedAbis');
+        const selectedAbiName = savedAbisSelect.value;
+        uiManager.populateAbiDropdown(abiManager.getSavedAbisList());
+        if (abiManager.getAbiByName(selectedAbiName)) {
+            savedAbisSelect.value = selectedAbiName;
+        }
+
+        const query = document.getElementById('abiLibrarySearch').value;
+        const tag = document.getElementById('abiLibraryTagFilter').value;
+        uiManager.renderAbiLibrary(abiManager.getLibrary(query, tag), abiManager.getAllTags(), {
+            onLoad: (name) => {
+                try {
+                    loadSavedAbi(name);
+                    savedAbisSelect.value = name;
+                    uiManager.switchTab('functionSection');
+                } catch (error) {
+                    uiManager.showError('ABI解析失败', error.message);
+                }
+            },
+            onRename: (name) => {
+                const newName = prompt('请输入新的ABI名称', name);
+                if (!newName || newName.trim() === name) return;
+                try {
+                    abiManager.renameAbi(name, newName);
+                    addressBook.renameAbiReference(name, newName.trim());
+                    renderAddressBook();
+                    if (currentAbiName === name) {
+                        currentAbiName = newName.trim();
+                    }
+                    refreshAbiLibrary();
+                    if (currentAbiName === newName.trim()) {
+                        savedAbisSelect.value = currentAbiName;
+                    }
+                    uiManager.showSuccess('ABI已重命名');
+                } catch (error) {
+                    uiManager.showError('重命名失败', error.message);
+                }
+            },
+            onEditTags: (name) => {
+                const entry = abiManager.getLibrary().find(item => item.name === name);
+                const text = prompt('请输入标签（如项目名称），多个标签用逗号分隔', entry ? entry.tags.join(', ') : '');
+                if (text === null) return;
+                abiManager.setTags(name, text.split(/[,，]/));
+                refreshAbiLibrary();
+            },
+            onDelete: (name) => {
+                if (!confirm(`确认删除ABI ${name}？其历史版本也将一并删除`)) return;
+                abiManager.deleteAbi(name);
+                if (currentAbiName === name) {
+                    currentAbiName = null;
+                    renderAbiFragments();
+                }
+                refreshAbiLibrary();
+                renderAddressBook();
+            },
+            onCompare: (name) => {
+                const versions = abiManager.getVersions(name);
+                uiManager.selectAbiDiff([name, versions[versions.length - 1].index], [name]);
+                runAbiDiff();
+            }
+        });
+        uiManager.populateAbiDiffOptions(abiManager.getSavedAbisList().map(name => ({
+            name,
+            versions: abiManager.getVersions(name)
+        })));
+    };
+
+    const renderAbiFragments = () => {
+        uiManager.renderAbiFragments(currentAbiName ? abiManager.getFragments(currentAbiName) : null, (key) => {
+            if (!confirm(`确认从 ${currentAbiName} 中删除 ${key}？`)) return;
+            try {
+                abiManager.removeFragment(currentAbiName, key);
+                loadSavedAbi(currentAbiName);
+                refreshAbiLibrary();
+            } catch (error) {
+                uiManager.showError('删除失败', error.message);
+            }
+        });
+    };
+
+    // 导入编译产物，名称取自产物中的合约名称
+    const importAbiFiles = (files) => {
+        if (files.length === 0) {
+            uiManager.showError('导入失败', '没有找到JSON编译产物文件');
+            return;
+        }
+
+        const { imported, skipped } = abiManager.importArtifacts(files);
+        refreshAbiLibrary();
+        if (imported.length === 0) {
+            uiManager.showError('导入失败', `没有找到可导入的合约${skipped.length > 0 ? `（${skipped[0].file}: ${skipped[0].reason}）` : ''}`);
+            return;
+        }
+
+        uiManager.showSuccess(`已导入${imported.length}个合约${skipped.length > 0 ? `，跳过${skipped.length}个文件` : ''}`);
+        if (skipped.length > 0) {
+            console.log('跳过的文件:', skipped);
+        }
+        // 只导入了一个合约时直接加载
+        if (imported.length === 1) {
+            const select = document.getElementById('savedAbis');
+            select.value = imported[0];
+            select.dispatchEvent(new Event('change'));
+        }
+    };
+
+    const abiDropZone = document.getElementById('abiDropZone');
+    abiDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        abiDropZone.classList.add('drag-over');
+    });
+    abiDropZone.addEventListener('dragleave', () => {
+        abiDropZone.classList.remove('drag-over');
+    });
+    abiDropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        abiDropZone.classList.remove('drag-over');
+        try {
+            importAbiFiles(await uiManager.readDroppedFiles(e.dataTransfer));
+        } catch (error) {
+            uiManager.showError('导入失败', error.message);
+        }
+    });
+
+    ['abiImportFiles', 'abiImportFolder'].forEach(id => {
+        document.getElementById(id).addEventListener('change', async (e) => {
+            try {
+                importAbiFiles(await uiManager.readSelectedFiles(e.target.files));
+            } catch (error) {
+                uiManager.showError('导入失败', error.message);
+            } finally {
+                e.target.value = '';
+            }
+        });
+    });
+
     // 保存ABI按钮
     document.getElementById('saveAbiBtn').addEventListener('click', () => {
         const abiText = document.getElementById('abiInput').value.trim();
@@ -62,11 +467,27 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        // 粘贴的是编译产物时按产物中的合约名称保存
+        let contracts = [];
+        try {
+            contracts = abiManager.parseArtifacts(abiText);
+        } catch (error) {
+            // 无法识别时按原方式保存，由saveAbi报告格式错误
+        }
+        if (contracts.length > 0 && contracts.every(contract => contract.format !== 'abi' && contract.contractName)) {
+            importAbiFiles([{ name: '', content: abiText }]);
+            return;
+        }
+
         try {
             const abiName = prompt('请输入ABI名称（如：UC_NFT）');
             if (abiName) {
+                // 覆盖同名ABI前确认，旧内容会保存为历史版本
+                if (abiManager.getAbiByName(abiName) && !confirm(`ABI ${abiName} 已存在，覆盖后旧内容保存为历史版本。确认覆盖？`)) {
+                    return;
+                }
                 abiManager.saveAbi(abiName, abiText);
-                uiManager.populateAbiDropdown(abiManager.getSavedAbisList());
+                refreshAbiLibrary();
                 uiManager.showSuccess('ABI保存成功');
             }
         } catch (error) {
@@ -78,34 +499,63 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('savedAbis').addEventListener('change', (e) => {
         const selectedAbiName = e.target.value;
         if (selectedAbiName) {
-            const abiContent = abiManager.getAbiByName(selectedAbiName);
-            document.getElementById('abiInput').value = abiContent;
-            
             // 更新合约函数下拉框
             try {
-                const parsedAbi = JSON.parse(abiContent);
-                contractInteractor.setAbi(parsedAbi);
-                uiManager.populateFunctionDropdown(contractInteractor.getAvailableFunctions());
+                loadSavedAbi(selectedAbiName);
             } catch (error) {
                 uiManager.showError('ABI解析失败', error.message);
             }
         }
     });
 
-    // 监听ABI文本框输入变化
+    // 监听ABI文本框输入变化，也接受可读格式ABI和单个合约的编译产物
     document.getElementById('abiInput').addEventListener('change', (e) => {
         const abiText = e.target.value.trim();
+        currentAbiName = null;
+        renderAbiFragments();
         if (abiText) {
             try {
-                const parsedAbi = JSON.parse(abiText);
-                contractInteractor.setAbi(parsedAbi);
-                uiManager.populateFunctionDropdown(contractInteractor.getAvailableFunctions());
+                applyAbi(abiManager.parseArtifact(abiText).abi);
             } catch (error) {
                 uiManager.showError('ABI解析失败', error.message);
             }
         }
     });
 
+    // 在JSON和可读格式之间转换ABI文本框内容，ABI本身不变
+    [['abiToHumanBtn', 'toHumanReadable'], ['abiToJsonBtn', 'toJsonAbi']].forEach(([id, method]) => {
+        document.getElementById(id).addEventListener('click', () => {
+            const abiInput = document.getElementById('abiInput');
+            if (!abiInput.value.trim()) return;
+            try {
+                abiInput.value = abiManager[method](abiInput.value.trim());
+            } catch (error) {
+                uiManager.showError('转换失败', error.message);
+            }
+        });
+    });
+
+    // 向当前已保存的ABI添加条目
+    document.getElementById('addAbiFragmentBtn').addEventListener('click', () => {
+        const input = document.getElementById('abiFragmentInput');
+        if (!currentAbiName || !input.value.trim()) return;
+        try {
+            const count = abiManager.addFragments(currentAbiName, input.value.trim());
+            loadSavedAbi(currentAbiName);
+            refreshAbiLibrary();
+            input.value = '';
+            uiManager.showSuccess(`已添加${count}个条目`);
+        } catch (error) {
+            uiManager.showError('添加失败', error.message);
+        }
+    });
+
+    // ABI库搜索和标签过滤
+    document.getElementById('abiLibrarySearch').addEventListener('input', refreshAbiLibrary);
+    document.getElementById('abiLibraryTagFilter').addEventListener('change', refreshAbiLibrary);
+    document.getElementById('abiDiffBtn').addEventListener('click', runAbiDiff);
+    refreshAbiLibrary();
+
     // 监听合约地址输入框
     document.getElementById('contractAddress').addEventListener('change', (e) => {
         const address = e.target.value.trim();
@@ -114,21 +564,112 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // 渲染地址簿，钱包网络与条目所在网络不同时显示提醒
+    function renderAddressBook() {
+        const walletChainId = metaMask.getCurrentChainId();
+        const query = document.getElementById('addressBookSearch').value;
+        const entries = addressBook.searchEntries(query).map(entry => ({
+            ...entry,
+            chainName: entry.chainId ? chainRegistry.getChainName(entry.chainId) : null,
+            abiMissing: !!entry.abiName && !abiManager.getAbiByName(entry.abiName),
+            walletChainName: entry.chainId && walletChainId && parseInt(entry.chainId, 16) !== parseInt(walletChainId, 16)
+                ? chainRegistry.getChainName(walletChainId)
+                : null
+        }));
+        uiManager.renderAddressBook(entries, {
+            onUse: useAddressEntry,
+            onDelete: (entry) => {
+                if (!confirm(`确认从地址簿删除 ${entry.name}？`)) return;
+                addressBook.deleteEntry(entry.id);
+                renderAddressBook();
+            }
+        });
+    }
+
+    // 使用地址簿条目：填入合约地址和ABI，一步完成合约设置
+    const useAddressEntry = (entry) => {
+        try {
+            if (entry.abiName) {
+                if (!abiManager.getAbiByName(entry.abiName)) {
+                    throw new Error(`引用的ABI ${entry.abiName} 已不存在，请重新保存该条目`);
+                }
+                loadSavedAbi(entry.abiName);
+                document.getElementById('savedAbis').value = entry.abiName;
+            } else if (entry.abi) {
+                document.getElementById('abiInput').value = JSON.stringify(entry.abi, null, 2);
+                applyAbi(entry.abi);
+                currentAbiName = null;
+                renderAbiFragments();
+            }
+            document.getElementById('contractAddress').value = entry.address;
+            contractInteractor.setContractAddress(entry.address);
+            uiManager.switchTab('functionSection');
+
+            if (entry.walletChainName) {
+                uiManager.showNotification(`${entry.name} 位于${entry.chainName}，钱包当前网络为${entry.walletChainName}`, 'warning', 5000);
+            } else {
+                uiManager.showSuccess(`已载入 ${entry.name}`);
+            }
+        } catch (error) {
+            uiManager.showError('载入失败', error.message);
+        }
+    };
+
+    // 将当前合约地址和ABI保存到地址簿，同一网络上的相同地址更新原条目
+    document.getElementById('saveAddressBtn').addEventListener('click', () => {
+        const address = document.getElementById('contractAddress').value.trim();
+        if (!ethers.utils.isAddress(address)) {
+            uiManager.showError('保存失败', '请先输入有效的合约地址');
+            return;
+        }
+
+        const nameInput = document.getElementById('addressBookName');
+        const notesInput = document.getElementById('addressBookNotes');
+        const chainId = getCurrentChainId();
+        const fields = {
+            name: nameInput.value.trim() || currentAbiName || address,
+            abiName: currentAbiName,
+            abi: currentAbiName ? null : contractInteractor.abi,
+            notes: notesInput.value.trim()
+        };
+
+        try {
+            const existing = addressBook.findEntry(chainId, address);
+            if (existing) {
+                if (!confirm(`地址簿中已有该合约（${existing.name}），确认更新？`)) return;
+                addressBook.updateEntry(existing.id, fields);
+            } else {
+                addressBook.addEntry({ ...fields, chainId, address });
+            }
+            nameInput.value = '';
+            notesInput.value = '';
+            renderAddressBook();
+            uiManager.showSuccess('已保存到地址簿');
+        } catch (error) {
+            uiManager.showError('保存失败', error.message);
+        }
+    });
+
+    document.getElementById('addressBookSearch').addEventListener('input', renderAddressBook);
+    renderAddressBook();
+
     // 监听合约函数选择
     document.getElementById('contractFunctions').addEventListener('change', (e) => {
         const selectedFunction = e.target.value;
         if (selectedFunction) {
             const functionDetails = contractInteractor.getFunctionDetails(selectedFunction);
             uiManager.renderFunctionParams(functionDetails);
+            uiManager.renderFunctionDoc(currentAbiName ? abiManager.getFunctionDoc(currentAbiName, functionDetails.signature) : null);
         } else {
             document.getElementById('functionParams').innerHTML = '';
+            uiManager.validateFunctionParams();
         }
     });
 
     // 调用函数按钮
     document.getElementById('callFunction').addEventListener('click', async () => {
-        const functionName = document.getElementById('contractFunctions').value;
-        if (!functionName) {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature) {
             uiManager.showError('调用失败', '请选择合约函数');
             return;
         }
@@ -138,29 +679,1087 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        // 已发出的调用信息，失败时连同回滚数据一起记录到历史
+        let callRecord = null;
+
         try {
+            const functionDetails = contractInteractor.getFunctionDetails(functionSignature);
             const params = uiManager.collectFunctionParams();
-            const result = await contractInteractor.callFunction(functionName, params);
+            const value = uiManager.getEthValue();
+            const isReadOnly = contractInteractor.isReadOnlyFunction(functionDetails);
+            const txOptions = isReadOnly ? null : uiManager.getTxOptions();
             
-            // 更新结果显示
-            uiManager.showFunctionResult(result);
+            // 写入函数默认先模拟执行，提前发现会回滚的交易
+            const simulateFirst = document.getElementById('simulateBeforeSend').checked;
+            if (!isReadOnly && simulateFirst) {
+                const simulation = await contractInteractor.simulateFunction(functionSignature, params, { value });
+                if (!simulation.success) {
+                    uiManager.showSimulationResult(simulation);
+                    if (!confirm(`模拟执行失败: ${simulation.revert.reason}\n\n仍要发送交易吗？`)) {
+                        return;
+                    }
+                }
+            }
             
-            // 添加到历史记录
-            historyManager.addToHistory({
+            // payable函数发送ETH前确认数量，并检查账户余额
+            if (value && value !== '0') {
+                const valueText = `${ethers.utils.formatEther(value)} ${uiManager.nativeSymbol}（${value} wei）`;
+                let confirmMessage = `确认调用 ${functionDetails.signature} 并发送 ${valueText}？`;
+                
+                const balance = await metaMask.getBalance();
+                if (balance && balance.lt(value)) {
+                    const balanceText = `${ethers.utils.formatEther(balance)} ${uiManager.nativeSymbol}`;
+                    uiManager.showNotification(`发送数量超过当前账户余额 ${balanceText}`, 'warning', 5000);
+                    confirmMessage += `\n\n警告：超过当前账户余额 ${balanceText}`;
+                }
+                
+                if (!confirm(confirmMessage)) {
+                    return;
+                }
+            }
+            
+            callRecord = {
                 timestamp: Date.now(),
+                chainId: providerManager.getReadChainId(),
                 address: contractInteractor.getContractAddress(),
-                function: functionName,
+                function: functionDetails.signature,
+                selector: functionDetails.selector,
                 params: params,
-                result: result
-            });
+                value: value,
+                txOptions: txOptions
+            };
+
+            if (isReadOnly) {
+                const result = await contractInteractor.callFunction(functionSignature, params, { value });
+                
+                // 更新结果显示
+                uiManager.showFunctionResult(result);
+                
+                // 添加到历史记录
+                historyManager.addToHistory({ ...callRecord, result: result });
+            } else {
+                // 写入交易发送后立即记录为待确认，由交易跟踪器在后台更新状态
+                const tx = await contractInteractor.sendFunction(functionSignature, params, { value, ...txOptions });
+                historyManager.addToHistory({ ...callRecord, ...transactionTracker.describeTransaction(tx) });
+                transactionTracker.track();
+                
+                uiManager.showFunctionResult({ transactionHash: tx.hash, status: '待确认', nonce: tx.nonce });
+                uiManager.showSuccess('交易已发送，等待确认');
+            }
             
             // 更新历史记录显示
-            uiManager.renderTransactionHistory(historyManager.getHistory());
+            renderHistory();
+        } catch (error) {
+            const revert = contractInteractor.describeRevert(error);
+            if (!revert) {
+                uiManager.showError('调用失败', error.message);
+                return;
+            }
+            
+            uiManager.showRevertResult(revert);
+            uiManager.showError('调用失败', revert.reason);
+            
+            // 合约回滚时保留原始回滚数据
+            if (callRecord) {
+                historyManager.addToHistory({ ...callRecord, revert: revert });
+                renderHistory();
+            }
+        }
+    });
+
+    // 监听事件选择
+    document.getElementById('contractEvents').addEventListener('change', (e) => {
+        const eventSignature = e.target.value;
+        uiManager.renderEventFilterParams(eventSignature ? contractInteractor.getEventDetails(eventSignature) : null);
+    });
+
+    // 事件日志查询状态
+    let logQuery = null;
+    let queriedEvent = null;
+    let eventLogs = [];
+
+    // 加载下一页事件日志
+    const loadEventPage = async () => {
+        const logs = await logQuery.nextPage();
+        eventLogs = eventLogs.concat(contractInteractor.decodeLogs(logs));
+        uiManager.renderEventResults(eventLogs, queriedEvent);
+        uiManager.updateEventQueryStatus(
+            `已加载 ${eventLogs.length} 条，已查询区块 ${logQuery.fromBlock} - ${logQuery.getScannedBlock()}（共至 ${logQuery.toBlock}）`,
+            logQuery.hasMore()
+        );
+    };
+
+    // 查询事件按钮
+    document.getElementById('queryEventsBtn').addEventListener('click', async () => {
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('查询失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            const filter = uiManager.collectEventFilter();
+            const topics = contractInteractor.getEventFilterTopics(filter.eventSignature, filter.indexedValues);
+            const provider = contractInteractor.getReadProvider();
+
+            // 未指定范围时默认查询最近5000个区块
+            const latestBlock = await provider.getBlockNumber();
+            const toBlock = filter.toBlock === null || filter.toBlock === 'latest' ? latestBlock : filter.toBlock;
+            const fromBlock = filter.fromBlock === null
+                ? Math.max(0, toBlock - 4999)
+                : (filter.fromBlock === 'latest' ? latestBlock : filter.fromBlock);
+            if (fromBlock > toBlock) {
+                throw new Error('起始区块不能大于结束区块');
+            }
+
+            logQuery = new LogQuery({
+                provider,
+                address: contractInteractor.getContractAddress(),
+                topics,
+                fromBlock,
+                toBlock
+            });
+            queriedEvent = filter.eventSignature ? contractInteractor.getEventDetails(filter.eventSignature) : null;
+            eventLogs = [];
+
+            uiManager.updateEventQueryStatus('查询中...', false);
+            await loadEventPage();
         } catch (error) {
-            uiManager.showError('调用失败', error.message);
+            uiManager.updateEventQueryStatus('', false);
+            uiManager.showError('查询失败', error.message);
         }
     });
 
+    // 加载更多事件按钮
+    document.getElementById('loadMoreEventsBtn').addEventListener('click', async () => {
+        if (!logQuery || !logQuery.hasMore()) return;
+
+        try {
+            uiManager.updateEventQueryStatus('查询中...', false);
+            await loadEventPage();
+        } catch (error) {
+            uiManager.updateEventQueryStatus(`已加载 ${eventLogs.length} 条`, logQuery.hasMore());
+            uiManager.showError('查询失败', error.message);
+        }
+    });
+
+    // 导出事件按钮
+    document.getElementById('exportEventsCsvBtn').addEventListener('click', () => {
+        try {
+            uiManager.exportEventResults('csv');
+        } catch (error) {
+            uiManager.showError('导出失败', error.message);
+        }
+    });
+
+    document.getElementById('exportEventsJsonBtn').addEventListener('click', () => {
+        try {
+            uiManager.exportEventResults('json');
+        } catch (error) {
+            uiManager.showError('导出失败', error.message);
+        }
+    });
+
+    // 估算Gas和手续费，填充高级交易选项
+    const estimateTransaction = async () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature || !contractInteractor.isContractReady()) return;
+
+        try {
+            const params = uiManager.collectFunctionParams();
+            const value = uiManager.getEthValue();
+            uiManager.setTxEstimateStatus('正在估算...');
+            const estimate = await contractInteractor.estimateTransaction(functionSignature, params, { value });
+            uiManager.fillTxOptions(estimate);
+        } catch (error) {
+            const revert = contractInteractor.describeRevert(error);
+            uiManager.setTxEstimateStatus(`估算失败: ${revert ? revert.reason : error.message}`, true);
+        }
+    };
+
+    // 高级交易选项随参数表单动态生成，通过事件委托处理
+    const bindTxOptions = (container, estimate) => {
+        container.addEventListener('click', (e) => {
+            if (e.target.classList.contains('estimate-tx-btn')) {
+                estimate();
+            }
+        });
+        // toggle事件不冒泡，在捕获阶段监听；首次展开时自动估算
+        container.addEventListener('toggle', (e) => {
+            if (e.target.classList.contains('tx-options') && e.target.open &&
+                !container.querySelector('[data-tx-option="gasLimit"]').value) {
+                estimate();
+            }
+        }, true);
+    };
+    bindTxOptions(document.getElementById('functionParams'), estimateTransaction);
+
+    // 模拟执行按钮
+    document.getElementById('simulateFunction').addEventListener('click', async () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature) {
+            uiManager.showError('模拟失败', '请选择合约函数');
+            return;
+        }
+
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('模拟失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            const params = uiManager.collectFunctionParams();
+            const value = uiManager.getEthValue();
+            const simulation = await contractInteractor.simulateFunction(functionSignature, params, { value });
+            uiManager.showSimulationResult(simulation);
+        } catch (error) {
+            uiManager.showError('模拟失败', error.message);
+        }
+    });
+
+    // 固定监控按钮
+    document.getElementById('pinFunctionBtn').addEventListener('click', async () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature) {
+            uiManager.showError('固定失败', '请选择合约函数');
+            return;
+        }
+
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('固定失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            await contractWatcher.addWatch({
+                address: contractInteractor.getContractAddress(),
+                abi: contractInteractor.abi,
+                signature: functionSignature,
+                params: uiManager.collectFunctionParams()
+            });
+            uiManager.switchTab('watchSection');
+            uiManager.showSuccess('已固定到监控面板');
+        } catch (error) {
+            uiManager.showError('固定失败', error.message);
+        }
+    });
+
+    // 批量读取：无参数的只读函数加上手动加入的带参数函数
+    const multicallReader = new MulticallReader();
+    let readAllPins = [];
+
+    const readAll = async () => {
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('读取失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        const address = contractInteractor.getContractAddress();
+        const calls = contractInteractor.getAvailableFunctions()
+            .filter(func => (func.type === 'view' || func.type === 'pure') && func.inputs.length === 0)
+            .map(func => ({ signature: func.signature, params: [], pinned: false }));
+        readAllPins
+            .filter(pin => pin.address.toLowerCase() === address.toLowerCase())
+            .forEach(pin => calls.push({ signature: pin.signature, params: pin.params, pinned: true }));
+
+        const button = document.getElementById('readAllBtn');
+        button.disabled = true;
+        uiManager.updateReadAllStatus(`正在读取${calls.length}个函数...`);
+        try {
+            const { method, results } = await multicallReader.readAll(contractInteractor, calls);
+            const methodText = method === 'multicall3' ? 'Multicall3合并调用' : '并行eth_call';
+            const failedCount = results.filter(result => !result.success).length;
+            const time = new Date().toLocaleTimeString();
+            uiManager.updateReadAllStatus(
+                results.length === 0
+                    ? '没有可读取的函数'
+                    : `${time} 通过${methodText}读取${results.length}个函数${failedCount > 0 ? `，${failedCount}个失败` : ''}`
+            );
+            uiManager.renderReadAllResults(results, (result) => {
+                readAllPins = readAllPins.filter(pin =>
+                    !(pin.address.toLowerCase() === address.toLowerCase() &&
+                      pin.signature === result.signature &&
+                      JSON.stringify(pin.params) === JSON.stringify(result.params))
+                );
+                readAll();
+            });
+        } catch (error) {
+            uiManager.updateReadAllStatus(`读取失败: ${error.message}`);
+            uiManager.showError('读取失败', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    document.getElementById('readAllBtn').addEventListener('click', readAll);
+
+    // 加入批量读取按钮
+    document.getElementById('pinReadAllBtn').addEventListener('click', async () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature) {
+            uiManager.showError('加入失败', '请选择合约函数');
+            return;
+        }
+
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('加入失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            const functionDetails = contractInteractor.getFunctionDetails(functionSignature);
+            if (!contractInteractor.isReadOnlyFunction(functionDetails)) {
+                throw new Error('只能批量读取view或pure函数');
+            }
+
+            const pin = {
+                address: contractInteractor.getContractAddress(),
+                signature: functionDetails.signature,
+                params: uiManager.collectFunctionParams()
+            };
+            const exists = readAllPins.some(item =>
+                item.address.toLowerCase() === pin.address.toLowerCase() &&
+                item.signature === pin.signature &&
+                JSON.stringify(item.params) === JSON.stringify(pin.params)
+            );
+            if (!exists) {
+                readAllPins.push(pin);
+            }
+
+            uiManager.switchTab('readAllSection');
+            await readAll();
+        } catch (error) {
+            uiManager.showError('加入失败', error.message);
+        }
+    });
+
+    // 批量交易：队列中的步骤可跨合约，按顺序执行，遇到失败即停止
+    let batchStates = {};
+    // 当前队列对应的批次名称，加载或保存批次时设置，记录到历史中
+    let currentBatchName = '';
+    const batchManager = new BatchManager({
+        getProvider: () => providerManager.getReadProvider(),
+        getSigner: () => metaMask.getSigner(),
+        getChainId: () => providerManager.getReadChainId(),
+        eventDecoder,
+        errorDecoder,
+        historyManager,
+        onQueueChange: () => {
+            batchStates = {};
+            renderBatchQueue();
+        },
+        onStepUpdate: (step, state) => {
+            batchStates[step.id] = state;
+            renderBatchQueue();
+            if (state.status !== 'running') {
+                renderHistory();
+            }
+        }
+    });
+
+    const renderBatchQueue = () => {
+        uiManager.renderBatchQueue(batchManager.getQueue(), batchStates, {
+            onMove: (id, offset) => {
+                try {
+                    batchManager.moveStep(id, offset);
+                } catch (error) {
+                    uiManager.showError('移动失败', error.message);
+                }
+            },
+            onRemove: (id) => {
+                try {
+                    batchManager.removeStep(id);
+                } catch (error) {
+                    uiManager.showError('删除失败', error.message);
+                }
+            }
+        });
+    };
+    uiManager.populateBatchDropdown(batchManager.getSavedBatchNames());
+
+    // 加入批量交易按钮
+    document.getElementById('addToBatchBtn').addEventListener('click', () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature) {
+            uiManager.showError('加入失败', '请选择合约函数');
+            return;
+        }
+
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('加入失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            const functionDetails = contractInteractor.getFunctionDetails(functionSignature);
+            batchManager.addStep({
+                address: contractInteractor.getContractAddress(),
+                abi: contractInteractor.abi,
+                signature: functionDetails.signature,
+                selector: functionDetails.selector,
+                params: uiManager.collectFunctionParams(),
+                value: uiManager.getEthValue()
+            });
+            uiManager.showSuccess(`已加入批量交易（共${batchManager.getQueue().length}步）`);
+        } catch (error) {
+            uiManager.showError('加入失败', error.message);
+        }
+    });
+
+    // 依次执行批量交易
+    document.getElementById('runBatchBtn').addEventListener('click', async () => {
+        const queue = batchManager.getQueue();
+        if (queue.length === 0) {
+            uiManager.showError('执行失败', '队列为空');
+            return;
+        }
+
+        const totalValue = queue.reduce((sum, step) => sum.add(step.value || 0), ethers.constants.Zero);
+        let confirmMessage = `确认依次执行${queue.length}个步骤？每步确认上链后才会执行下一步，遇到失败立即停止。`;
+        if (!totalValue.isZero()) {
+            confirmMessage += `\n\n共发送 ${ethers.utils.formatEther(totalValue)} ${uiManager.nativeSymbol}`;
+        }
+        if (!confirm(confirmMessage)) return;
+
+        const runButton = document.getElementById('runBatchBtn');
+        runButton.disabled = true;
+        batchStates = {};
+        try {
+            const outcome = await batchManager.run(currentBatchName);
+            if (outcome.failedStep) {
+                uiManager.showError('批量交易已停止', `第${outcome.failedStep}步失败: ${outcome.error}`);
+            } else {
+                uiManager.showSuccess(`批量交易完成，共${outcome.completed}步`);
+            }
+        } catch (error) {
+            uiManager.showError('执行失败', error.message);
+        } finally {
+            runButton.disabled = false;
+        }
+    });
+
+    document.getElementById('clearBatchBtn').addEventListener('click', () => {
+        try {
+            batchManager.clearQueue();
+            currentBatchName = '';
+        } catch (error) {
+            uiManager.showError('清空失败', error.message);
+        }
+    });
+
+    // 保存、加载和删除命名批次
+    document.getElementById('saveBatchBtn').addEventListener('click', () => {
+        const nameInput = document.getElementById('batchNameInput');
+        try {
+            batchManager.saveBatch(nameInput.value);
+            currentBatchName = nameInput.value.trim();
+            uiManager.populateBatchDropdown(batchManager.getSavedBatchNames());
+            document.getElementById('savedBatches').value = nameInput.value.trim();
+            nameInput.value = '';
+            uiManager.showSuccess('批次已保存');
+        } catch (error) {
+            uiManager.showError('保存失败', error.message);
+        }
+    });
+
+    document.getElementById('loadBatchBtn').addEventListener('click', () => {
+        const batchName = document.getElementById('savedBatches').value;
+        if (!batchName) {
+            uiManager.showError('加载失败', '请选择批次');
+            return;
+        }
+
+        try {
+            batchManager.loadBatch(batchName);
+            currentBatchName = batchName;
+        } catch (error) {
+            uiManager.showError('加载失败', error.message);
+        }
+    });
+
+    document.getElementById('deleteBatchBtn').addEventListener('click', () => {
+        const batchName = document.getElementById('savedBatches').value;
+        if (!batchName || !confirm(`确认删除批次 ${batchName}？`)) return;
+
+        batchManager.deleteBatch(batchName);
+        uiManager.populateBatchDropdown(batchManager.getSavedBatchNames());
+    });
+
+    // Safe多签：导出Transaction Builder文件和MultiSend数据，导入文件后按ABI审核
+    const calldataDecoder = new CalldataDecoder({
+        getSavedAbis: () => abiManager.getAllAbis()
+    });
+    const safeBatch = new SafeBatch({ calldataDecoder });
+    let safeReview = null;
+
+    const getCurrentChainId = () => providerManager.getStatus().chainId || metaMask.getCurrentChainId();
+
+    // 当前函数表单中的调用
+    const getCurrentCall = () => {
+        const functionSignature = document.getElementById('contractFunctions').value;
+        if (!functionSignature || !contractInteractor.isContractReady()) {
+            throw new Error('请先设置合约并选择函数');
+        }
+        const functionDetails = contractInteractor.getFunctionDetails(functionSignature);
+        return {
+            address: contractInteractor.getContractAddress(),
+            abi: contractInteractor.abi,
+            signature: functionDetails.signature,
+            params: uiManager.collectFunctionParams(),
+            value: uiManager.getEthValue()
+        };
+    };
+
+    const exportSafeBatch = (calls, name) => {
+        const chainId = getCurrentChainId();
+        if (!chainId) {
+            throw new Error('无法确定当前网络，请连接钱包或选择只读网络');
+        }
+
+        const safeAddress = document.getElementById('safeAddressInput').value.trim();
+        if (safeAddress && !ethers.utils.isAddress(safeAddress)) {
+            throw new Error('Safe地址无效');
+        }
+
+        const batch = safeBatch.exportBatch(calls, { chainId, name, safeAddress });
+        const filename = `safe-batch-${(name || 'transactions').replace(/[^\w-]+/g, '_')}-${Date.now()}.json`;
+        uiManager.downloadFile(filename, JSON.stringify(batch, null, 2), 'application/json');
+    };
+
+    document.getElementById('exportSafeQueueBtn').addEventListener('click', () => {
+        try {
+            exportSafeBatch(batchManager.getQueue(), currentBatchName);
+        } catch (error) {
+            uiManager.showError('导出失败', error.message);
+        }
+    });
+
+    document.getElementById('exportSafeCurrentBtn').addEventListener('click', () => {
+        try {
+            const call = getCurrentCall();
+            exportSafeBatch([call], call.signature.split('(')[0]);
+        } catch (error) {
+            uiManager.showError('导出失败', error.message);
+        }
+    });
+
+    // 队列为空时对当前调用生成MultiSend数据
+    document.getElementById('multiSendBtn').addEventListener('click', () => {
+        try {
+            const queue = batchManager.getQueue();
+            const calls = queue.length > 0 ? queue : [getCurrentCall()];
+            const transactions = calls.map(call => safeBatch.encodeCall(call));
+            const multiSend = safeBatch.encodeMultiSend(transactions);
+            uiManager.showSafeOutput([
+                `MultiSend（${transactions.length}笔交易，Safe需以DELEGATECALL方式调用）`,
+                `to: ${multiSend.to}`,
+                `value: ${multiSend.value}`,
+                `operation: ${multiSend.operation}（DELEGATECALL）`,
+                `data: ${multiSend.data}`
+            ].join('\n'));
+        } catch (error) {
+            uiManager.showError('生成失败', error.message);
+        }
+    });
+
+    // 调用数据：解码任意calldata，或编码当前函数表单（不发送交易）
+    document.getElementById('decodeCalldataBtn').addEventListener('click', () => {
+        let data = document.getElementById('calldataInput').value.replace(/\s+/g, '');
+        if (data && !data.startsWith('0x')) {
+            data = `0x${data}`;
+        }
+        if (!ethers.utils.isHexString(data) || ethers.utils.hexDataLength(data) < 4) {
+            uiManager.showError('解码失败', '请输入有效的十六进制调用数据（至少4字节选择器）');
+            return;
+        }
+
+        const result = calldataDecoder.decode(data, contractInteractor.abi);
+        uiManager.renderCalldataResult(result);
+        if (!result.decoded) {
+            uiManager.showNotification(`未找到选择器 ${result.selector} 对应的函数`, 'warning');
+        }
+    });
+
+    document.getElementById('encodeCalldataBtn').addEventListener('click', () => {
+        try {
+            const call = getCurrentCall();
+            const input = document.getElementById('calldataInput');
+            input.value = contractInteractor.encodeFunctionCall(call.signature, call.params);
+            input.select();
+            document.execCommand('copy');
+            uiManager.renderCalldataResult(calldataDecoder.decode(input.value, contractInteractor.abi));
+            uiManager.showSuccess('调用数据已复制');
+        } catch (error) {
+            uiManager.showError('编码失败', error.message);
+        }
+    });
+
+    // 离线签名：构建未签名交易供冷钱包签名，解码审核后广播已签名的原始交易
+    const offlineTransaction = new OfflineTransaction({
+        getProvider: () => providerManager.getReadProvider()
+    });
+    let unsignedTransaction = null;
+    let signedTransaction = null;
+
+    document.getElementById('buildUnsignedTxBtn').addEventListener('click', async () => {
+        try {
+            const call = getCurrentCall();
+            if (contractInteractor.isReadOnlyFunction(contractInteractor.getFunctionDetails(call.signature))) {
+                throw new Error('只读函数无需发送交易');
+            }
+            const from = document.getElementById('offlineFromInput').value.trim() || metaMask.getCurrentAddress();
+            if (!from) {
+                throw new Error('请输入签名账户地址或连接钱包');
+            }
+
+            const tx = await offlineTransaction.buildTransaction({
+                from,
+                to: call.address,
+                data: contractInteractor.encodeFunctionCall(call.signature, call.params),
+                value: call.value || '0',
+                ...uiManager.getTxOptions()
+            });
+            unsignedTransaction = offlineTransaction.toJSON(tx, from);
+            uiManager.showUnsignedTransaction(unsignedTransaction);
+            uiManager.showSuccess('未签名交易已生成');
+        } catch (error) {
+            // 预估Gas时合约回滚，显示解码后的原因
+            const revert = contractInteractor.describeRevert(error);
+            uiManager.showError('构建失败', revert ? revert.reason : error.message);
+        }
+    });
+
+    document.getElementById('exportUnsignedJsonBtn').addEventListener('click', () => {
+        if (!unsignedTransaction) return;
+        const filename = `unsigned-tx-${unsignedTransaction.nonce}-${Date.now()}.json`;
+        uiManager.downloadFile(filename, JSON.stringify(unsignedTransaction, null, 2), 'application/json');
+    });
+
+    document.getElementById('copyUnsignedRlpBtn').addEventListener('click', async () => {
+        if (!unsignedTransaction) return;
+        try {
+            await navigator.clipboard.writeText(unsignedTransaction.unsignedSerialized);
+            uiManager.showSuccess('RLP编码已复制');
+        } catch (error) {
+            uiManager.showError('复制失败', error.message);
+        }
+    });
+
+    // 修改原始交易后需要重新解码审核
+    document.getElementById('signedTxInput').addEventListener('input', () => {
+        signedTransaction = null;
+        uiManager.renderSignedTransaction(null);
+    });
+
+    document.getElementById('decodeSignedTxBtn').addEventListener('click', () => {
+        let raw = document.getElementById('signedTxInput').value.replace(/\s+/g, '');
+        if (raw && !raw.startsWith('0x')) {
+            raw = `0x${raw}`;
+        }
+
+        try {
+            const tx = offlineTransaction.parseSignedTransaction(raw);
+            const decoded = tx.data !== '0x' ? calldataDecoder.decode(tx.data, contractInteractor.abi) : null;
+            const currentChainId = getCurrentChainId();
+            const warning = tx.chainId !== '0x0' && currentChainId && tx.chainId !== currentChainId
+                ? `注意：该交易的网络(${tx.chainId})与当前网络(${currentChainId})不同`
+                : null;
+            signedTransaction = { raw, tx, decoded };
+            uiManager.renderSignedTransaction(tx, decoded, warning);
+        } catch (error) {
+            signedTransaction = null;
+            uiManager.renderSignedTransaction(null);
+            uiManager.showError('解码失败', error.message);
+        }
+    });
+
+    document.getElementById('broadcastSignedTxBtn').addEventListener('click', async () => {
+        if (!signedTransaction) return;
+        const { raw, tx, decoded } = signedTransaction;
+        if (!confirm(`确认广播该交易？\n\n${tx.from} → ${tx.to || '创建合约'}\nNonce: ${tx.nonce}`)) return;
+
+        const isDecoded = decoded && decoded.decoded;
+        try {
+            const response = await offlineTransaction.broadcast(raw);
+            historyManager.addToHistory({
+                timestamp: Date.now(),
+                address: tx.to,
+                function: isDecoded ? decoded.signature : (decoded ? `未知函数 ${decoded.selector}` : '转账'),
+                selector: decoded ? decoded.selector : null,
+                params: isDecoded ? decoded.args.map(arg => arg.value) : [],
+                value: tx.value,
+                offline: true,
+                ...transactionTracker.describeTransaction(response)
+            });
+            transactionTracker.track();
+            renderHistory();
+
+            signedTransaction = null;
+            document.getElementById('signedTxInput').value = '';
+            uiManager.renderSignedTransaction(null);
+            uiManager.showSuccess(`交易已广播: ${response.hash}`);
+        } catch (error) {
+            uiManager.showError('广播失败', error.reason || error.message);
+        }
+    });
+
+    // 消息签名：personal_sign和EIP-712结构化数据签名，拆分签名并恢复签名地址
+    const messageSigner = new MessageSigner({
+        getSigner: () => metaMask.getSigner()
+    });
+
+    const describeSignature = (signature) => {
+        const split = messageSigner.splitSignature(signature);
+        return [
+            `签名: ${split.signature}`,
+            `r: ${split.r}`,
+            `s: ${split.s}`,
+            `v: ${split.v}`,
+            `紧凑签名(EIP-2098): ${split.compact}`
+        ];
+    };
+
+    document.getElementById('signMessageBtn').addEventListener('click', async () => {
+        try {
+            const message = document.getElementById('signMessageInput').value;
+            if (!message) {
+                throw new Error('请输入要签名的消息');
+            }
+
+            const isHex = document.getElementById('signMessageHex').checked;
+            const signature = await messageSigner.signMessage(message, isHex);
+            document.getElementById('signatureInput').value = signature;
+            document.getElementById('verifyTarget').value = 'message';
+            uiManager.showSignatureOutput([
+                ...describeSignature(signature),
+                `签名地址: ${ethers.utils.getAddress(metaMask.getCurrentAddress())}`
+            ]);
+        } catch (error) {
+            uiManager.showError('签名失败', error.message);
+        }
+    });
+
+    document.getElementById('loadTypedDataTemplateBtn').addEventListener('click', () => {
+        const templateName = document.getElementById('typedDataTemplate').value;
+        if (!templateName) return;
+
+        // 签名由钱包完成，优先使用钱包所在网络
+        const chainId = metaMask.getCurrentChainId() || getCurrentChainId();
+        uiManager.fillTypedData(messageSigner.getTemplate(templateName, {
+            chainId: chainId ? parseInt(chainId, 16) : 1,
+            account: metaMask.getCurrentAddress(),
+            contractAddress: contractInteractor.isContractReady() ? contractInteractor.getContractAddress() : null
+        }));
+    });
+
+    document.getElementById('signTypedDataBtn').addEventListener('click', async () => {
+        try {
+            const typedData = messageSigner.parseTypedData(uiManager.getTypedDataInput());
+            const signature = await messageSigner.signTypedData(typedData);
+            document.getElementById('signatureInput').value = signature;
+            document.getElementById('verifyTarget').value = 'typedData';
+            uiManager.showSignatureOutput([
+                ...describeSignature(signature),
+                `结构化数据哈希: ${typedData.hash}`,
+                `签名地址: ${ethers.utils.getAddress(metaMask.getCurrentAddress())}`
+            ]);
+        } catch (error) {
+            uiManager.showError('签名失败', error.message);
+        }
+    });
+
+    document.getElementById('verifySignatureBtn').addEventListener('click', () => {
+        try {
+            const signature = document.getElementById('signatureInput').value.trim();
+            if (!signature) {
+                throw new Error('请输入签名');
+            }
+            const expected = document.getElementById('expectedSignerInput').value.trim();
+            if (expected && !ethers.utils.isAddress(expected)) {
+                throw new Error('期望的签名地址无效');
+            }
+
+            let recovered;
+            if (document.getElementById('verifyTarget').value === 'typedData') {
+                const typedData = messageSigner.parseTypedData(uiManager.getTypedDataInput());
+                recovered = messageSigner.recoverTypedDataSigner(typedData, signature);
+            } else {
+                recovered = messageSigner.recoverMessageSigner(
+                    document.getElementById('signMessageInput').value,
+                    document.getElementById('signMessageHex').checked,
+                    signature
+                );
+            }
+
+            const lines = [...describeSignature(signature), `恢复的签名地址: ${recovered}`];
+            const matches = expected ? ethers.utils.getAddress(expected) === recovered : null;
+            if (expected) {
+                lines.push(matches ? '验证通过：与期望的签名地址一致' : `验证失败：期望的签名地址为 ${ethers.utils.getAddress(expected)}`);
+            }
+            uiManager.showSignatureOutput(lines, matches === false);
+        } catch (error) {
+            uiManager.showError('验证失败', error.message);
+        }
+    });
+
+    // 部署合约：创建字节码加当前ABI的构造函数，可通过CREATE2工厂部署，完成后载入新合约并保存到地址簿
+    const contractDeployer = new ContractDeployer({
+        getSigner: () => metaMask.getSigner()
+    });
+
+    // 构造函数参数表单，与合约方法的参数表单相互独立
+    const deployParams = document.getElementById('deployParams');
+
+    const renderConstructorParams = () => {
+        if (!contractInteractor.abi) {
+            throw new Error('请先在ABI输入框中填写合约ABI');
+        }
+        uiManager.renderFunctionParams(contractInteractor.getConstructorDetails(), deployParams);
+    };
+
+    const getDeployForm = () => {
+        if (!deployParams.querySelector('.function-params-form')) {
+            throw new Error('请先点击“填写构造函数参数”');
+        }
+        const useCreate2 = document.getElementById('useCreate2').checked;
+        return {
+            abi: contractInteractor.abi,
+            bytecode: document.getElementById('deployBytecode').value,
+            params: uiManager.collectFunctionParams(deployParams),
+            options: {
+                value: uiManager.getEthValue(deployParams),
+                create2: useCreate2 ? {
+                    salt: document.getElementById('create2Salt').value,
+                    factory: document.getElementById('create2Factory').value.trim() || null
+                } : null
+            }
+        };
+    };
+
+    bindTxOptions(deployParams, async () => {
+        try {
+            const form = getDeployForm();
+            uiManager.setTxEstimateStatus('正在估算...', false, deployParams);
+            const estimate = await contractDeployer.estimateDeployment(form.abi, form.bytecode, form.params, form.options);
+            uiManager.fillTxOptions(estimate, deployParams);
+        } catch (error) {
+            const revert = contractInteractor.describeRevert(error);
+            uiManager.setTxEstimateStatus(`估算失败: ${revert ? revert.reason : error.message}`, true, deployParams);
+        }
+    });
+
+    document.getElementById('deployArtifactFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const artifact = abiManager.parseArtifact(await file.text(), file.name);
+            document.getElementById('abiInput').value = JSON.stringify(artifact.abi, null, 2);
+            applyAbi(artifact.abi);
+            currentAbiName = null;
+            renderAbiFragments();
+            if (!artifact.bytecode) {
+                throw new Error('该编译产物没有创建字节码（可能是接口或抽象合约），已只导入ABI');
+            }
+
+            document.getElementById('deployBytecode').value = artifact.bytecode;
+            document.getElementById('deployContractName').value = artifact.contractName || file.name.replace(/\.json$/i, '');
+            renderConstructorParams();
+        } catch (error) {
+            uiManager.showError('导入失败', error.message);
+        } finally {
+            e.target.value = '';
+        }
+    });
+
+    document.getElementById('loadConstructorBtn').addEventListener('click', () => {
+        try {
+            renderConstructorParams();
+        } catch (error) {
+            uiManager.showError('无法填写构造函数参数', error.message);
+        }
+    });
+
+    document.getElementById('useCreate2').addEventListener('change', (e) => {
+        document.getElementById('create2Options').hidden = !e.target.checked;
+    });
+
+    document.getElementById('predictCreate2Btn').addEventListener('click', () => {
+        try {
+            const form = getDeployForm();
+            const initCode = contractDeployer.buildInitCode(form.abi, form.bytecode, form.params);
+            const address = contractDeployer.predictCreate2Address(initCode, form.options.create2.salt, form.options.create2.factory);
+            uiManager.setDeployStatus(`CREATE2部署地址: ${address}`);
+        } catch (error) {
+            uiManager.setDeployStatus(`计算失败: ${error.message}`, true);
+        }
+    });
+
+    document.getElementById('deployContractBtn').addEventListener('click', async () => {
+        try {
+            const form = getDeployForm();
+            const txOptions = uiManager.getTxOptions(deployParams);
+            const { value } = form.options;
+            if (value && value !== '0' &&
+                !confirm(`确认部署合约并发送 ${ethers.utils.formatEther(value)} ${uiManager.nativeSymbol}（${value} wei）？`)) {
+                return;
+            }
+
+            uiManager.setDeployStatus('等待钱包确认...');
+            const { tx, address } = await contractDeployer.deploy(form.abi, form.bytecode, form.params, { ...form.options, ...txOptions });
+            historyManager.addToHistory({
+                timestamp: Date.now(),
+                address,
+                function: contractInteractor.getConstructorDetails().signature,
+                selector: null,
+                params: form.params,
+                value,
+                txOptions,
+                deployment: form.options.create2 ? 'create2' : 'create',
+                ...transactionTracker.describeTransaction(tx)
+            });
+            transactionTracker.track();
+            renderHistory();
+            uiManager.setDeployStatus(`部署交易已发送，等待上链: ${tx.hash}`);
+
+            await contractDeployer.waitForDeployment(tx, address);
+
+            document.getElementById('contractAddress').value = address;
+            contractInteractor.setContractAddress(address);
+            const abiName = abiManager.findAbiName(form.abi);
+            addressBook.addEntry({
+                name: document.getElementById('deployContractName').value.trim() || abiName || address,
+                chainId: metaMask.getCurrentChainId(),
+                address,
+                abiName,
+                abi: form.abi
+            });
+            renderAddressBook();
+            uiManager.setDeployStatus(`合约已部署: ${address}`);
+            uiManager.showSuccess(`合约已部署并保存到地址簿: ${address}`);
+        } catch (error) {
+            const revert = contractInteractor.describeRevert(error);
+            const message = revert ? revert.reason : (error.reason || error.message);
+            uiManager.setDeployStatus(`部署失败: ${message}`, true);
+            uiManager.showError('部署失败', message);
+        }
+    });
+
+    // 初始化工作区导出导入
+    const workspaceManager = new WorkspaceManager({
+        getChains: () => chainRegistry.chains,
+        trimHistory: (items) => historyManager.trimHistory(items),
+        normalizeChain: (chain) => chainRegistry.normalizeChain(chain),
+        normalizeAddressEntry: (entry) => addressBook.normalizeEntry(entry),
+        parseAbi: (content) => abiManager.parseArtifact(content).abi,
+        normalizeHistoryItem: (item) => historyManager.normalizeItem(item),
+        normalizeRpcEndpoint: (chainId, url) => providerManager.normalizeEndpoint(chainId, url),
+        normalizeChainId: (chainId) => providerManager.normalizeChainId(chainId),
+        normalizeBatchStep: (step) => batchManager.normalizeStep(step)
+    });
+    uiManager.renderWorkspaceOptions(workspaceManager.sections, workspaceManager.importModes);
+
+    // 导出工作区按钮
+    document.getElementById('exportWorkspaceBtn').addEventListener('click', () => {
+        const { sections } = uiManager.getWorkspaceSelection();
+        if (sections.length === 0) {
+            uiManager.showError('导出失败', '请至少勾选一项');
+            return;
+        }
+        const workspace = workspaceManager.exportWorkspace(sections);
+        const date = new Date().toISOString().slice(0, 10);
+        uiManager.downloadFile(`workspace-${date}.json`, JSON.stringify(workspace, null, 2), 'application/json');
+        uiManager.showSuccess('工作区已导出');
+    });
+
+    // 导入工作区文件，确认导入报告后写入并重新加载页面
+    document.getElementById('workspaceImportFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const workspace = workspaceManager.parseWorkspace(await file.text());
+            const plan = workspaceManager.planImport(workspace, uiManager.getWorkspaceSelection());
+            if (plan.report.length === 0) {
+                uiManager.showWorkspaceReport('文件中没有勾选的部分，未导入任何数据');
+                return;
+            }
+
+            const report = workspaceManager.formatReport(plan.report);
+            uiManager.showWorkspaceReport(report);
+            if (!confirm(`${report}\n\n确认导入？导入后页面将重新加载`)) return;
+
+            workspaceManager.applyImport(plan);
+            uiManager.showSuccess('工作区已导入，正在重新加载...');
+            setTimeout(() => window.location.reload(), 1000);
+        } catch (error) {
+            uiManager.showWorkspaceReport(error.message, true);
+            uiManager.showError('导入失败', error.message);
+        } finally {
+            e.target.value = '';
+        }
+    });
+
+    // 导入Safe批量交易文件并审核
+    document.getElementById('safeImportFile').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const batch = safeBatch.parseBatch(await file.text());
+            const currentChainId = getCurrentChainId();
+            safeReview = {
+                ...batch,
+                chainMismatch: !!(batch.chainId && currentChainId && batch.chainId !== currentChainId),
+                transactions: safeBatch.reviewTransactions(batch.transactions, contractInteractor.abi)
+            };
+            uiManager.renderSafeReview(safeReview, () => {
+                try {
+                    safeReview.transactions
+                        .filter(tx => tx.decoded && tx.decoded.decoded)
+                        .forEach(tx => batchManager.addStep({
+                            address: tx.to,
+                            abi: tx.decoded.abi,
+                            signature: tx.decoded.signature,
+                            selector: tx.decoded.selector,
+                            params: tx.decoded.args.map(arg => arg.value),
+                            value: tx.value
+                        }));
+                    uiManager.showSuccess('已加入批量交易队列');
+                } catch (error) {
+                    uiManager.showError('加入失败', error.message);
+                }
+            });
+        } catch (error) {
+            uiManager.showError('导入失败', error.message);
+        } finally {
+            e.target.value = '';
+        }
+    });
+
+    // 订阅事件按钮
+    document.getElementById('subscribeEventBtn').addEventListener('click', () => {
+        if (!contractInteractor.isContractReady()) {
+            uiManager.showError('订阅失败', '合约地址或ABI未设置');
+            return;
+        }
+
+        try {
+            contractWatcher.subscribeEvent({
+                address: contractInteractor.getContractAddress(),
+                abi: contractInteractor.abi,
+                eventSignature: document.getElementById('watchEvents').value
+            });
+            renderSubscriptions();
+        } catch (error) {
+            uiManager.showError('订阅失败', error.message);
+        }
+    });
+
+    // 清空实时事件按钮
+    document.getElementById('clearLiveEventsBtn').addEventListener('click', () => {
+        uiManager.clearLiveEvents();
+    });
+
     // 复制地址按钮
     document.getElementById('copyAddressBtn').addEventListener('click', () => {
         const addressInput = document.getElementById('contractAddress');
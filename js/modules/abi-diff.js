@@ -0,0 +1,79 @@
+import { AbiFormat } from './abi-format.js';
+
+/**
+ * ABI对比模块
+ * 比较两个ABI中的函数、事件和错误，用于审核合约升级
+ */
+export class AbiDiff {
+    constructor() {
+        this.abiFormat = new AbiFormat();
+        
+        // 参与对比的条目类型
+        this.fragmentTypes = ['function', 'event', 'error'];
+    }
+    
+    /**
+     * 对比两个ABI
+     * 签名相同但返回值、状态可变性、参数名或indexed不同的条目视为修改；
+     * 同名条目在两侧各只有一个且签名不同（参数类型变化）时也视为修改，其余按新增和删除列出
+     * @param {Array} oldAbi - 旧ABI（JSON ABI数组）
+     * @param {Array} newAbi - 新ABI（JSON ABI数组）
+     * @returns {Object} { added: [{ type, signature }], removed: [{ type, signature }], changed: [{ type, before, after }] }
+     */
+    diff(oldAbi, newAbi) {
+        const result = { added: [], removed: [], changed: [] };
+        
+        this.fragmentTypes.forEach(type => {
+            const before = this._collect(oldAbi, type);
+            const after = this._collect(newAbi, type);
+            const removed = [];
+            const added = [];
+            
+            before.forEach((item, key) => {
+                if (!after.has(key)) {
+                    removed.push(item);
+                } else if (after.get(key).signature !== item.signature) {
+                    result.changed.push({ type, before: item.signature, after: after.get(key).signature });
+                }
+            });
+            after.forEach((item, key) => {
+                if (!before.has(key)) {
+                    added.push(item);
+                }
+            });
+            
+            // 同名条目只有一个被删除和一个被新增时，视为参数类型修改
+            const countByName = (items, name) => items.filter(item => item.name === name).length;
+            removed.forEach(item => {
+                const replacement = added.find(candidate => candidate.name === item.name);
+                if (replacement && countByName(removed, item.name) === 1 && countByName(added, item.name) === 1) {
+                    result.changed.push({ type, before: item.signature, after: replacement.signature });
+                    added.splice(added.indexOf(replacement), 1);
+                } else {
+                    result.removed.push({ type, signature: item.signature });
+                }
+            });
+            added.forEach(item => result.added.push({ type, signature: item.signature }));
+        });
+        
+        return result;
+    }
+    
+    /**
+     * 按标识收集ABI中指定类型的条目
+     * @param {Array} abi - JSON ABI数组
+     * @param {string} type - 条目类型
+     * @returns {Map} 标识 -> { name, signature }，signature为包含参数名和返回值的完整签名
+     * @private
+     */
+    _collect(abi, type) {
+        const items = new Map();
+        abi.filter(item => item.type === type).forEach(item => {
+            items.set(this.abiFormat.fragmentKey(item), {
+                name: item.name,
+                signature: this.abiFormat.formatFragment(item)
+            });
+        });
+        return items;
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * ABI格式转换模块
+ * 在JSON ABI和可读格式（每行一个签名，如 function balanceOf(address) view returns (uint256)）之间转换
+ */
+export class AbiFormat {
+    constructor() {
+        // ethers无法解析receive和fallback的可读格式，单独处理
+        this.specialFragmentPattern = /^(receive|fallback)\s*\(\s*\)\s*(.*)$/;
+    }
+    
+    /**
+     * 判断文本是否为可读格式ABI（不是JSON）
+     * @param {string} text - ABI文本
+     * @returns {boolean} 是否为可读格式
+     */
+    isHumanReadable(text) {
+        const trimmed = (text || '').trim();
+        return trimmed !== '' && !trimmed.startsWith('[') && !trimmed.startsWith('{');
+    }
+    
+    /**
+     * 将ABI文本或数组解析为JSON ABI数组
+     * 支持JSON ABI、可读格式签名数组和每行一个签名的文本，可读格式中空行和 // 注释会被忽略
+     * @param {string|Array} input - ABI文本或数组
+     * @param {Object} options - { rejectDuplicates }，为true时遇到重复定义报错，否则只保留第一个
+     * @returns {Array} JSON ABI数组
+     */
+    parse(input, options = {}) {
+        let items = input;
+        if (typeof input === 'string') {
+            if (this.isHumanReadable(input)) {
+                items = this.splitLines(input);
+            } else {
+                try {
+                    items = JSON.parse(input);
+                } catch (error) {
+                    throw new Error('ABI不是有效的JSON');
+                }
+            }
+        }
+        if (!Array.isArray(items)) {
+            throw new Error('ABI必须是数组');
+        }
+        
+        const abi = items.map((item, index) => {
+            if (typeof item !== 'string') return item;
+            try {
+                return this.parseFragment(item);
+            } catch (error) {
+                throw new Error(`第${index + 1}条签名无法解析: ${item}`);
+            }
+        });
+        
+        // 交给ethers检查参数类型；ethers遇到重复定义只输出警告，不会报错。
+        // 编译输出中从多个父合约继承的事件或错误会重复出现，加载时去重；用户编辑ABI时才报错
+        new ethers.utils.Interface(abi);
+        const keys = new Set();
+        return abi.filter(item => {
+            const key = this.fragmentKey(item);
+            if (!keys.has(key)) {
+                keys.add(key);
+                return true;
+            }
+            if (options.rejectDuplicates) {
+                throw new Error(`ABI中存在重复定义: ${key}`);
+            }
+            return false;
+        });
+    }
+    
+    /**
+     * 将文本拆分为签名列表，兼容从代码中复制的带引号和逗号的签名
+     * @param {string} text - 每行一个签名的文本
+     * @returns {Array} 签名列表
+     */
+    splitLines(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim()
+                .replace(/[,;]$/, '')
+                .replace(/^(['"`])(.*)\1$/, '$2')
+                .trim())
+            .filter(line => line !== '' && !line.startsWith('//'));
+    }
+    
+    /**
+     * 解析单个可读格式签名
+     * @param {string} signature - 如 event Transfer(address indexed from, address indexed to, uint256 value)
+     * @returns {Object} JSON ABI条目
+     */
+    parseFragment(signature) {
+        const special = signature.trim().match(this.specialFragmentPattern);
+        if (special) {
+            return {
+                type: special[1],
+                stateMutability: /\bpayable\b/.test(special[2]) ? 'payable' : 'nonpayable'
+            };
+        }
+        
+        const fragment = ethers.utils.Fragment.from(signature.trim());
+        if (!fragment) {
+            throw new Error(`无法解析签名: ${signature}`);
+        }
+        return JSON.parse(fragment.format(ethers.utils.FormatTypes.json));
+    }
+    
+    /**
+     * 将JSON ABI转换为可读格式签名列表
+     * @param {Array} abi - JSON ABI数组
+     * @returns {Array} 签名列表
+     */
+    toHumanReadable(abi) {
+        return abi.map(item => this.formatFragment(item));
+    }
+    
+    /**
+     * 将单个JSON ABI条目格式化为可读格式签名
+     * @param {Object} item - JSON ABI条目
+     * @returns {string} 签名
+     */
+    formatFragment(item) {
+        if (item.type === 'receive' || item.type === 'fallback') {
+            return `${item.type}() external${item.stateMutability === 'payable' ? ' payable' : ''}`;
+        }
+        return ethers.utils.Fragment.from(item).format(ethers.utils.FormatTypes.full);
+    }
+    
+    /**
+     * 获取ABI条目的唯一标识，用于查找重复和删除条目
+     * @param {Object} item - JSON ABI条目
+     * @returns {string} 标识，如 function transfer(address,uint256)
+     */
+    fragmentKey(item) {
+        if (['constructor', 'receive', 'fallback'].includes(item.type)) {
+            return item.type;
+        }
+        return `${item.type} ${ethers.utils.Fragment.from(item).format()}`;
+    }
+}
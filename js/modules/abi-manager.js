@@ -1,11 +1,27 @@
+import { AbiFormat } from './abi-format.js';
+
 /**
  * ABI管理模块
- * 负责ABI的保存、加载和管理
+ * 负责ABI的保存、加载和管理，以及从编译产物中导入ABI、字节码和NatSpec
  */
 export class AbiManager {
     constructor() {
         this.savedAbis = {};
         this.storageKey = 'saved_abis';
+        
+        // JSON ABI和可读格式ABI的解析与转换
+        this.abiFormat = new AbiFormat();
+        
+        // 从编译产物导入的附加信息：名称 -> { contractName, sourceName, format, bytecode, natspec }
+        this.abiMetadata = {};
+        this.metadataKey = 'saved_abi_metadata';
+        
+        // ABI库信息：名称 -> { tags, updatedAt, versions: [{ content, savedAt }] }，versions为被覆盖的旧版本
+        this.abiLibrary = {};
+        this.libraryKey = 'saved_abi_library';
+        
+        // 每个ABI最多保留的旧版本数量
+        this.maxVersions = 20;
     }
     
     /**
@@ -20,6 +36,12 @@ export class AbiManager {
             } else {
                 console.log('没有找到保存的ABI');
             }
+            
+            const savedMetadata = localStorage.getItem(this.metadataKey);
+            this.abiMetadata = savedMetadata ? JSON.parse(savedMetadata) : {};
+            
+            const savedLibrary = localStorage.getItem(this.libraryKey);
+            this.abiLibrary = savedLibrary ? JSON.parse(savedLibrary) : {};
             return this.savedAbis;
         } catch (error) {
             console.error('加载ABI列表失败:', error);
@@ -28,24 +50,308 @@ export class AbiManager {
     }
     
     /**
-     * 保存ABI
+     * 保存ABI，统一以JSON ABI保存，覆盖已有的同名ABI时旧内容保存为历史版本
      * @param {string} name - ABI名称
-     * @param {string} content - ABI内容JSON字符串
+     * @param {string} content - ABI内容：JSON ABI、单个合约的编译产物或每行一个签名的可读格式
+     * @param {Object} metadata - 编译产物中的附加信息（可选），见parseArtifacts()
      */
-    saveAbi(name, content) {
+    saveAbi(name, content, metadata = null) {
+        const parsed = this._tryParse(content);
+        let abi;
         try {
-            // 验证ABI格式
-            const parsedAbi = JSON.parse(content);
-            
-            // 保存到本地存储
-            this.savedAbis[name] = content;
-            localStorage.setItem(this.storageKey, JSON.stringify(this.savedAbis));
-            console.log(`ABI已保存: ${name}`);
-            return true;
+            abi = this.parseArtifact(content).abi;
+            // 直接填写的ABI不允许重复定义；编译产物中的重复定义在解析时已去除
+            if (Array.isArray(parsed) || this.abiFormat.isHumanReadable(content)) {
+                this.abiFormat.parse(content, { rejectDuplicates: true });
+            }
         } catch (error) {
             console.error('保存ABI失败:', error);
-            throw new Error('ABI格式无效，请检查JSON格式是否正确');
+            throw new Error(`ABI格式无效: ${error.message}`);
+        }
+        
+        // 已是JSON ABI时保留原文，其他格式转换后保存
+        const isJsonAbi = Array.isArray(parsed) && parsed.every(item => item && typeof item === 'object');
+        this._recordVersion(name, abi);
+        
+        // 保存到本地存储
+        this.savedAbis[name] = isJsonAbi ? content : JSON.stringify(abi, null, 2);
+        localStorage.setItem(this.storageKey, JSON.stringify(this.savedAbis));
+        this._setMetadata(name, metadata);
+        console.log(`ABI已保存: ${name}`);
+        return true;
+    }
+    
+    /**
+     * 将ABI文本转换为可读格式，每行一个签名
+     * @param {string} content - JSON ABI、编译产物或可读格式文本
+     * @returns {string} 可读格式文本
+     */
+    toHumanReadable(content) {
+        return this.abiFormat.toHumanReadable(this.parseArtifact(content).abi).join('\n');
+    }
+    
+    /**
+     * 将ABI文本转换为格式化的JSON ABI
+     * @param {string} content - JSON ABI、编译产物或可读格式文本
+     * @returns {string} JSON字符串
+     */
+    toJsonAbi(content) {
+        return JSON.stringify(this.parseArtifact(content).abi, null, 2);
+    }
+    
+    /**
+     * 获取已保存ABI中的条目列表
+     * @param {string} name - ABI名称
+     * @returns {Array} [{ key, signature }]，key用于删除条目，signature为可读格式签名
+     */
+    getFragments(name) {
+        const content = this.getAbiByName(name);
+        if (!content) return [];
+        
+        return this.parseArtifact(content).abi.map(item => ({
+            key: this.abiFormat.fragmentKey(item),
+            signature: this.abiFormat.formatFragment(item)
+        }));
+    }
+    
+    /**
+     * 向已保存的ABI添加条目
+     * @param {string} name - ABI名称
+     * @param {string} text - 一个或多个可读格式签名（每行一个），也可以是JSON ABI
+     * @returns {number} 添加的条目数量
+     */
+    addFragments(name, text) {
+        const content = this.getAbiByName(name);
+        if (!content) {
+            throw new Error(`ABI不存在: ${name}`);
+        }
+        
+        const abi = this.parseArtifact(content).abi;
+        const existingKeys = new Set(abi.map(item => this.abiFormat.fragmentKey(item)));
+        const fragments = this.abiFormat.parse(text, { rejectDuplicates: true });
+        fragments.forEach(item => {
+            const key = this.abiFormat.fragmentKey(item);
+            if (existingKeys.has(key)) {
+                throw new Error(`ABI中已存在: ${key}`);
+            }
+            existingKeys.add(key);
+        });
+        
+        this.saveAbi(name, JSON.stringify([...abi, ...fragments], null, 2), this.getAbiMetadata(name));
+        return fragments.length;
+    }
+    
+    /**
+     * 从已保存的ABI中删除条目
+     * @param {string} name - ABI名称
+     * @param {string} key - 条目标识，见getFragments()
+     * @returns {boolean} 是否删除
+     */
+    removeFragment(name, key) {
+        const content = this.getAbiByName(name);
+        if (!content) return false;
+        
+        const abi = this.parseArtifact(content).abi;
+        const remaining = abi.filter(item => this.abiFormat.fragmentKey(item) !== key);
+        if (remaining.length === abi.length) return false;
+        
+        this.saveAbi(name, JSON.stringify(remaining, null, 2), this.getAbiMetadata(name));
+        return true;
+    }
+    
+    /**
+     * 批量导入编译产物文件，每个合约按产物中的合约名称保存
+     * 同名但ABI不同的合约以“源文件:合约名”区分，ABI完全相同的重复合约只保存一次。
+     * 已保存的同名ABI来自同一源文件时视为重新编译，覆盖并保留旧版本；来自其他源文件或无法区分时不覆盖
+     * @param {Array} files - [{ name, content }]，name为文件路径
+     * @returns {Object} { imported: [名称], skipped: [{ file, reason }] }
+     */
+    importArtifacts(files) {
+        const imported = [];
+        const skipped = [];
+        const importedAbis = {};
+        
+        // Hardhat产物本身不含NatSpec：调试文件(*.dbg.json)指向build-info，从其中的solc输出读取。
+        // build-info目录中的文件只用于读取NatSpec，不作为合约导入
+        const buildInfoFiles = {};
+        const buildInfoNames = {};
+        const artifactFiles = files.filter(file => {
+            if (/\.dbg\.json$/i.test(file.name)) {
+                const debug = this._tryParse(file.content);
+                if (debug && typeof debug.buildInfo === 'string') {
+                    buildInfoNames[file.name.replace(/\.dbg\.json$/i, '')] = this._baseName(debug.buildInfo);
+                }
+                return false;
+            }
+            if (file.name.split(/[\\/]/).slice(0, -1).includes('build-info')) {
+                buildInfoFiles[this._baseName(file.name)] = file;
+                return false;
+            }
+            return true;
+        });
+        const buildInfoContracts = {};
+        const findNatspec = (file, contract) => {
+            const buildInfoName = buildInfoNames[file.name.replace(/\.json$/i, '')];
+            if (!buildInfoName || !buildInfoFiles[buildInfoName]) return null;
+            if (!buildInfoContracts[buildInfoName]) {
+                const buildInfo = this._tryParse(buildInfoFiles[buildInfoName].content);
+                buildInfoContracts[buildInfoName] = buildInfo && buildInfo.output && buildInfo.output.contracts
+                    ? this._parseSolcOutput(buildInfo.output.contracts)
+                    : [];
+            }
+            const match = buildInfoContracts[buildInfoName].find(item =>
+                item.sourceName === contract.sourceName && item.contractName === contract.contractName
+            );
+            return match ? match.natspec : null;
+        };
+        
+        artifactFiles.forEach(file => {
+            let contracts;
+            try {
+                contracts = this.parseArtifacts(file.content, file.name);
+            } catch (error) {
+                skipped.push({ file: file.name, reason: error.message });
+                return;
+            }
+            
+            contracts.forEach(contract => {
+                if (contract.format === 'hardhat' && !contract.natspec) {
+                    contract.natspec = findNatspec(file, contract);
+                }
+                const content = JSON.stringify(contract.abi);
+                let name = contract.contractName || this._baseName(file.name);
+                
+                if (importedAbis[name] === content) return;
+                const isTaken = (candidate) => importedAbis[candidate] !== undefined || this._isOtherContract(candidate, contract);
+                if (isTaken(name) && contract.sourceName) {
+                    name = `${contract.sourceName}:${name}`;
+                }
+                if (isTaken(name)) {
+                    skipped.push({ file: file.name, reason: `合约名称重复: ${name}` });
+                    return;
+                }
+                
+                importedAbis[name] = content;
+                this.saveAbi(name, content, {
+                    contractName: contract.contractName,
+                    sourceName: contract.sourceName,
+                    format: contract.format,
+                    bytecode: contract.bytecode,
+                    natspec: contract.natspec
+                });
+                imported.push(name);
+            });
+        });
+        
+        return { imported, skipped };
+    }
+    
+    /**
+     * 解析编译产物，支持纯ABI数组、可读格式ABI、Hardhat、Foundry、Truffle产物和solc标准JSON输出
+     * @param {string} content - 文件内容
+     * @param {string} fileName - 文件路径（Foundry产物从文件名取合约名称）
+     * @returns {Array} [{ contractName, sourceName, format, abi, bytecode, natspec }]，natspec为 { userdoc, devdoc } 或null
+     */
+    parseArtifacts(content, fileName = '') {
+        // 每行一个签名的可读格式ABI
+        if (this.abiFormat.isHumanReadable(content)) {
+            return [this._contract({ abi: this.abiFormat.parse(content), format: 'human' })];
+        }
+        
+        let artifact;
+        try {
+            artifact = JSON.parse(content);
+        } catch (error) {
+            throw new Error('文件不是有效的JSON');
+        }
+        
+        // JSON ABI数组，其中的可读格式签名转换为JSON条目
+        if (Array.isArray(artifact)) {
+            return [this._contract({ abi: this.abiFormat.parse(artifact), format: 'abi', contractName: fileName ? this._baseName(fileName) : null })];
+        }
+        if (!artifact || typeof artifact !== 'object') {
+            throw new Error('文件中没有找到ABI');
+        }
+        
+        // solc标准JSON输出（Hardhat build-info中的output也是此格式）
+        const output = artifact.output && artifact.output.contracts ? artifact.output : artifact;
+        if (!Array.isArray(artifact.abi) && output.contracts && typeof output.contracts === 'object') {
+            return this._parseSolcOutput(output.contracts);
+        }
+        
+        if (!Array.isArray(artifact.abi)) {
+            throw new Error('文件中没有找到ABI');
+        }
+        
+        if (typeof artifact._format === 'string' && artifact._format.startsWith('hh-sol-artifact')) {
+            return [this._contract({
+                format: 'hardhat',
+                contractName: artifact.contractName,
+                sourceName: artifact.sourceName,
+                abi: artifact.abi,
+                bytecode: artifact.bytecode
+            })];
         }
+        
+        if (artifact.bytecode && typeof artifact.bytecode === 'object') {
+            // Foundry：元数据中记录编译目标 { 源文件: 合约名 }
+            const metadata = typeof artifact.metadata === 'string' ? this._tryParse(artifact.metadata) : artifact.metadata;
+            const target = metadata && metadata.settings && metadata.settings.compilationTarget
+                ? Object.entries(metadata.settings.compilationTarget)[0]
+                : null;
+            const metadataOutput = this._metadataOutput(metadata);
+            return [this._contract({
+                format: 'foundry',
+                contractName: target ? target[1] : this._baseName(fileName),
+                sourceName: target ? target[0] : null,
+                abi: artifact.abi,
+                bytecode: artifact.bytecode.object,
+                userdoc: artifact.userdoc || metadataOutput.userdoc,
+                devdoc: artifact.devdoc || metadataOutput.devdoc
+            })];
+        }
+        
+        return [this._contract({
+            format: artifact.contractName ? 'truffle' : 'abi',
+            contractName: artifact.contractName || this._baseName(fileName),
+            sourceName: artifact.sourcePath || null,
+            abi: artifact.abi,
+            bytecode: artifact.bytecode,
+            userdoc: artifact.userdoc,
+            devdoc: artifact.devdoc
+        })];
+    }
+    
+    /**
+     * 获取从编译产物导入的附加信息
+     * @param {string} name - ABI名称
+     * @returns {Object|null} { contractName, sourceName, format, bytecode, natspec }
+     */
+    getAbiMetadata(name) {
+        return this.abiMetadata[name] || null;
+    }
+    
+    /**
+     * 获取函数的NatSpec注释
+     * @param {string} name - ABI名称
+     * @param {string} signature - 函数签名，如 transfer(address,uint256)
+     * @returns {Object|null} { notice, details, params, returns }，没有注释时返回null
+     */
+    getFunctionDoc(name, signature) {
+        const metadata = this.getAbiMetadata(name);
+        if (!metadata || !metadata.natspec) return null;
+        
+        const { userdoc, devdoc } = metadata.natspec;
+        const userMethod = userdoc && userdoc.methods ? userdoc.methods[signature] : null;
+        const devMethod = devdoc && devdoc.methods ? devdoc.methods[signature] : null;
+        if (!userMethod && !devMethod) return null;
+        
+        return {
+            notice: userMethod ? userMethod.notice || null : null,
+            details: devMethod ? devMethod.details || null : null,
+            params: devMethod ? devMethod.params || {} : {},
+            returns: devMethod ? devMethod.returns || {} : {}
+        };
     }
     
     /**
@@ -56,12 +362,147 @@ export class AbiManager {
         if (this.savedAbis[name]) {
             delete this.savedAbis[name];
             localStorage.setItem(this.storageKey, JSON.stringify(this.savedAbis));
+            this._setMetadata(name, null);
+            delete this.abiLibrary[name];
+            this._saveLibrary();
             console.log(`ABI已删除: ${name}`);
             return true;
         }
         return false;
     }
     
+    /**
+     * 重命名ABI，附加信息、标签和历史版本一并转移
+     * @param {string} name - 原名称
+     * @param {string} newName - 新名称
+     */
+    renameAbi(name, newName) {
+        const targetName = (newName || '').trim();
+        if (this.savedAbis[name] === undefined) {
+            throw new Error(`ABI不存在: ${name}`);
+        }
+        if (!targetName) {
+            throw new Error('ABI名称不能为空');
+        }
+        if (targetName === name) return true;
+        if (this.savedAbis[targetName] !== undefined) {
+            throw new Error(`ABI名称已存在: ${targetName}`);
+        }
+        
+        this.savedAbis[targetName] = this.savedAbis[name];
+        delete this.savedAbis[name];
+        localStorage.setItem(this.storageKey, JSON.stringify(this.savedAbis));
+        
+        const metadata = this.getAbiMetadata(name);
+        this._setMetadata(name, null);
+        this._setMetadata(targetName, metadata);
+        
+        if (this.abiLibrary[name]) {
+            this.abiLibrary[targetName] = this.abiLibrary[name];
+            delete this.abiLibrary[name];
+            this._saveLibrary();
+        }
+        console.log(`ABI已重命名: ${name} -> ${targetName}`);
+        return true;
+    }
+    
+    /**
+     * 设置ABI的标签（如项目名称）
+     * @param {string} name - ABI名称
+     * @param {Array} tags - 标签列表，空白和重复标签会被忽略
+     */
+    setTags(name, tags) {
+        if (this.savedAbis[name] === undefined) {
+            throw new Error(`ABI不存在: ${name}`);
+        }
+        this._libraryInfo(name).tags = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+        this._saveLibrary();
+    }
+    
+    /**
+     * 获取所有已使用的标签
+     * @returns {Array} 按名称排序的标签列表
+     */
+    getAllTags() {
+        const tags = new Set();
+        Object.keys(this.savedAbis).forEach(name => {
+            (this.abiLibrary[name] ? this.abiLibrary[name].tags : []).forEach(tag => tags.add(tag));
+        });
+        return [...tags].sort();
+    }
+    
+    /**
+     * 获取ABI库列表，可按关键字和标签过滤
+     * 关键字匹配名称、标签、合约名称、源文件以及函数、事件和错误名称，不区分大小写
+     * @param {string} query - 搜索关键字
+     * @param {string} tag - 标签，为空时不过滤
+     * @returns {Array} [{ name, tags, updatedAt, versionCount, contractName, sourceName, counts: { function, event, error } }]
+     */
+    getLibrary(query = '', tag = '') {
+        const keyword = query.trim().toLowerCase();
+        
+        return Object.keys(this.savedAbis).sort().reduce((result, name) => {
+            const info = this.abiLibrary[name] || { tags: [], updatedAt: null, versions: [] };
+            const metadata = this.getAbiMetadata(name) || {};
+            const abi = this._tryParse(this.savedAbis[name]);
+            const items = Array.isArray(abi) ? abi : [];
+            
+            if (tag && !info.tags.includes(tag)) return result;
+            if (keyword) {
+                const haystack = [name, ...info.tags, metadata.contractName, metadata.sourceName, ...items.map(item => item.name)]
+                    .filter(Boolean)
+                    .join('\n')
+                    .toLowerCase();
+                if (!haystack.includes(keyword)) return result;
+            }
+            
+            const count = (type) => items.filter(item => item.type === type).length;
+            result.push({
+                name,
+                tags: info.tags,
+                updatedAt: info.updatedAt,
+                versionCount: info.versions.length,
+                contractName: metadata.contractName || null,
+                sourceName: metadata.sourceName || null,
+                counts: { function: count('function'), event: count('event'), error: count('error') }
+            });
+            return result;
+        }, []);
+    }
+    
+    /**
+     * 获取ABI的历史版本列表，从旧到新排列，不包含当前版本
+     * @param {string} name - ABI名称
+     * @returns {Array} [{ index, savedAt }]，savedAt为该版本的保存时间（未知时为null）
+     */
+    getVersions(name) {
+        const info = this.abiLibrary[name];
+        if (!info) return [];
+        return info.versions.map((version, index) => ({ index, savedAt: version.savedAt }));
+    }
+    
+    /**
+     * 获取ABI的指定版本
+     * @param {string} name - ABI名称
+     * @param {number|null} index - 历史版本序号，null表示当前版本
+     * @returns {Array} JSON ABI数组
+     */
+    getAbiVersion(name, index = null) {
+        if (index === null) {
+            const content = this.getAbiByName(name);
+            if (!content) {
+                throw new Error(`ABI不存在: ${name}`);
+            }
+            return this.parseArtifact(content).abi;
+        }
+        
+        const info = this.abiLibrary[name];
+        if (!info || !info.versions[index]) {
+            throw new Error(`ABI ${name} 没有版本 ${index + 1}`);
+        }
+        return this.parseArtifact(info.versions[index].content).abi;
+    }
+    
     /**
      * 根据名称获取ABI
      * @param {string} name - ABI名称
@@ -70,6 +511,21 @@ export class AbiManager {
         return this.savedAbis[name] || null;
     }
     
+    /**
+     * 获取所有已保存ABI的解析结果，无法解析的ABI会被跳过
+     * @returns {Array} [{ name, abi }]
+     */
+    getAllAbis() {
+        return Object.entries(this.savedAbis).reduce((result, [name, content]) => {
+            try {
+                result.push({ name, abi: JSON.parse(content) });
+            } catch (error) {
+                console.warn(`已保存的ABI无法解析: ${name}`);
+            }
+            return result;
+        }, []);
+    }
+    
     /**
      * 获取保存的ABI列表
      * @returns {Array} ABI名称列表
@@ -79,16 +535,223 @@ export class AbiManager {
     }
     
     /**
-     * 验证ABI格式是否正确
+     * 解析单个合约的编译产物，用于部署
+     * @param {string} content - 编译产物JSON字符串，也可以是纯ABI数组
+     * @param {string} fileName - 文件路径
+     * @returns {Object} { contractName, sourceName, format, abi, bytecode, natspec }，没有字节码时bytecode为null
+     */
+    parseArtifact(content, fileName = '') {
+        const contracts = this.parseArtifacts(content, fileName);
+        if (contracts.length === 0) {
+            throw new Error('文件中没有找到ABI');
+        }
+        
+        // solc输出包含多个合约时，只有一个可部署合约才能确定目标
+        if (contracts.length > 1) {
+            const deployable = contracts.filter(contract => contract.bytecode);
+            if (deployable.length !== 1) {
+                throw new Error(`文件包含${contracts.length}个合约，请使用单个合约的编译产物`);
+            }
+            return deployable[0];
+        }
+        return contracts[0];
+    }
+    
+    /**
+     * 查找内容与给定ABI相同的已保存ABI
+     * @param {Array} abi - ABI数组
+     * @returns {string|null} ABI名称
+     */
+    findAbiName(abi) {
+        const target = JSON.stringify(abi);
+        const match = this.getAllAbis().find(item => JSON.stringify(item.abi) === target);
+        return match ? match.name : null;
+    }
+    
+    /**
+     * 验证ABI格式是否正确，ABI数组、可读格式ABI和单个合约的编译产物均视为有效
      * @param {string} abiString - ABI字符串
      * @returns {boolean} 是否有效
      */
     validateAbi(abiString) {
         try {
-            const parsedAbi = JSON.parse(abiString);
-            return Array.isArray(parsedAbi);
+            return this.parseArtifacts(abiString).length === 1;
         } catch (error) {
             return false;
         }
     }
+    
+    /**
+     * 解析solc标准JSON输出中的contracts字段 { 源文件: { 合约名: { abi, evm, userdoc, devdoc } } }
+     * 也兼容combined-json格式 { "源文件:合约名": { abi, bin } }
+     * @param {Object} contracts - contracts字段
+     * @returns {Array} 合约列表，跳过ABI为空的合约
+     * @private
+     */
+    _parseSolcOutput(contracts) {
+        const result = [];
+        const addContract = (sourceName, contractName, output) => {
+            const abi = typeof output.abi === 'string' ? this._tryParse(output.abi) : output.abi;
+            if (!Array.isArray(abi) || abi.length === 0) return;
+            // 未选择userdoc/devdoc输出时（如Hardhat的默认设置），NatSpec只存在于元数据中
+            const metadataOutput = this._metadataOutput(output.metadata);
+            result.push(this._contract({
+                format: 'solc',
+                contractName,
+                sourceName,
+                abi,
+                bytecode: output.evm && output.evm.bytecode ? output.evm.bytecode.object : output.bin,
+                userdoc: output.userdoc || metadataOutput.userdoc,
+                devdoc: output.devdoc || metadataOutput.devdoc
+            }));
+        };
+        
+        Object.entries(contracts).forEach(([key, value]) => {
+            if (!value || typeof value !== 'object') return;
+            if (value.abi !== undefined) {
+                const separator = key.lastIndexOf(':');
+                addContract(separator >= 0 ? key.slice(0, separator) : null, key.slice(separator + 1), value);
+                return;
+            }
+            Object.entries(value).forEach(([contractName, output]) => {
+                if (output && typeof output === 'object') {
+                    addContract(key, contractName, output);
+                }
+            });
+        });
+        return result;
+    }
+    
+    /**
+     * 规范化解析出的合约信息
+     * @param {Object} fields - { format, contractName, sourceName, abi, bytecode, userdoc, devdoc }
+     * @returns {Object} { contractName, sourceName, format, abi, bytecode, natspec }
+     * @private
+     */
+    _contract({ format, contractName = null, sourceName = null, abi, bytecode = null, userdoc = null, devdoc = null }) {
+        // 字节码可能省略0x前缀；接口和抽象合约没有字节码
+        let normalizedBytecode = typeof bytecode === 'string' && bytecode !== '0x' && bytecode !== '' ? bytecode : null;
+        if (normalizedBytecode && !normalizedBytecode.startsWith('0x')) {
+            normalizedBytecode = `0x${normalizedBytecode}`;
+        }
+        
+        return {
+            contractName: contractName || null,
+            sourceName: sourceName || null,
+            format,
+            // 编译产物中继承的事件和错误可能重复，统一去重
+            abi: this.abiFormat.parse(abi),
+            bytecode: normalizedBytecode,
+            natspec: userdoc || devdoc ? { userdoc: userdoc || null, devdoc: devdoc || null } : null
+        };
+    }
+    
+    /**
+     * 保存或删除ABI的附加信息
+     * @param {string} name - ABI名称
+     * @param {Object|null} metadata - 附加信息，null时删除
+     * @private
+     */
+    _setMetadata(name, metadata) {
+        if (metadata) {
+            this.abiMetadata[name] = metadata;
+        } else if (this.abiMetadata[name]) {
+            delete this.abiMetadata[name];
+        } else {
+            return;
+        }
+        localStorage.setItem(this.metadataKey, JSON.stringify(this.abiMetadata));
+    }
+    
+    /**
+     * 覆盖ABI前将内容不同的旧版本加入历史，并更新保存时间
+     * @param {string} name - ABI名称
+     * @param {Array} abi - 新的JSON ABI数组
+     * @private
+     */
+    _recordVersion(name, abi) {
+        const info = this._libraryInfo(name);
+        const previous = this.savedAbis[name];
+        const previousAbi = previous !== undefined ? this._tryParse(previous) : null;
+        
+        if (previous !== undefined && JSON.stringify(previousAbi) !== JSON.stringify(abi)) {
+            info.versions.push({ content: previous, savedAt: info.updatedAt });
+            if (info.versions.length > this.maxVersions) {
+                info.versions.splice(0, info.versions.length - this.maxVersions);
+            }
+        }
+        info.updatedAt = Date.now();
+        this._saveLibrary();
+    }
+    
+    /**
+     * 获取ABI库信息，不存在时创建
+     * @param {string} name - ABI名称
+     * @returns {Object} { tags, updatedAt, versions }
+     * @private
+     */
+    _libraryInfo(name) {
+        if (!this.abiLibrary[name]) {
+            this.abiLibrary[name] = { tags: [], updatedAt: null, versions: [] };
+        }
+        return this.abiLibrary[name];
+    }
+    
+    /**
+     * 保存ABI库信息到本地存储
+     * @private
+     */
+    _saveLibrary() {
+        localStorage.setItem(this.libraryKey, JSON.stringify(this.abiLibrary));
+    }
+    
+    /**
+     * 从文件路径中取出不含扩展名的文件名
+     * @param {string} fileName - 文件路径
+     * @returns {string|null} 文件名
+     * @private
+     */
+    _baseName(fileName) {
+        const base = (fileName || '').split(/[\\/]/).pop().replace(/\.json$/i, '');
+        return base || null;
+    }
+    
+    /**
+     * 判断已保存的同名ABI是否属于另一个合约：ABI内容不同，且不能确认来自同一源文件
+     * @param {string} name - ABI名称
+     * @param {Object} contract - parseArtifacts()返回的合约信息
+     * @returns {boolean}
+     * @private
+     */
+    _isOtherContract(name, contract) {
+        if (this.savedAbis[name] === undefined) return false;
+        const metadata = this.abiMetadata[name] || {};
+        return (!contract.sourceName || metadata.sourceName !== contract.sourceName)
+            && JSON.stringify(this._tryParse(this.savedAbis[name])) !== JSON.stringify(contract.abi);
+    }
+    
+    /**
+     * 读取编译器元数据中的output字段（包含userdoc和devdoc）
+     * @param {string|Object} metadata - 元数据，可能是JSON字符串
+     * @returns {Object} output字段，没有时返回空对象
+     * @private
+     */
+    _metadataOutput(metadata) {
+        const parsed = typeof metadata === 'string' ? this._tryParse(metadata) : metadata;
+        return parsed && parsed.output ? parsed.output : {};
+    }
+    
+    /**
+     * 尝试解析JSON字符串，失败时返回null
+     * @param {string} text - JSON字符串
+     * @returns {*} 解析结果
+     * @private
+     */
+    _tryParse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
 }
@@ -0,0 +1,200 @@
+/**
+ * 地址簿模块
+ * 负责保存合约地址及其所在网络、ABI和备注
+ */
+export class AddressBook {
+    constructor(options = {}) {
+        this.storageKey = 'address_book';
+        this.entries = [];
+        
+        // 获取网络名称的函数，用于按网络名称搜索
+        this.getChainName = options.getChainName || (() => null);
+        
+        this._loadEntries();
+    }
+    
+    /**
+     * 从本地存储加载地址簿
+     * @private
+     */
+    _loadEntries() {
+        try {
+            const storedEntries = localStorage.getItem(this.storageKey);
+            if (storedEntries) {
+                this.entries = JSON.parse(storedEntries);
+            }
+        } catch (error) {
+            console.error('加载地址簿失败:', error);
+            this.entries = [];
+        }
+    }
+    
+    /**
+     * 保存地址簿到本地存储
+     * @private
+     */
+    _saveEntries() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('保存地址簿失败:', error);
+        }
+    }
+    
+    /**
+     * 添加地址簿条目
+     * @param {Object} entry - { name, chainId, address, abiName, abi, notes }，abiName引用已保存的ABI，没有时可直接保存abi
+     * @returns {Object} 添加的条目
+     */
+    addEntry({ name, chainId, address, abiName = null, abi = null, notes = '' }) {
+        const entry = this.normalizeEntry({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            chainId,
+            address,
+            abiName,
+            abi,
+            notes,
+            createdAt: Date.now()
+        });
+        this.entries.push(entry);
+        this._saveEntries();
+        return entry;
+    }
+    
+    /**
+     * 校验并规范化地址簿条目，不保存：地址转换为校验和格式，链ID转换为十六进制
+     * @param {Object} entry - 条目
+     * @returns {Object} 规范化后的条目
+     */
+    normalizeEntry(entry) {
+        if (typeof entry.address !== 'string' || !ethers.utils.isAddress(entry.address)) {
+            throw new Error(`无效的合约地址: ${entry.address}`);
+        }
+        
+        let chainId = null;
+        if (entry.chainId) {
+            try {
+                chainId = ethers.utils.hexValue(entry.chainId);
+            } catch (error) {
+                throw new Error(`无效的链ID: ${entry.chainId}`);
+            }
+        }
+        
+        const address = ethers.utils.getAddress(entry.address);
+        return {
+            ...entry,
+            name: (entry.name || '').trim() || address,
+            chainId,
+            address,
+            abiName: entry.abiName || null,
+            abi: entry.abiName ? null : (entry.abi || null),
+            notes: entry.notes || ''
+        };
+    }
+    
+    /**
+     * 删除地址簿条目
+     * @param {string} id - 条目ID
+     * @returns {boolean} 是否删除成功
+     */
+    deleteEntry(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+        
+        this.entries.splice(index, 1);
+        this._saveEntries();
+        return true;
+    }
+    
+    /**
+     * 更新地址簿条目
+     * @param {string} id - 条目ID
+     * @param {Object} changes - 要修改的字段 { name, abiName, abi, notes }
+     * @returns {Object} 更新后的条目
+     */
+    updateEntry(id, { name, abiName, abi, notes }) {
+        const entry = this.getEntry(id);
+        if (!entry) {
+            throw new Error('地址簿条目不存在');
+        }
+        
+        if (name !== undefined) {
+            entry.name = (name || '').trim() || entry.address;
+        }
+        if (abiName !== undefined || abi !== undefined) {
+            entry.abiName = abiName || null;
+            entry.abi = entry.abiName ? null : (abi || null);
+        }
+        if (notes !== undefined) {
+            entry.notes = notes;
+        }
+        this._saveEntries();
+        return entry;
+    }
+    
+    /**
+     * 根据ID获取地址簿条目
+     * @param {string} id - 条目ID
+     * @returns {Object|null} 条目
+     */
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+    
+    /**
+     * 查找同一网络上相同地址的条目
+     * @param {string|null} chainId - 链ID
+     * @param {string} address - 合约地址
+     * @returns {Object|null} 条目
+     */
+    findEntry(chainId, address) {
+        const normalizedChainId = chainId ? ethers.utils.hexValue(chainId) : null;
+        return this.entries.find(entry =>
+            entry.chainId === normalizedChainId && entry.address.toLowerCase() === address.toLowerCase()
+        ) || null;
+    }
+    
+    /**
+     * 获取所有地址簿条目
+     * @returns {Array} 条目列表
+     */
+    getEntries() {
+        return this.entries;
+    }
+    
+    /**
+     * 搜索地址簿，匹配名称、地址、ABI名称、备注、链ID和网络名称，不区分大小写
+     * @param {string} query - 搜索关键字，为空时返回全部条目
+     * @returns {Array} 按名称排序的条目列表
+     */
+    searchEntries(query = '') {
+        const keyword = query.trim().toLowerCase();
+        return this.entries
+            .filter(entry => {
+                if (!keyword) return true;
+                const chainName = entry.chainId ? this.getChainName(entry.chainId) : null;
+                return [entry.name, entry.address, entry.abiName, entry.notes, chainName, entry.chainId ? String(parseInt(entry.chainId, 16)) : null]
+                    .some(value => value && value.toLowerCase().includes(keyword));
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * ABI重命名后更新引用该ABI的条目
+     * @param {string} name - 原ABI名称
+     * @param {string} newName - 新ABI名称
+     */
+    renameAbiReference(name, newName) {
+        let changed = false;
+        this.entries.forEach(entry => {
+            if (entry.abiName === name) {
+                entry.abiName = newName;
+                changed = true;
+            }
+        });
+        if (changed) {
+            this._saveEntries();
+        }
+    }
+}
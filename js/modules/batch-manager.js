@@ -0,0 +1,306 @@
+import { ContractInteractor } from './contract-interactor.js';
+
+/**
+ * 批量交易模块
+ * 负责管理待执行的调用队列（可跨合约）、保存命名批次，并按顺序逐步执行
+ */
+export class BatchManager {
+    constructor(options = {}) {
+        this.getProvider = options.getProvider || (() => null);
+        this.getSigner = options.getSigner || (() => null);
+        this.getChainId = options.getChainId || (() => null);
+        this.eventDecoder = options.eventDecoder || null;
+        this.errorDecoder = options.errorDecoder || null;
+        this.historyManager = options.historyManager || null;
+        
+        // 回调函数
+        this.callbacks = {
+            onQueueChange: options.onQueueChange || (() => {}),
+            onStepUpdate: options.onStepUpdate || (() => {})
+        };
+        
+        this.queue = [];
+        this.savedBatches = {};
+        this.storageKey = 'saved_batches';
+        this.nextId = 1;
+        this.isRunning = false;
+        
+        this._loadBatches();
+    }
+    
+    /**
+     * 从本地存储加载已保存的批次
+     * @private
+     */
+    _loadBatches() {
+        try {
+            const storedBatches = localStorage.getItem(this.storageKey);
+            if (storedBatches) {
+                this.savedBatches = JSON.parse(storedBatches);
+            }
+        } catch (error) {
+            console.error('加载批量交易失败:', error);
+            this.savedBatches = {};
+        }
+    }
+    
+    /**
+     * 将已保存的批次写入本地存储
+     * @private
+     */
+    _saveBatches() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.savedBatches));
+        } catch (error) {
+            console.error('保存批量交易失败:', error);
+        }
+    }
+    
+    /**
+     * 添加一个步骤到队列末尾
+     * @param {Object} step - { address, abi, signature, selector, params, value }
+     * @returns {Object} 添加的步骤（含id）
+     */
+    addStep({ address, abi, signature, selector, params = [], value = null }) {
+        this._assertIdle();
+        if (!ethers.utils.isAddress(address)) {
+            throw new Error('无效的合约地址');
+        }
+        
+        const step = { id: this.nextId++, address, abi, signature, selector, params, value };
+        this.queue.push(step);
+        this.callbacks.onQueueChange(this.getQueue());
+        return step;
+    }
+    
+    /**
+     * 校验已保存批次中的步骤（如从工作区文件导入的批次），不加入队列
+     * 步骤的ABI必须包含该函数，参数为数组，发送数量为wei整数字符串
+     * @param {Object} step - { address, abi, signature, selector, params, value }
+     * @returns {Object} 规范化后的步骤，地址转换为校验和格式
+     */
+    normalizeStep(step) {
+        if (typeof step.address !== 'string' || !ethers.utils.isAddress(step.address)) {
+            throw new Error(`无效的合约地址: ${step.address}`);
+        }
+        if (typeof step.signature !== 'string') {
+            throw new Error('缺少函数签名');
+        }
+        let fragment;
+        try {
+            fragment = new ethers.utils.Interface(step.abi).getFunction(step.signature);
+        } catch (error) {
+            throw new Error(`ABI中没有找到函数: ${step.signature}`);
+        }
+        
+        const params = step.params === undefined ? [] : step.params;
+        if (!Array.isArray(params) || params.length !== fragment.inputs.length) {
+            throw new Error(`参数数量应为${fragment.inputs.length}个`);
+        }
+        const value = step.value === undefined ? null : step.value;
+        if (value !== null && !(typeof value === 'string' && /^\d+$/.test(value))) {
+            throw new Error(`无效的发送数量: ${value}`);
+        }
+        
+        return {
+            ...step,
+            address: ethers.utils.getAddress(step.address),
+            selector: ethers.utils.Interface.getSighash(fragment),
+            params,
+            value
+        };
+    }
+    
+    /**
+     * 从队列中移除步骤
+     * @param {number} id - 步骤ID
+     */
+    removeStep(id) {
+        this._assertIdle();
+        this.queue = this.queue.filter(step => step.id !== id);
+        this.callbacks.onQueueChange(this.getQueue());
+    }
+    
+    /**
+     * 调整步骤顺序
+     * @param {number} id - 步骤ID
+     * @param {number} offset - 移动的位置数，-1为上移，1为下移
+     */
+    moveStep(id, offset) {
+        this._assertIdle();
+        const index = this.queue.findIndex(step => step.id === id);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= this.queue.length) return;
+        
+        const [step] = this.queue.splice(index, 1);
+        this.queue.splice(target, 0, step);
+        this.callbacks.onQueueChange(this.getQueue());
+    }
+    
+    /**
+     * 清空队列
+     */
+    clearQueue() {
+        this._assertIdle();
+        this.queue = [];
+        this.callbacks.onQueueChange(this.getQueue());
+    }
+    
+    /**
+     * 获取当前队列
+     * @returns {Array} 步骤列表
+     */
+    getQueue() {
+        return [...this.queue];
+    }
+    
+    /**
+     * 将当前队列保存为命名批次
+     * @param {string} name - 批次名称
+     */
+    saveBatch(name) {
+        if (!name || !name.trim()) {
+            throw new Error('请输入批次名称');
+        }
+        if (this.queue.length === 0) {
+            throw new Error('队列为空，无法保存');
+        }
+        
+        this.savedBatches[name.trim()] = {
+            savedAt: Date.now(),
+            steps: this.queue.map(({ id, ...step }) => step)
+        };
+        this._saveBatches();
+    }
+    
+    /**
+     * 加载命名批次，替换当前队列
+     * @param {string} name - 批次名称
+     */
+    loadBatch(name) {
+        this._assertIdle();
+        const batch = this.savedBatches[name];
+        if (!batch) {
+            throw new Error(`批次不存在: ${name}`);
+        }
+        
+        this.queue = batch.steps.map(step => ({ ...step, id: this.nextId++ }));
+        this.callbacks.onQueueChange(this.getQueue());
+    }
+    
+    /**
+     * 删除命名批次
+     * @param {string} name - 批次名称
+     */
+    deleteBatch(name) {
+        if (this.savedBatches[name]) {
+            delete this.savedBatches[name];
+            this._saveBatches();
+        }
+    }
+    
+    /**
+     * 获取已保存的批次名称
+     * @returns {Array<string>}
+     */
+    getSavedBatchNames() {
+        return Object.keys(this.savedBatches).sort();
+    }
+    
+    /**
+     * 按顺序执行队列，每步等待交易确认后再执行下一步，遇到第一个失败即停止
+     * @param {string} batchName - 批次名称（记录到历史中，可为空）
+     * @returns {Promise<Object>} { completed, total, failedStep, error }
+     */
+    async run(batchName = '') {
+        this._assertIdle();
+        if (this.queue.length === 0) {
+            throw new Error('队列为空');
+        }
+        
+        this.isRunning = true;
+        const steps = this.getQueue();
+        let completed = 0;
+        
+        try {
+            for (const [index, step] of steps.entries()) {
+                this.callbacks.onStepUpdate(step, { status: 'running' });
+                
+                let interactor = null;
+                const record = {
+                    timestamp: Date.now(),
+                    chainId: this.getChainId(),
+                    address: step.address,
+                    function: step.signature,
+                    selector: step.selector,
+                    params: step.params,
+                    value: step.value,
+                    batch: batchName || null,
+                    batchStep: `${index + 1}/${steps.length}`
+                };
+                
+                try {
+                    interactor = this._createInteractor(step);
+                    const result = await interactor.callFunction(step.signature, step.params, { value: step.value });
+                    this._addHistory({ ...record, result });
+                    this.callbacks.onStepUpdate(step, { status: 'success', result });
+                    completed++;
+                } catch (error) {
+                    const revert = interactor ? interactor.describeRevert(error) : null;
+                    const message = revert ? revert.reason : error.message;
+                    this._addHistory(revert ? { ...record, revert } : { ...record, error: message });
+                    this.callbacks.onStepUpdate(step, { status: 'failed', error: message, revert });
+                    
+                    // 后续步骤不再执行
+                    steps.slice(index + 1).forEach(skipped => {
+                        this.callbacks.onStepUpdate(skipped, { status: 'skipped' });
+                    });
+                    return { completed, total: steps.length, failedStep: index + 1, error: message };
+                }
+            }
+            
+            return { completed, total: steps.length, failedStep: null, error: null };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+    
+    /**
+     * 为步骤创建独立的合约交互实例
+     * @private
+     */
+    _createInteractor(step) {
+        const interactor = new ContractInteractor({
+            getProvider: this.getProvider,
+            getSigner: this.getSigner,
+            eventDecoder: this.eventDecoder,
+            errorDecoder: this.errorDecoder
+        });
+        interactor.setAbi(step.abi);
+        interactor.setContractAddress(step.address);
+        if (!interactor.isContractReady()) {
+            throw new Error('没有可用的Provider，请连接钱包或配置RPC节点');
+        }
+        return interactor;
+    }
+    
+    /**
+     * 记录步骤结果到历史
+     * @private
+     */
+    _addHistory(record) {
+        if (this.historyManager) {
+            this.historyManager.addToHistory(record);
+        }
+    }
+    
+    /**
+     * 执行期间禁止修改队列
+     * @private
+     */
+    _assertIdle() {
+        if (this.isRunning) {
+            throw new Error('批量交易执行中，请等待完成');
+        }
+    }
+}
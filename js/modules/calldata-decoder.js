@@ -0,0 +1,194 @@
+import { SelectorDatabase } from './selector-database.js';
+import { DecoderUtils } from './decoder-utils.js';
+
+/**
+ * 调用数据解码模块
+ * 负责按当前ABI、已保存的ABI和本地选择器库解码函数调用数据（calldata），
+ * 并递归解码multicall、Safe execTransaction、MultiSend等嵌套调用
+ */
+export class CalldataDecoder {
+    constructor(options = {}) {
+        // 获取已保存ABI的函数，返回 [{ name, abi }]
+        this.getSavedAbis = options.getSavedAbis || (() => []);
+        this.decoderUtils = new DecoderUtils({ getSavedAbis: () => this.getSavedAbis() });
+        this.selectorDatabase = options.selectorDatabase || new SelectorDatabase();
+        
+        // 嵌套调用的最大解码深度
+        this.maxDepth = 5;
+        // 参数名匹配时即使无法识别也作为嵌套调用显示
+        this.callDataNamePattern = /^_?(data|callData)$/i;
+    }
+    
+    /**
+     * 解码调用数据
+     * @param {string} data - 调用数据（十六进制）
+     * @param {Array} currentAbi - 当前加载的ABI（优先匹配）
+     * @param {number} depth - 当前嵌套深度
+     * @returns {Object} { selector, decoded, name, signature, abiName, abi, args, calls }，无法匹配时decoded为false；
+     *                   calls为嵌套调用 [{ path, to, value, operation, call }]
+     */
+    decode(data, currentAbi = null, depth = 0) {
+        if (!data || !ethers.utils.isHexString(data) || data.length < 10) {
+            return { selector: null, decoded: false, data };
+        }
+        
+        const selector = data.slice(0, 10).toLowerCase();
+        const result = { selector, decoded: false, data };
+        
+        for (const source of this._buildSources(currentAbi)) {
+            let fragment;
+            try {
+                fragment = source.iface.getFunction(selector);
+            } catch (error) {
+                continue;
+            }
+            
+            try {
+                const args = source.iface.decodeFunctionData(fragment, data);
+                const calls = depth < this.maxDepth
+                    ? this._findNestedCalls(fragment, args, currentAbi, depth)
+                    : [];
+                return {
+                    ...result,
+                    decoded: true,
+                    name: fragment.name,
+                    signature: fragment.format(),
+                    abiName: source.name,
+                    // 本地选择器库匹配时只保留该函数的片段
+                    abi: source.abi || [JSON.parse(fragment.format('json'))],
+                    args: fragment.inputs.map((input, index) => ({
+                        name: input.name || `arg${index}`,
+                        type: input.format(),
+                        value: this.decoderUtils.formatValue(args[index])
+                    })),
+                    calls
+                };
+            } catch (error) {
+                // 选择器相同但参数无法解码（例如选择器冲突），继续尝试其他ABI
+                continue;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 拆分MultiSend打包的交易数据
+     * 每笔交易格式为 operation(1字节) + to(20字节) + value(32字节) + dataLength(32字节) + data
+     * @param {string} packed - 打包后的交易数据
+     * @returns {Array} [{ operation, to, value, data }]
+     */
+    unpackMultiSend(packed) {
+        const bytes = ethers.utils.arrayify(packed);
+        const transactions = [];
+        let offset = 0;
+        
+        while (offset < bytes.length) {
+            if (offset + 85 > bytes.length) {
+                throw new Error('MultiSend数据长度不正确');
+            }
+            const dataLength = ethers.BigNumber.from(bytes.slice(offset + 53, offset + 85)).toNumber();
+            const end = offset + 85 + dataLength;
+            if (end > bytes.length) {
+                throw new Error('MultiSend数据长度不正确');
+            }
+            
+            transactions.push({
+                operation: bytes[offset],
+                to: ethers.utils.getAddress(ethers.utils.hexlify(bytes.slice(offset + 1, offset + 21))),
+                value: ethers.BigNumber.from(bytes.slice(offset + 21, offset + 53)).toString(),
+                data: ethers.utils.hexlify(bytes.slice(offset + 85, end))
+            });
+            offset = end;
+        }
+        
+        return transactions;
+    }
+    
+    /**
+     * 查找参数中的嵌套调用并递归解码
+     * MultiSend按打包格式拆分；其他函数查找bytes参数（包括数组和结构体中的），
+     * 目标地址取同一层级中的第一个address参数（如execTransaction的to、aggregate3的target）
+     * @param {ethers.utils.FunctionFragment} fragment - 函数片段
+     * @param {ethers.utils.Result} args - 解码后的参数
+     * @param {Array} currentAbi - 当前加载的ABI
+     * @param {number} depth - 当前嵌套深度
+     * @returns {Array} [{ path, to, value, operation, call }]
+     * @private
+     */
+    _findNestedCalls(fragment, args, currentAbi, depth) {
+        if (fragment.format() === 'multiSend(bytes)') {
+            try {
+                return this.unpackMultiSend(args[0]).map((tx, index) => ({
+                    path: `transactions[${index}]`,
+                    ...tx,
+                    call: tx.data === '0x' ? null : this.decode(tx.data, currentAbi, depth + 1)
+                }));
+            } catch (error) {
+                console.warn('MultiSend数据无法拆分:', error);
+                return [];
+            }
+        }
+        
+        const calls = [];
+        const walk = (param, value, path, target) => {
+            if (param.type === 'bytes') {
+                if (ethers.utils.hexDataLength(value) < 4) return;
+                const call = this.decode(value, currentAbi, depth + 1);
+                if (call.decoded || this.callDataNamePattern.test(param.name || '')) {
+                    calls.push({ path, to: target, call });
+                }
+            } else if (param.baseType === 'array') {
+                // bytes[]的元素没有参数名，无法识别时同样显示
+                value.forEach((item, index) => {
+                    if (param.arrayChildren.type === 'bytes' && ethers.utils.hexDataLength(item) >= 4) {
+                        calls.push({
+                            path: `${path}[${index}]`,
+                            to: target,
+                            call: this.decode(item, currentAbi, depth + 1)
+                        });
+                        return;
+                    }
+                    walk(param.arrayChildren, item, `${path}[${index}]`, target);
+                });
+            } else if (param.baseType === 'tuple') {
+                const tupleTarget = this._firstAddress(param.components, value) || target;
+                param.components.forEach((component, index) => {
+                    walk(component, value[index], `${path}.${component.name || index}`, tupleTarget);
+                });
+            }
+        };
+        
+        const target = this._firstAddress(fragment.inputs, args);
+        fragment.inputs.forEach((input, index) => {
+            walk(input, args[index], input.name || `arg${index}`, target);
+        });
+        return calls;
+    }
+    
+    /**
+     * 获取同一层级中第一个address参数的值
+     * @param {Array} params - 参数类型列表
+     * @param {Array} values - 参数值
+     * @returns {string|null} 地址，没有address参数时为null
+     * @private
+     */
+    _firstAddress(params, values) {
+        const index = params.findIndex(param => param.type === 'address');
+        return index >= 0 ? values[index] : null;
+    }
+    
+    /**
+     * 构建用于匹配的候选ABI列表，当前ABI优先，本地选择器库最后
+     * @param {Array} currentAbi - 当前加载的ABI
+     * @returns {Array} [{ name, abi, iface }]
+     * @private
+     */
+    _buildSources(currentAbi) {
+        const sources = this.decoderUtils.buildSources(currentAbi);
+        
+        // 本地选择器库放在最后，只在ABI都无法匹配时使用
+        sources.push({ name: '内置选择器库', abi: null, iface: this.selectorDatabase.getInterface() });
+        return sources;
+    }
+}
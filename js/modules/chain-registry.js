@@ -0,0 +1,271 @@
+/**
+ * 链注册表模块
+ * 负责网络信息（名称、原生币、RPC、区块浏览器）的存储和管理
+ */
+export class ChainRegistry {
+    constructor() {
+        this.chains = {};
+        this.storageKey = 'chain_registry';
+        
+        // 默认内置的网络
+        this.defaultChains = [
+            {
+                chainId: '0x1',
+                name: '以太坊主网',
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://ethereum-rpc.publicnode.com'],
+                explorerUrl: 'https://etherscan.io'
+            },
+            {
+                chainId: '0xaa36a7',
+                name: 'Sepolia测试网',
+                nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com'],
+                explorerUrl: 'https://sepolia.etherscan.io'
+            },
+            {
+                chainId: '0x88bb0',
+                name: 'Hoodi测试网',
+                nativeCurrency: { name: 'Hoodi Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://ethereum-hoodi-rpc.publicnode.com'],
+                explorerUrl: 'https://hoodi.etherscan.io'
+            },
+            {
+                chainId: '0x38',
+                name: '币安智能链',
+                nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 },
+                rpcUrls: ['https://bsc-dataseed.bnbchain.org'],
+                explorerUrl: 'https://bscscan.com'
+            },
+            {
+                chainId: '0x89',
+                name: 'Polygon',
+                nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 },
+                rpcUrls: ['https://polygon-rpc.com'],
+                explorerUrl: 'https://polygonscan.com'
+            },
+            {
+                chainId: '0xa4b1',
+                name: 'Arbitrum One',
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+                explorerUrl: 'https://arbiscan.io'
+            },
+            {
+                chainId: '0xa',
+                name: 'OP Mainnet',
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://mainnet.optimism.io'],
+                explorerUrl: 'https://optimistic.etherscan.io'
+            },
+            {
+                chainId: '0x2105',
+                name: 'Base',
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['https://mainnet.base.org'],
+                explorerUrl: 'https://basescan.org'
+            },
+            {
+                chainId: '0x7a69',
+                name: '本地节点 (Anvil/Hardhat)',
+                nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+                rpcUrls: ['http://127.0.0.1:8545'],
+                explorerUrl: ''
+            }
+        ];
+        
+        this._loadChains();
+    }
+    
+    /**
+     * 从本地存储加载网络列表，没有保存过时使用默认网络
+     * @private
+     */
+    _loadChains() {
+        try {
+            const storedChains = localStorage.getItem(this.storageKey);
+            if (storedChains) {
+                this.chains = JSON.parse(storedChains);
+                console.log(`已加载${Object.keys(this.chains).length}个网络配置`);
+                return;
+            }
+        } catch (error) {
+            console.error('加载网络配置失败:', error);
+        }
+        
+        this.chains = {};
+        this.defaultChains.forEach(chain => {
+            this.chains[chain.chainId] = { ...chain };
+        });
+    }
+    
+    /**
+     * 将网络列表保存到本地存储
+     * @private
+     */
+    _saveChains() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.chains));
+        } catch (error) {
+            console.error('保存网络配置失败:', error);
+        }
+    }
+    
+    /**
+     * 将十进制或十六进制链ID统一为十六进制字符串
+     * @param {string|number} chainId - 链ID
+     * @returns {string} 十六进制链ID
+     */
+    normalizeChainId(chainId) {
+        try {
+            return ethers.utils.hexValue(ethers.BigNumber.from(String(chainId).trim()));
+        } catch (error) {
+            throw new Error(`无效的链ID: ${chainId}`);
+        }
+    }
+    
+    /**
+     * 获取所有网络，按链ID排序
+     * @returns {Array} 网络列表
+     */
+    getChains() {
+        return Object.values(this.chains).sort((a, b) => parseInt(a.chainId, 16) - parseInt(b.chainId, 16));
+    }
+    
+    /**
+     * 根据链ID获取网络
+     * @param {string|number} chainId - 链ID
+     * @returns {Object|null} 网络信息
+     */
+    getChain(chainId) {
+        if (chainId === null || chainId === undefined || chainId === '') return null;
+        try {
+            return this.chains[this.normalizeChainId(chainId)] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * 获取网络名称，未登记的网络返回链ID描述
+     * @param {string|number} chainId - 链ID
+     * @returns {string} 网络名称
+     */
+    getChainName(chainId) {
+        const chain = this.getChain(chainId);
+        return chain ? chain.name : `链ID: ${parseInt(chainId, 16)}`;
+    }
+    
+    /**
+     * 获取原生币符号，未登记的网络返回ETH
+     * @param {string|number} chainId - 链ID
+     * @returns {string} 原生币符号
+     */
+    getNativeSymbol(chainId) {
+        const chain = this.getChain(chainId);
+        return chain ? chain.nativeCurrency.symbol : 'ETH';
+    }
+    
+    /**
+     * 新增或更新网络
+     * @param {Object} chain - 网络信息 { chainId, name, nativeCurrency, rpcUrls, explorerUrl }
+     * @returns {Object} 保存后的网络信息
+     */
+    saveChain(chain) {
+        const savedChain = this.normalizeChain(chain);
+        this.chains[savedChain.chainId] = savedChain;
+        this._saveChains();
+        console.log(`网络已保存: ${savedChain.name} (${savedChain.chainId})`);
+        return savedChain;
+    }
+    
+    /**
+     * 校验并规范化网络信息，不保存
+     * @param {Object} chain - 网络信息 { chainId, name, nativeCurrency, rpcUrls, explorerUrl }
+     * @returns {Object} 规范化后的网络信息
+     */
+    normalizeChain(chain) {
+        const chainId = this.normalizeChainId(chain.chainId);
+        if (!chain.name || !chain.name.trim()) {
+            throw new Error('网络名称不能为空');
+        }
+        
+        const currency = chain.nativeCurrency || {};
+        if (!currency.symbol || !currency.symbol.trim()) {
+            throw new Error('原生币符号不能为空');
+        }
+        
+        const decimals = parseInt(currency.decimals === undefined || currency.decimals === '' ? 18 : currency.decimals, 10);
+        if (isNaN(decimals) || decimals < 0 || decimals > 36) {
+            throw new Error('原生币精度无效');
+        }
+        
+        const rpcUrls = (chain.rpcUrls || []).map(url => url.trim()).filter(Boolean);
+        rpcUrls.forEach(url => {
+            if (!/^(https?|wss?):\/\/.+/.test(url)) {
+                throw new Error(`无效的RPC地址: ${url}`);
+            }
+        });
+        
+        const explorerUrl = (chain.explorerUrl || '').trim().replace(/\/+$/, '');
+        if (explorerUrl && !/^https?:\/\/.+/.test(explorerUrl)) {
+            throw new Error(`无效的区块浏览器地址: ${explorerUrl}`);
+        }
+        
+        return {
+            chainId,
+            name: chain.name.trim(),
+            nativeCurrency: {
+                name: (currency.name || currency.symbol).trim(),
+                symbol: currency.symbol.trim(),
+                decimals
+            },
+            rpcUrls,
+            explorerUrl
+        };
+    }
+    
+    /**
+     * 删除网络
+     * @param {string|number} chainId - 链ID
+     */
+    deleteChain(chainId) {
+        const key = this.normalizeChainId(chainId);
+        if (this.chains[key]) {
+            delete this.chains[key];
+            this._saveChains();
+            console.log(`网络已删除: ${key}`);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * 恢复默认网络列表
+     */
+    resetToDefaults() {
+        localStorage.removeItem(this.storageKey);
+        this._loadChains();
+    }
+    
+    /**
+     * 生成wallet_addEthereumChain所需的参数
+     * @param {string|number} chainId - 链ID
+     * @returns {Object|null} 添加网络参数
+     */
+    getAddChainParams(chainId) {
+        const chain = this.getChain(chainId);
+        if (!chain) return null;
+        
+        const params = {
+            chainId: chain.chainId,
+            chainName: chain.name,
+            nativeCurrency: chain.nativeCurrency,
+            rpcUrls: chain.rpcUrls
+        };
+        if (chain.explorerUrl) {
+            params.blockExplorerUrls = [chain.explorerUrl];
+        }
+        return params;
+    }
+}
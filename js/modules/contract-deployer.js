@@ -0,0 +1,208 @@
+import { ContractInteractor } from './contract-interactor.js';
+import { TxOptions } from './tx-options.js';
+
+/**
+ * 合约部署模块
+ * 负责用创建字节码和构造函数参数部署合约，支持直接部署和通过CREATE2工厂部署
+ */
+export class ContractDeployer {
+    constructor(options = {}) {
+        this.getSigner = options.getSigner || (() => null);
+        
+        // 确定性部署代理（Arachnid deterministic-deployment-proxy），调用数据为 salt(32字节) + 部署数据
+        this.create2FactoryAddress = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+        
+        // 用户指定的Gas、手续费和nonce
+        this.txOptions = new TxOptions();
+    }
+    
+    /**
+     * 规范化创建字节码
+     * @param {string} bytecode - 创建字节码，可省略0x前缀
+     * @returns {string} 带0x前缀的字节码
+     */
+    normalizeBytecode(bytecode) {
+        let normalized = (bytecode || '').replace(/\s+/g, '');
+        if (normalized && !normalized.startsWith('0x')) {
+            normalized = `0x${normalized}`;
+        }
+        if (/__\$[0-9a-fA-F]{34}\$__|__[A-Za-z0-9_:.$]{36}__/.test(normalized)) {
+            throw new Error('字节码包含未链接的库地址，请先链接库后再部署');
+        }
+        if (!ethers.utils.isHexString(normalized) || normalized.length <= 2 || normalized.length % 2 !== 0) {
+            throw new Error('创建字节码无效');
+        }
+        return normalized;
+    }
+    
+    /**
+     * 规范化CREATE2盐值
+     * @param {string} salt - 32字节以内的十六进制（左侧补零），或任意文本（取keccak256），为空时使用0
+     * @returns {string} 32字节盐值
+     */
+    normalizeSalt(salt) {
+        const value = (salt || '').trim();
+        if (!value) {
+            return ethers.constants.HashZero;
+        }
+        if (ethers.utils.isHexString(value) && ethers.utils.hexDataLength(value) !== null && ethers.utils.hexDataLength(value) <= 32) {
+            return ethers.utils.hexZeroPad(value, 32);
+        }
+        return ethers.utils.id(value);
+    }
+    
+    /**
+     * 生成部署数据（字节码 + 构造函数参数）
+     * @param {Array} abi - 合约ABI
+     * @param {string} bytecode - 创建字节码
+     * @param {Array} params - 构造函数参数
+     * @returns {string} 部署数据
+     */
+    buildInitCode(abi, bytecode, params = []) {
+        const interactor = new ContractInteractor();
+        interactor.setAbi(abi);
+        return interactor.encodeDeployment(this.normalizeBytecode(bytecode), params);
+    }
+    
+    /**
+     * 计算CREATE2部署地址
+     * @param {string} initCode - 部署数据
+     * @param {string} salt - 盐值（见normalizeSalt）
+     * @param {string} factory - 工厂地址，默认使用确定性部署代理
+     * @returns {string} 合约地址
+     */
+    predictCreate2Address(initCode, salt, factory = null) {
+        return ethers.utils.getCreate2Address(
+            this._factoryAddress(factory),
+            this.normalizeSalt(salt),
+            ethers.utils.keccak256(initCode)
+        );
+    }
+    
+    /**
+     * 估算部署交易的Gas上限、当前手续费和账户nonce
+     * @param {Array} abi - 合约ABI
+     * @param {string} bytecode - 创建字节码
+     * @param {Array} params - 构造函数参数
+     * @param {Object} options - { value, create2: { salt, factory } }
+     * @returns {Promise<Object>} { gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, nonce }
+     */
+    async estimateDeployment(abi, bytecode, params = [], options = {}) {
+        const signer = this._requireSigner();
+        const { transaction } = await this._buildTransaction(abi, bytecode, params, options);
+        const from = await signer.getAddress();
+        
+        const [gasLimit, feeData, nonce] = await Promise.all([
+            signer.estimateGas({ ...transaction, from }),
+            signer.provider.getFeeData(),
+            signer.provider.getTransactionCount(from, 'pending')
+        ]);
+        
+        const toString = (value) => value ? value.toString() : null;
+        return {
+            gasLimit: gasLimit.toString(),
+            maxFeePerGas: toString(feeData.maxFeePerGas),
+            maxPriorityFeePerGas: toString(feeData.maxPriorityFeePerGas),
+            gasPrice: toString(feeData.gasPrice),
+            nonce
+        };
+    }
+    
+    /**
+     * 发送部署交易
+     * @param {Array} abi - 合约ABI
+     * @param {string} bytecode - 创建字节码
+     * @param {Array} params - 构造函数参数
+     * @param {Object} options - { value, create2: { salt, factory }, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, nonce }
+     * @returns {Promise<Object>} { tx, address }，address为合约将要部署到的地址
+     */
+    async deploy(abi, bytecode, params = [], options = {}) {
+        const signer = this._requireSigner();
+        const { transaction, address } = await this._buildTransaction(abi, bytecode, params, options);
+        
+        // 用户指定的Gas和手续费，未指定的字段交由钱包决定
+        this.txOptions.apply(transaction, options);
+        
+        const tx = await signer.sendTransaction(transaction);
+        return {
+            tx,
+            address: address || ethers.utils.getContractAddress({ from: tx.from, nonce: tx.nonce })
+        };
+    }
+    
+    /**
+     * 等待部署交易上链，并确认部署地址上已有合约代码
+     * @param {Object} tx - 部署交易
+     * @param {string} address - 合约地址
+     * @returns {Promise<Object>} 交易回执
+     */
+    async waitForDeployment(tx, address) {
+        const receipt = await tx.wait();
+        const code = await this._requireSigner().provider.getCode(address);
+        if (code === '0x') {
+            throw new Error(`部署交易已上链，但 ${address} 上没有合约代码`);
+        }
+        return receipt;
+    }
+    
+    /**
+     * 构建部署交易
+     * @returns {Promise<Object>} { transaction, address }，直接部署时address为null（取决于发送时的nonce）
+     * @private
+     */
+    async _buildTransaction(abi, bytecode, params, { value = null, create2 = null } = {}) {
+        const initCode = this.buildInitCode(abi, bytecode, params);
+        const transaction = { data: initCode };
+        if (value && value !== '0') {
+            transaction.value = ethers.BigNumber.from(value);
+        }
+        
+        if (!create2) {
+            return { transaction, address: null };
+        }
+        
+        const provider = this._requireSigner().provider;
+        const factory = this._factoryAddress(create2.factory);
+        if (await provider.getCode(factory) === '0x') {
+            throw new Error(`当前网络上没有部署CREATE2工厂: ${factory}`);
+        }
+        
+        const address = this.predictCreate2Address(initCode, create2.salt, factory);
+        if (await provider.getCode(address) !== '0x') {
+            throw new Error(`该盐值对应的地址已有合约: ${address}`);
+        }
+        
+        transaction.to = factory;
+        transaction.data = ethers.utils.hexConcat([this.normalizeSalt(create2.salt), initCode]);
+        return { transaction, address };
+    }
+    
+    /**
+     * 获取CREATE2工厂地址
+     * @param {string} factory - 用户指定的工厂地址，为空时使用默认工厂
+     * @returns {string} 工厂地址
+     * @private
+     */
+    _factoryAddress(factory) {
+        if (!factory) {
+            return this.create2FactoryAddress;
+        }
+        if (!ethers.utils.isAddress(factory)) {
+            throw new Error('CREATE2工厂地址无效');
+        }
+        return ethers.utils.getAddress(factory);
+    }
+    
+    /**
+     * 获取签名器，未连接钱包时抛出错误
+     * @returns {Signer}
+     * @private
+     */
+    _requireSigner() {
+        const signer = this.getSigner();
+        if (!signer) {
+            throw new Error('部署合约需要签名者，请先连接钱包');
+        }
+        return signer;
+    }
+}
@@ -1,3 +1,6 @@
+import { AbiFormat } from './abi-format.js';
+import { TxOptions } from './tx-options.js';
+
 /**
  * 合约交互模块
  * 负责与智能合约的交互
@@ -6,12 +9,25 @@ export class ContractInteractor {
     constructor(options = {}) {
         this.contractAddress = null;
         this.abi = null;
+        this.interface = null;
         this.contract = null;
         this.contractWithSigner = null;
         
-        // 获取provider和signer的函数
+        // 获取provider和signer的函数，provider用于只读调用，signer仅用于签名交易
         this.getProvider = options.getProvider || (() => null);
         this.getSigner = options.getSigner || (() => null);
+        
+        // 用于解码交易日志的事件解码器（可选）
+        this.eventDecoder = options.eventDecoder || null;
+        
+        // 用于解码回滚数据的错误解码器（可选）
+        this.errorDecoder = options.errorDecoder || null;
+        
+        // JSON ABI和可读格式ABI的解析
+        this.abiFormat = new AbiFormat();
+        
+        // 用户指定的Gas、手续费和nonce
+        this.txOptions = new TxOptions();
     }
     
     /**
@@ -29,16 +45,13 @@ export class ContractInteractor {
     
     /**
      * 设置ABI
-     * @param {Array|string} abi - 合约ABI（数组或JSON字符串）
+     * @param {Array|string} abi - 合约ABI：JSON数组、可读格式签名数组、JSON字符串或每行一个签名的文本
      */
     setAbi(abi) {
         try {
-            // 如果abi是字符串，则解析为JSON
-            if (typeof abi === 'string') {
-                this.abi = JSON.parse(abi);
-            } else {
-                this.abi = abi;
-            }
+            // 字符串可以是JSON或每行一个签名的可读格式，可读格式统一转换为JSON ABI
+            this.abi = this.abiFormat.parse(abi);
+            this.interface = new ethers.utils.Interface(this.abi);
             this._initializeContract();
             return true;
         } catch (error) {
@@ -47,11 +60,22 @@ export class ContractInteractor {
         }
     }
     
+    /**
+     * 重新获取Provider和Signer并初始化合约实例
+     * 在钱包连接、切换网络或修改RPC设置后调用
+     */
+    refreshProvider() {
+        return this._initializeContract();
+    }
+    
     /**
      * 初始化合约实例
      * @private
      */
     _initializeContract() {
+        this.contract = null;
+        this.contractWithSigner = null;
+        
         if (!this.contractAddress || !this.abi) {
             return false;
         }
@@ -100,6 +124,7 @@ export class ContractInteractor {
     
     /**
      * 获取可用的合约函数列表
+     * 重载函数按完整签名区分，每个重载单独列出
      * @returns {Array} 函数信息数组
      */
     getAvailableFunctions() {
@@ -107,36 +132,194 @@ export class ContractInteractor {
         
         return this.abi
             .filter(item => item.type === 'function')
-            .map(func => ({
-                name: func.name,
-                type: func.stateMutability,
-                inputs: func.inputs,
-                outputs: func.outputs,
-                constant: func.constant,
-                payable: func.payable || func.stateMutability === 'payable'
-            }));
+            .map(func => {
+                const fragment = ethers.utils.FunctionFragment.from(func);
+                return {
+                    name: func.name,
+                    signature: fragment.format(),
+                    selector: this.interface.getSighash(fragment),
+                    type: fragment.stateMutability,
+                    inputs: func.inputs,
+                    outputs: func.outputs,
+                    constant: func.constant,
+                    payable: func.payable || func.stateMutability === 'payable'
+                };
+            });
     }
     
     /**
      * 获取函数详细信息
-     * @param {string} functionName - 函数名称
-     * @returns {Object|null} 函数详细信息
+     * @param {string} functionKey - 完整签名（如 transfer(address,uint256)）、4字节选择器或函数名称
+     * @returns {Object|null} 函数详细信息（附带signature和selector字段）
      */
-    getFunctionDetails(functionName) {
-        if (!this.abi) return null;
+    getFunctionDetails(functionKey) {
+        if (!this.abi || !functionKey) return null;
+        
+        const candidates = this.getAvailableFunctions();
+        let matched;
+        
+        if (functionKey.includes('(')) {
+            // 完整签名，忽略空白差异
+            const normalized = functionKey.replace(/\s+/g, '');
+            matched = candidates.filter(func => func.signature === normalized);
+        } else if (/^0x[0-9a-fA-F]{8}$/.test(functionKey)) {
+            // 4字节选择器
+            matched = candidates.filter(func => func.selector === functionKey.toLowerCase());
+        } else {
+            // 函数名称，存在重载时无法确定具体函数
+            matched = candidates.filter(func => func.name === functionKey);
+            if (matched.length > 1) {
+                throw new Error(`函数 ${functionKey} 存在多个重载，请使用完整签名: ${matched.map(func => func.signature).join(', ')}`);
+            }
+        }
         
-        const funcDef = this.abi.find(
-            item => item.type === 'function' && item.name === functionName
+        if (matched.length === 0) return null;
+        
+        const { signature, selector } = matched[0];
+        const funcDef = this.abi.find(item =>
+            item.type === 'function' &&
+            ethers.utils.FunctionFragment.from(item).format() === signature
         );
         
-        return funcDef || null;
+        return { ...funcDef, signature, selector };
+    }
+    
+    /**
+     * 获取ABI中定义的事件列表
+     * @returns {Array} 事件信息数组
+     */
+    getAvailableEvents() {
+        if (!this.abi) return [];
+        
+        return this.abi
+            .filter(item => item.type === 'event')
+            .map(evt => {
+                const fragment = ethers.utils.EventFragment.from(evt);
+                return {
+                    name: evt.name,
+                    signature: fragment.format(),
+                    topic: fragment.anonymous ? null : this.interface.getEventTopic(fragment),
+                    inputs: evt.inputs,
+                    anonymous: !!evt.anonymous
+                };
+            });
+    }
+    
+    /**
+     * 获取事件详细信息
+     * @param {string} eventSignature - 事件签名，例如 Transfer(address,address,uint256)
+     * @returns {Object|null} 事件详细信息
+     */
+    getEventDetails(eventSignature) {
+        const normalized = eventSignature.replace(/\s+/g, '');
+        return this.getAvailableEvents().find(evt => evt.signature === normalized) || null;
+    }
+    
+    /**
+     * 生成事件查询的topics过滤条件
+     * @param {string} eventSignature - 事件签名，为空时查询全部事件
+     * @param {Array} indexedValues - 与事件参数对应的过滤值，null表示不过滤，数组表示任一匹配
+     * @returns {Array} topics
+     */
+    getEventFilterTopics(eventSignature, indexedValues = []) {
+        if (!eventSignature) return [];
+        
+        const details = this.getEventDetails(eventSignature);
+        if (!details) {
+            throw new Error(`合约中不存在事件: ${eventSignature}`);
+        }
+        
+        const fragment = this.interface.getEvent(details.signature);
+        const topics = this.interface.encodeFilterTopics(fragment, indexedValues);
+        
+        // 去掉末尾不过滤的topic
+        while (topics.length > 0 && topics[topics.length - 1] === null) {
+            topics.pop();
+        }
+        return topics;
+    }
+    
+    /**
+     * 按ABI编码函数调用数据
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
+     * @param {Array} params - 函数参数
+     * @returns {string} 调用数据（十六进制）
+     */
+    encodeFunctionCall(functionName, params = []) {
+        const funcDetails = this.getFunctionDetails(functionName);
+        if (!funcDetails) {
+            throw new Error(`合约中不存在函数: ${functionName}`);
+        }
+        
+        const processedParams = this._processParams(funcDetails.inputs, params);
+        return this.interface.encodeFunctionData(funcDetails.signature, processedParams);
+    }
+    
+    /**
+     * 获取构造函数信息，ABI中没有构造函数时视为无参数的构造函数
+     * @returns {Object|null} 构造函数定义，附带signature，ABI未设置时返回null
+     */
+    getConstructorDetails() {
+        if (!this.abi) return null;
+        
+        const fragment = this.interface.deploy;
+        const constructorDef = this.abi.find(item => item.type === 'constructor') || { type: 'constructor' };
+        return {
+            ...constructorDef,
+            inputs: constructorDef.inputs || [],
+            stateMutability: fragment.stateMutability,
+            payable: fragment.payable,
+            // 构造函数不支持format()的sighash格式，按参数类型拼接
+            signature: `constructor(${fragment.inputs.map(input => input.format()).join(',')})`
+        };
+    }
+    
+    /**
+     * 编码部署数据：创建字节码后接ABI编码的构造函数参数
+     * @param {string} bytecode - 创建字节码（十六进制）
+     * @param {Array} params - 构造函数参数
+     * @returns {string} 部署数据（十六进制）
+     */
+    encodeDeployment(bytecode, params = []) {
+        const constructorDetails = this.getConstructorDetails();
+        if (!constructorDetails) {
+            throw new Error('ABI未设置');
+        }
+        
+        const processedParams = this._processParams(constructorDetails.inputs, params);
+        return ethers.utils.hexConcat([bytecode, this.interface.encodeDeploy(processedParams)]);
+    }
+    
+    /**
+     * 按ABI解码函数返回数据，格式与callFunction的只读调用结果一致
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
+     * @param {string} data - 返回数据（十六进制）
+     * @returns {*} 格式化后的返回值
+     */
+    decodeFunctionResult(functionName, data) {
+        const funcDetails = this.getFunctionDetails(functionName);
+        if (!funcDetails) {
+            throw new Error(`合约中不存在函数: ${functionName}`);
+        }
+        
+        // 与ethers合约对象一致：只有一个返回值时直接返回该值
+        const result = this.interface.decodeFunctionResult(funcDetails.signature, data);
+        return this._formatResult(result.length === 1 ? result[0] : result, funcDetails.outputs);
+    }
+    
+    /**
+     * 获取只读Provider
+     * @returns {Provider|null}
+     */
+    getReadProvider() {
+        return this.contract ? this.contract.provider : this.getProvider();
     }
     
     /**
      * 调用合约函数
-     * @param {string} functionName - 函数名称
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
      * @param {Array} params - 函数参数
-     * @param {Object} options - 调用选项（例如value）
+     * @param {Object} options - 调用选项：value、maxFeePerGas、maxPriorityFeePerGas、gasPrice（wei），以及gasLimit和nonce
      * @returns {Promise} 调用结果
      */
     async callFunction(functionName, params = [], options = {}) {
@@ -151,40 +334,14 @@ export class ContractInteractor {
         
         try {
             // 根据函数类型决定是读取还是写入操作
-            const isReadOnly = 
-                funcDetails.stateMutability === 'view' || 
-                funcDetails.stateMutability === 'pure' ||
-                funcDetails.constant;
-                
-            const isPayable = 
-                funcDetails.stateMutability === 'payable' || 
-                funcDetails.payable;
-            
-            // 处理参数类型转换
-            const processedParams = this._processParams(funcDetails.inputs, params);
-            
-            if (isReadOnly) {
+            if (this.isReadOnlyFunction(funcDetails)) {
                 // 只读函数调用
-                const result = await this.contract[functionName](...processedParams);
+                const processedParams = this._processParams(funcDetails.inputs, params);
+                const result = await this.contract[funcDetails.signature](...processedParams);
                 return this._formatResult(result, funcDetails.outputs);
             } else {
                 // 需要交易的函数调用
-                if (!this.contractWithSigner) {
-                    throw new Error('需要签名者执行此操作，请先连接钱包');
-                }
-                
-                const txOptions = {};
-                
-                // 如果是可支付函数且提供了value
-                if (isPayable && options.value) {
-                    txOptions.value = ethers.utils.parseEther(options.value.toString());
-                }
-                
-                // 发送交易
-                const tx = await this.contractWithSigner[functionName](
-                    ...processedParams,
-                    txOptions
-                );
+                const tx = await this.sendFunction(functionName, params, options);
                 
                 // 等待交易确认
                 const receipt = await tx.wait();
@@ -192,8 +349,8 @@ export class ContractInteractor {
                     transactionHash: receipt.transactionHash,
                     blockNumber: receipt.blockNumber,
                     status: receipt.status === 1 ? '成功' : '失败',
-                    events: receipt.events,
-                    receipt: receipt
+                    gasUsed: receipt.gasUsed.toString(),
+                    logs: this.decodeLogs(receipt.logs)
                 };
             }
         } catch (error) {
@@ -202,6 +359,262 @@ export class ContractInteractor {
         }
     }
     
+    /**
+     * 发送写入交易，不等待确认
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
+     * @param {Array} params - 函数参数
+     * @param {Object} options - 调用选项，同callFunction
+     * @returns {Promise<Object>} ethers的TransactionResponse
+     */
+    async sendFunction(functionName, params = [], options = {}) {
+        if (!this.isContractReady()) {
+            throw new Error('合约未准备好，请先设置合约地址和ABI');
+        }
+        
+        const funcDetails = this.getFunctionDetails(functionName);
+        if (!funcDetails) {
+            throw new Error(`合约中不存在函数: ${functionName}`);
+        }
+        
+        if (!this.contractWithSigner) {
+            throw new Error('需要签名者执行此操作，请先连接钱包');
+        }
+        
+        // 只读网络可能是自定义RPC，发送交易前确认钱包在同一条链上
+        await this._ensureSignerChain();
+        
+        // 处理参数类型转换
+        const processedParams = this._processParams(funcDetails.inputs, params);
+        const txOptions = {};
+        
+        // 如果是可支付函数且提供了value（单位wei）
+        if (this.isPayableFunction(funcDetails) && options.value) {
+            txOptions.value = ethers.BigNumber.from(options.value);
+        }
+        
+        // 用户指定的Gas和手续费，未指定的字段交由钱包决定
+        this.txOptions.apply(txOptions, options);
+        
+        try {
+            return await this.contractWithSigner[funcDetails.signature](...processedParams, txOptions);
+        } catch (error) {
+            console.error(`发送交易失败 [${functionName}]:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * 估算写入交易的Gas上限、当前手续费和账户nonce
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
+     * @param {Array} params - 函数参数
+     * @param {Object} options - 调用选项（例如value，以wei为单位）
+     * @returns {Promise<Object>} { gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, nonce }，数值为wei字符串，链不支持的字段为null
+     */
+    async estimateTransaction(functionName, params = [], options = {}) {
+        if (!this.isContractReady()) {
+            throw new Error('合约未准备好，请先设置合约地址和ABI');
+        }
+        
+        const funcDetails = this.getFunctionDetails(functionName);
+        if (!funcDetails) {
+            throw new Error(`合约中不存在函数: ${functionName}`);
+        }
+        
+        const signer = this.getSigner();
+        if (!signer) {
+            throw new Error('估算需要发送账户，请先连接钱包');
+        }
+        
+        const from = await signer.getAddress();
+        const overrides = { from };
+        if (this.isPayableFunction(funcDetails) && options.value) {
+            overrides.value = ethers.BigNumber.from(options.value);
+        }
+        
+        const processedParams = this._processParams(funcDetails.inputs, params);
+        const provider = this.getReadProvider();
+        const [gasLimit, feeData, nonce] = await Promise.all([
+            this.contract.estimateGas[funcDetails.signature](...processedParams, overrides),
+            provider.getFeeData(),
+            provider.getTransactionCount(from, 'pending')
+        ]);
+        
+        const toString = (value) => value ? value.toString() : null;
+        return {
+            gasLimit: gasLimit.toString(),
+            maxFeePerGas: toString(feeData.maxFeePerGas),
+            maxPriorityFeePerGas: toString(feeData.maxPriorityFeePerGas),
+            gasPrice: toString(feeData.gasPrice),
+            nonce
+        };
+    }
+    
+    /**
+     * 通过eth_call（callStatic）模拟执行函数，不签名也不上链
+     * 已连接钱包时以当前账户作为调用者
+     * @param {string} functionName - 完整签名、选择器或（无重载时的）函数名称
+     * @param {Array} params - 函数参数
+     * @param {Object} options - 调用选项（例如value，以wei为单位）
+     * @returns {Promise<Object>} 成功时为 { success: true, from, result }，回滚时为 { success: false, from, revert }
+     */
+    async simulateFunction(functionName, params = [], options = {}) {
+        if (!this.isContractReady()) {
+            throw new Error('合约未准备好，请先设置合约地址和ABI');
+        }
+        
+        const funcDetails = this.getFunctionDetails(functionName);
+        if (!funcDetails) {
+            throw new Error(`合约中不存在函数: ${functionName}`);
+        }
+        
+        const processedParams = this._processParams(funcDetails.inputs, params);
+        const overrides = {};
+        
+        const signer = this.getSigner();
+        const from = signer ? await signer.getAddress() : null;
+        if (from) {
+            overrides.from = from;
+        }
+        if (this.isPayableFunction(funcDetails) && options.value) {
+            overrides.value = ethers.BigNumber.from(options.value);
+        }
+        
+        try {
+            const result = await this.contract.callStatic[funcDetails.signature](...processedParams, overrides);
+            return {
+                success: true,
+                from,
+                result: this._formatResult(result, funcDetails.outputs)
+            };
+        } catch (error) {
+            const revert = this.describeRevert(error);
+            if (!revert) {
+                console.error(`模拟执行失败 [${functionName}]:`, error);
+                throw error;
+            }
+            return { success: false, from, revert };
+        }
+    }
+    
+    /**
+     * 从调用错误中提取回滚信息
+     * @param {Error} error - ethers或钱包抛出的错误
+     * @returns {Object|null} { reason, data, decoded }，不是合约回滚时返回null
+     */
+    describeRevert(error) {
+        if (!error) return null;
+        
+        const data = this._extractRevertData(error);
+        const isRevert = data !== null ||
+            error.code === 'CALL_EXCEPTION' ||
+            error.code === 'UNPREDICTABLE_GAS_LIMIT';
+        if (!isRevert) return null;
+        
+        // 优先按当前ABI和已保存ABI解码回滚数据
+        if (data && this.errorDecoder) {
+            return this.decodeRevertData(data);
+        }
+        
+        return {
+            reason: error.reason || error.errorName || '未知原因（合约未返回回滚信息）',
+            data,
+            decoded: null
+        };
+    }
+    
+    /**
+     * 解码回滚数据（例如Multicall中单个调用失败时的返回数据）
+     * @param {string} data - 回滚数据（十六进制）
+     * @returns {Object} { reason, data, decoded }
+     */
+    decodeRevertData(data) {
+        if (!this.errorDecoder) {
+            return { reason: `合约回滚（回滚数据 ${data || '0x'}）`, data, decoded: null };
+        }
+        const decoded = this.errorDecoder.decode(data, this.abi);
+        return { reason: decoded.reason, data, decoded };
+    }
+    
+    /**
+     * 在嵌套的错误对象中查找回滚数据
+     * 不同Provider和钱包会把数据放在error.data、error.error.data或JSON格式的error.body中
+     * @private
+     */
+    _extractRevertData(error, depth = 0) {
+        if (!error || typeof error !== 'object' || depth > 5) return null;
+        
+        if (typeof error.data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(error.data)) {
+            return error.data;
+        }
+        
+        if (typeof error.body === 'string') {
+            try {
+                const found = this._extractRevertData(JSON.parse(error.body).error, depth + 1);
+                if (found) return found;
+            } catch (parseError) {
+                // body不是JSON，忽略
+            }
+        }
+        
+        for (const key of ['error', 'data', 'originalError']) {
+            const found = this._extractRevertData(error[key], depth + 1);
+            if (found) return found;
+        }
+        return null;
+    }
+    
+    /**
+     * 判断函数是否为只读函数
+     * @param {Object} funcDetails - 函数详细信息
+     * @returns {boolean}
+     */
+    isReadOnlyFunction(funcDetails) {
+        return funcDetails.stateMutability === 'view' || 
+            funcDetails.stateMutability === 'pure' ||
+            !!funcDetails.constant;
+    }
+    
+    /**
+     * 判断函数是否可接收ETH
+     * @param {Object} funcDetails - 函数详细信息
+     * @returns {boolean}
+     */
+    isPayableFunction(funcDetails) {
+        return funcDetails.stateMutability === 'payable' || !!funcDetails.payable;
+    }
+    
+    /**
+     * 按当前ABI（及事件解码器中的其他ABI）解码日志
+     * @param {Array} logs - 原始日志
+     * @returns {Array} 解码后的日志
+     */
+    decodeLogs(logs) {
+        if (this.eventDecoder) {
+            return this.eventDecoder.decodeLogs(logs, this.abi);
+        }
+        return (logs || []).map(log => ({
+            logIndex: log.logIndex,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            decoded: false
+        }));
+    }
+    
+    /**
+     * 检查钱包网络是否与只读Provider的网络一致
+     * @private
+     */
+    async _ensureSignerChain() {
+        const signerChainId = await this.contractWithSigner.signer.getChainId();
+        const { chainId: readChainId } = await this.contract.provider.getNetwork();
+        if (signerChainId !== readChainId) {
+            throw new Error(`钱包网络（链ID ${signerChainId}）与当前网络（链ID ${readChainId}）不一致，请先切换钱包网络`);
+        }
+    }
+    
     /**
      * 处理输入参数，进行必要的类型转换
      * @param {Array} inputDefinitions - 输入参数定义
@@ -216,31 +629,54 @@ export class ContractInteractor {
             const value = params[index];
             if (value === undefined) return undefined;
             
-            // 根据类型进行转换
-            const type = input.type;
-            
-            // 处理数组类型
-            if (type.includes('[]') && Array.isArray(value)) {
-                return value;
-            }
-            
-            // 处理常见类型
-            if (type.startsWith('uint') || type.startsWith('int')) {
-                return value.toString(); // ethers.js会自动处理数字类型
-            } else if (type === 'address') {
-                return value; // 地址应该已经是字符串
-            } else if (type === 'bool') {
-                return Boolean(value);
-            } else if (type.startsWith('bytes')) {
-                return value; // 字节类型
-            } else if (type === 'string') {
-                return value;
-            }
-            
-            return value; // 其他类型按原样返回
+            return this._processValue(input, value);
         });
     }
     
+    /**
+     * 按参数定义转换单个值，递归处理tuple和数组
+     * @param {Object} input - 参数定义（可包含components）
+     * @param {*} value - 实际值
+     * @returns {*} 处理后的值
+     * @private
+     */
+    _processValue(input, value) {
+        const type = input.type;
+        
+        // 处理数组类型（包括定长数组和多维数组）
+        const arrayMatch = type.match(/^(.*)\[\d*\]$/);
+        if (arrayMatch) {
+            if (!Array.isArray(value)) return value;
+            const elementDefinition = { ...input, type: arrayMatch[1] };
+            return value.map(item => this._processValue(elementDefinition, item));
+        }
+        
+        // 处理tuple类型，支持按字段顺序的数组或按字段名的对象
+        if (type === 'tuple') {
+            if (value === null || typeof value !== 'object') return value;
+            const components = input.components || [];
+            return components.map((component, index) => {
+                const fieldValue = Array.isArray(value) ? value[index] : value[component.name];
+                return this._processValue(component, fieldValue);
+            });
+        }
+        
+        // 处理常见类型
+        if (type.startsWith('uint') || type.startsWith('int')) {
+            return value.toString(); // ethers.js会自动处理数字类型
+        } else if (type === 'address') {
+            return value; // 地址应该已经是字符串
+        } else if (type === 'bool') {
+            return Boolean(value);
+        } else if (type.startsWith('bytes')) {
+            return value; // 字节类型
+        } else if (type === 'string') {
+            return value;
+        }
+        
+        return value; // 其他类型按原样返回
+    }
+    
     /**
      * 格式化合约调用结果
      * @param {*} result - 原始结果
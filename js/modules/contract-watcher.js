@@ -0,0 +1,291 @@
+import { ContractInteractor } from './contract-interactor.js';
+
+/**
+ * 合约监控模块
+ * 负责订阅合约事件，以及在每个新区块重新查询固定的只读函数
+ */
+export class ContractWatcher {
+    constructor(options = {}) {
+        this.getProvider = options.getProvider || (() => null);
+        this.eventDecoder = options.eventDecoder || null;
+        
+        // 回调函数
+        this.callbacks = {
+            onEvent: options.onEvent || (() => {}),
+            onWatchUpdate: options.onWatchUpdate || (() => {}),
+            onBlock: options.onBlock || (() => {})
+        };
+        
+        this.watches = [];
+        this.subscriptions = [];
+        this.provider = null;
+        this.latestBlock = null;
+        this.nextId = 1;
+        this.maxChangeLog = 20;
+        this.isPolling = false;
+        
+        this._blockListener = (blockNumber) => this._onBlock(blockNumber);
+    }
+    
+    /**
+     * 固定一个只读函数调用，每个新区块重新查询
+     * @param {Object} options - { address, abi, signature, params }
+     * @returns {Promise<Object>} 监控项
+     */
+    async addWatch({ address, abi, signature, params }) {
+        const interactor = this._createInteractor(address, abi);
+        const details = interactor.getFunctionDetails(signature);
+        if (!details) {
+            throw new Error(`合约中不存在函数: ${signature}`);
+        }
+        if (details.stateMutability !== 'view' && details.stateMutability !== 'pure' && !details.constant) {
+            throw new Error('只能监控view或pure函数');
+        }
+        
+        const watch = {
+            id: this.nextId++,
+            address,
+            signature: details.signature,
+            params,
+            interactor,
+            value: null,
+            previousValue: null,
+            change: null,
+            blockNumber: null,
+            error: null,
+            changeLog: []
+        };
+        
+        this.watches.push(watch);
+        this._attachProvider();
+        await this._pollWatch(watch, this.latestBlock);
+        this.callbacks.onWatchUpdate(this.getWatches());
+        return watch;
+    }
+    
+    /**
+     * 取消监控项
+     * @param {number} id - 监控项ID
+     */
+    removeWatch(id) {
+        this.watches = this.watches.filter(watch => watch.id !== id);
+        this._detachIfIdle();
+        this.callbacks.onWatchUpdate(this.getWatches());
+    }
+    
+    /**
+     * 获取监控项列表（不包含内部的合约实例）
+     * @returns {Array} 监控项
+     */
+    getWatches() {
+        return this.watches.map(({ interactor, ...watch }) => watch);
+    }
+    
+    /**
+     * 订阅合约事件
+     * @param {Object} options - { address, abi, eventSignature }，eventSignature为空时订阅全部事件
+     * @returns {Object} 订阅项
+     */
+    subscribeEvent({ address, abi, eventSignature }) {
+        const interactor = this._createInteractor(address, abi);
+        const subscription = {
+            id: this.nextId++,
+            address,
+            eventSignature: eventSignature || '',
+            filter: {
+                address,
+                topics: interactor.getEventFilterTopics(eventSignature)
+            },
+            interactor
+        };
+        subscription.listener = (log) => {
+            const [decodedLog] = interactor.decodeLogs([log]);
+            this.callbacks.onEvent(decodedLog, subscription.id);
+        };
+        
+        this.subscriptions.push(subscription);
+        if (this.provider) {
+            this.provider.on(subscription.filter, subscription.listener);
+        } else {
+            this._attachProvider();
+        }
+        return this._describeSubscription(subscription);
+    }
+    
+    /**
+     * 取消事件订阅
+     * @param {number} id - 订阅项ID
+     */
+    unsubscribeEvent(id) {
+        const subscription = this.subscriptions.find(item => item.id === id);
+        if (!subscription) return false;
+        
+        if (this.provider) {
+            this.provider.off(subscription.filter, subscription.listener);
+        }
+        this.subscriptions = this.subscriptions.filter(item => item.id !== id);
+        this._detachIfIdle();
+        return true;
+    }
+    
+    /**
+     * 获取事件订阅列表
+     * @returns {Array} 订阅项
+     */
+    getSubscriptions() {
+        return this.subscriptions.map(subscription => this._describeSubscription(subscription));
+    }
+    
+    /**
+     * Provider变化后（切换网络或修改RPC设置）重新挂载监听
+     */
+    refreshProvider() {
+        this._detachProvider();
+        this.watches.forEach(watch => watch.interactor.refreshProvider());
+        this.subscriptions.forEach(subscription => subscription.interactor.refreshProvider());
+        this._attachProvider();
+    }
+    
+    /**
+     * 创建独立的合约交互实例，切换当前合约不会影响已有的监控
+     * @private
+     */
+    _createInteractor(address, abi) {
+        const interactor = new ContractInteractor({
+            getProvider: this.getProvider,
+            eventDecoder: this.eventDecoder
+        });
+        interactor.setAbi(abi);
+        interactor.setContractAddress(address);
+        if (!interactor.isContractReady()) {
+            throw new Error('没有可用的Provider，请连接钱包或配置RPC节点');
+        }
+        return interactor;
+    }
+    
+    /**
+     * 在当前Provider上挂载新区块和事件监听
+     * @private
+     */
+    _attachProvider() {
+        if (this.provider || (this.watches.length === 0 && this.subscriptions.length === 0)) {
+            return;
+        }
+        
+        const provider = this.getProvider();
+        if (!provider) {
+            console.warn('未提供Provider，无法开始监控');
+            return;
+        }
+        
+        this.provider = provider;
+        this.provider.on('block', this._blockListener);
+        this.subscriptions.forEach(subscription => {
+            this.provider.on(subscription.filter, subscription.listener);
+        });
+        console.log('已开始监听新区块');
+    }
+    
+    /**
+     * 移除当前Provider上的全部监听
+     * @private
+     */
+    _detachProvider() {
+        if (!this.provider) return;
+        
+        this.provider.off('block', this._blockListener);
+        this.subscriptions.forEach(subscription => {
+            this.provider.off(subscription.filter, subscription.listener);
+        });
+        this.provider = null;
+        console.log('已停止监听新区块');
+    }
+    
+    /**
+     * 没有监控项和订阅时停止监听
+     * @private
+     */
+    _detachIfIdle() {
+        if (this.watches.length === 0 && this.subscriptions.length === 0) {
+            this._detachProvider();
+        }
+    }
+    
+    /**
+     * 新区块回调，重新查询所有监控项
+     * 上一轮查询未完成时跳过该区块
+     * @private
+     */
+    async _onBlock(blockNumber) {
+        this.latestBlock = blockNumber;
+        this.callbacks.onBlock(blockNumber);
+        
+        if (this.isPolling || this.watches.length === 0) return;
+        
+        this.isPolling = true;
+        try {
+            await Promise.all(this.watches.map(watch => this._pollWatch(watch, blockNumber)));
+            this.callbacks.onWatchUpdate(this.getWatches());
+        } finally {
+            this.isPolling = false;
+        }
+    }
+    
+    /**
+     * 查询单个监控项，值变化时记录到变化日志
+     * @private
+     */
+    async _pollWatch(watch, blockNumber) {
+        try {
+            const value = await watch.interactor.callFunction(watch.signature, watch.params);
+            const serialized = JSON.stringify(value);
+            watch.error = null;
+            watch.blockNumber = blockNumber;
+            
+            if (watch.value !== null && serialized === JSON.stringify(watch.value)) {
+                return;
+            }
+            
+            watch.previousValue = watch.value;
+            watch.value = value;
+            watch.change = watch.previousValue === null ? null : this._describeChange(watch.previousValue, value);
+            
+            watch.changeLog.unshift({
+                blockNumber,
+                timestamp: Date.now(),
+                value,
+                change: watch.change
+            });
+            if (watch.changeLog.length > this.maxChangeLog) {
+                watch.changeLog = watch.changeLog.slice(0, this.maxChangeLog);
+            }
+        } catch (error) {
+            watch.error = error.reason || error.message;
+        }
+    }
+    
+    /**
+     * 描述值的变化，整数显示差值
+     * @private
+     */
+    _describeChange(previousValue, value) {
+        const isInteger = (item) => typeof item === 'string' && /^-?\d+$/.test(item);
+        if (isInteger(previousValue) && isInteger(value)) {
+            const diff = BigInt(value) - BigInt(previousValue);
+            return diff >= 0n ? `+${diff}` : `${diff}`;
+        }
+        return '已变化';
+    }
+    
+    /**
+     * 生成订阅项的描述（不包含内部对象）
+     * @private
+     */
+    _describeSubscription(subscription) {
+        return {
+            id: subscription.id,
+            address: subscription.address,
+            eventSignature: subscription.eventSignature
+        };
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * 解码公共模块
+ * 错误、事件和调用数据解码共用：构建候选ABI列表，将解码值转换为可序列化的形式
+ */
+export class DecoderUtils {
+    constructor(options = {}) {
+        // 获取已保存ABI的函数，返回 [{ name, abi }]
+        this.getSavedAbis = options.getSavedAbis || (() => []);
+    }
+    
+    /**
+     * 构建用于匹配的候选ABI列表，当前ABI优先，无法解析的ABI被跳过
+     * @param {Array} currentAbi - 当前加载的ABI
+     * @returns {Array} [{ name, abi, iface }]
+     */
+    buildSources(currentAbi) {
+        const sources = [];
+        const addSource = (name, abi) => {
+            try {
+                sources.push({ name, abi, iface: new ethers.utils.Interface(abi) });
+            } catch (error) {
+                console.warn(`ABI无法解析，跳过: ${name}`);
+            }
+        };
+        
+        if (currentAbi) {
+            addSource('当前ABI', currentAbi);
+        }
+        this.getSavedAbis().forEach(({ name, abi }) => addSource(name, abi));
+        return sources;
+    }
+    
+    /**
+     * 将解码值转换为可序列化的形式
+     * @param {*} value - 解码值
+     * @returns {*} BigNumber转为十进制字符串，索引的动态类型转为哈希说明，数组和结构体递归转换
+     */
+    formatValue(value) {
+        if (ethers.BigNumber.isBigNumber(value)) {
+            return value.toString();
+        }
+        if (ethers.utils.Indexed.isIndexed(value)) {
+            return `${value.hash}（indexed哈希）`;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatValue(item));
+        }
+        return value;
+    }
+}
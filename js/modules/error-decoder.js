@@ -0,0 +1,128 @@
+import { DecoderUtils } from './decoder-utils.js';
+
+/**
+ * 错误解码模块
+ * 负责将合约回滚数据解码为Error(string)、Panic(uint256)或ABI中定义的自定义错误
+ */
+export class ErrorDecoder {
+    constructor(options = {}) {
+        // 获取已保存ABI的函数，返回 [{ name, abi }]
+        this.getSavedAbis = options.getSavedAbis || (() => []);
+        this.decoderUtils = new DecoderUtils({ getSavedAbis: () => this.getSavedAbis() });
+        
+        // Solidity内置错误的选择器
+        this.errorSelector = '0x08c379a0';
+        this.panicSelector = '0x4e487b71';
+        
+        // Panic错误码说明
+        this.panicCodes = {
+            0x00: '编译器插入的通用panic',
+            0x01: 'assert断言失败',
+            0x11: '算术运算溢出或下溢',
+            0x12: '除以零或对零取模',
+            0x21: '转换为枚举类型时数值越界',
+            0x22: '访问了编码错误的storage字节数组',
+            0x31: '对空数组调用pop()',
+            0x32: '数组下标越界',
+            0x41: '分配的内存过大或创建的数组过大',
+            0x51: '调用了未初始化的内部函数变量'
+        };
+    }
+    
+    /**
+     * 解码回滚数据
+     * @param {string} data - 回滚数据（十六进制）
+     * @param {Array} currentAbi - 当前加载的ABI（优先匹配）
+     * @returns {Object} { type, name, signature, abiName, args, reason, data }
+     *                   type为 Error、Panic、custom、empty 或 unknown
+     */
+    decode(data, currentAbi = null) {
+        if (!data || data === '0x') {
+            return this._result('empty', { reason: '合约回滚且未返回原因', data: '0x' });
+        }
+        
+        const selector = data.slice(0, 10).toLowerCase();
+        
+        try {
+            if (selector === this.errorSelector) {
+                const [message] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+                return this._result('Error', {
+                    name: 'Error',
+                    signature: 'Error(string)',
+                    args: [{ name: 'message', type: 'string', value: message }],
+                    reason: message,
+                    data
+                });
+            }
+            
+            if (selector === this.panicSelector) {
+                const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+                const codeHex = ethers.utils.hexValue(code);
+                const description = this.describePanic(code.toNumber());
+                return this._result('Panic', {
+                    name: 'Panic',
+                    signature: 'Panic(uint256)',
+                    args: [{ name: 'code', type: 'uint256', value: codeHex }],
+                    reason: `Panic(${codeHex}): ${description}`,
+                    data
+                });
+            }
+        } catch (error) {
+            console.warn('内置错误数据解码失败:', error);
+        }
+        
+        for (const source of this.decoderUtils.buildSources(currentAbi)) {
+            let parsed;
+            try {
+                parsed = source.iface.parseError(data);
+            } catch (error) {
+                continue;
+            }
+            
+            const args = parsed.errorFragment.inputs.map((input, index) => ({
+                name: input.name || `arg${index}`,
+                type: input.format(),
+                value: this.decoderUtils.formatValue(parsed.args[index])
+            }));
+            const argsText = args.map(arg => `${arg.name}=${JSON.stringify(arg.value)}`).join(', ');
+            
+            return this._result('custom', {
+                name: parsed.name,
+                signature: parsed.signature,
+                abiName: source.name,
+                args,
+                reason: `${parsed.name}(${argsText})`,
+                data
+            });
+        }
+        
+        return this._result('unknown', {
+            reason: `未知的自定义错误（选择器 ${selector}）`,
+            data
+        });
+    }
+    
+    /**
+     * 获取Panic错误码的说明
+     * @param {number} code - Panic错误码
+     * @returns {string} 说明文字
+     */
+    describePanic(code) {
+        return this.panicCodes[code] || '未知的panic错误码';
+    }
+    
+    /**
+     * 构建统一格式的解码结果
+     * @private
+     */
+    _result(type, fields) {
+        return {
+            type,
+            name: null,
+            signature: null,
+            abiName: null,
+            args: [],
+            ...fields
+        };
+    }
+}
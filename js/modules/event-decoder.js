@@ -0,0 +1,82 @@
+import { DecoderUtils } from './decoder-utils.js';
+
+/**
+ * 事件解码模块
+ * 负责按当前ABI和已保存的ABI解码交易日志
+ */
+export class EventDecoder {
+    constructor(options = {}) {
+        // 获取已保存ABI的函数，返回 [{ name, abi }]
+        this.getSavedAbis = options.getSavedAbis || (() => []);
+        this.decoderUtils = new DecoderUtils({ getSavedAbis: () => this.getSavedAbis() });
+    }
+    
+    /**
+     * 解码一组日志
+     * @param {Array} logs - 交易回执或eth_getLogs返回的日志
+     * @param {Array} currentAbi - 当前加载的ABI（优先匹配）
+     * @returns {Array} 解码后的日志，无法匹配的日志保留原始topics和data
+     */
+    decodeLogs(logs, currentAbi = null) {
+        const sources = this.decoderUtils.buildSources(currentAbi);
+        return (logs || []).map(log => this.decodeLog(log, sources));
+    }
+    
+    /**
+     * 解码单条日志
+     * @param {Object} log - 日志
+     * @param {Array} sources - 由DecoderUtils.buildSources()生成的候选ABI列表
+     * @returns {Object} 解码结果
+     */
+    decodeLog(log, sources) {
+        const result = {
+            logIndex: log.logIndex,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            decoded: false
+        };
+        
+        if (!log.topics || log.topics.length === 0) {
+            return result;
+        }
+        
+        for (const source of sources) {
+            let fragment;
+            try {
+                fragment = source.iface.getEvent(log.topics[0]);
+            } catch (error) {
+                continue;
+            }
+            
+            // 同一签名的事件可能有不同的indexed布局（如ERC20和ERC721的Transfer），按topics数量区分
+            const indexedCount = fragment.inputs.filter(input => input.indexed).length;
+            if (log.topics.length !== indexedCount + 1) {
+                continue;
+            }
+            
+            try {
+                const args = source.iface.decodeEventLog(fragment, log.data, log.topics);
+                return {
+                    ...result,
+                    decoded: true,
+                    name: fragment.name,
+                    signature: fragment.format(),
+                    abiName: source.name,
+                    args: fragment.inputs.map((input, index) => ({
+                        name: input.name || `arg${index}`,
+                        type: input.format(),
+                        indexed: input.indexed,
+                        value: this.decoderUtils.formatValue(args[index])
+                    }))
+                };
+            } catch (error) {
+                continue;
+            }
+        }
+        
+        return result;
+    }
+}
@@ -8,6 +8,9 @@ export class HistoryManager {
         this.maxHistoryItems = 50;
         this.storageKey = 'tx_history';
         
+        // 已发送交易的状态，由TransactionTracker更新
+        this.statuses = ['pending', 'mined', 'confirmed', 'failed', 'replaced'];
+        
         // 加载历史记录
         this._loadHistory();
     }
@@ -44,19 +47,130 @@ export class HistoryManager {
     /**
      * 添加新的历史记录项
      * @param {Object} historyItem - 历史记录项
+     * @returns {Object} 添加的记录（含自动分配的id）
      */
     addToHistory(historyItem) {
+        // 分配唯一ID，供交易状态更新时定位记录
+        if (!historyItem.id) {
+            historyItem.id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        
         // 添加到历史记录开头
         this.history.unshift(historyItem);
         
         // 限制历史记录数量
-        if (this.history.length > this.maxHistoryItems) {
-            this.history = this.history.slice(0, this.maxHistoryItems);
-        }
+        this.history = this.trimHistory(this.history);
         
         // 保存到本地存储
         this._saveHistory();
-        return true;
+        return historyItem;
+    }
+    
+    /**
+     * 将历史记录限制在最大数量内，仍在跟踪状态的交易不被删除，只删除最旧的已完成记录
+     * @param {Array} items - 按时间从新到旧排列的历史记录
+     * @returns {Array} 限制数量后的历史记录
+     */
+    trimHistory(items) {
+        let removable = items.length - this.maxHistoryItems;
+        if (removable <= 0) return items;
+        
+        return items.slice().reverse().filter(item => {
+            if (removable > 0 && !this._isTracked(item)) {
+                removable--;
+                return false;
+            }
+            return true;
+        }).reverse();
+    }
+    
+    /**
+     * 校验历史记录项（如从工作区文件导入的记录），不保存
+     * @param {Object} item - 历史记录项
+     * @returns {Object} 原记录项
+     */
+    normalizeItem(item) {
+        const isAddress = (value) => value === undefined || value === null || (typeof value === 'string' && ethers.utils.isAddress(value));
+        const isInteger = (value) => value === undefined || value === null || (typeof value === 'string' && /^\d+$/.test(value));
+        
+        if (item.function !== undefined && (typeof item.function !== 'string' || /[<>]/.test(item.function))) {
+            throw new Error('无效的函数签名');
+        }
+        if (!isAddress(item.address)) {
+            throw new Error(`无效的合约地址: ${item.address}`);
+        }
+        if (!isInteger(item.value)) {
+            throw new Error(`无效的发送数量: ${item.value}`);
+        }
+        if (item.status !== undefined && !this.statuses.includes(item.status)) {
+            throw new Error(`无效的交易状态: ${item.status}`);
+        }
+        if (item.confirmations !== undefined && !(Number.isSafeInteger(item.confirmations) && item.confirmations >= 0)) {
+            throw new Error(`无效的确认数: ${item.confirmations}`);
+        }
+        if (item.transactionHash !== undefined && !ethers.utils.isHexString(item.transactionHash, 32)) {
+            throw new Error(`无效的交易哈希: ${item.transactionHash}`);
+        }
+        if (item.chainId !== undefined && item.chainId !== null && !ethers.utils.isHexString(item.chainId)) {
+            throw new Error(`无效的链ID: ${item.chainId}`);
+        }
+        
+        const transaction = item.transaction;
+        if (transaction !== undefined && transaction !== null) {
+            if (typeof transaction !== 'object' || Array.isArray(transaction)) {
+                throw new Error('无效的交易内容');
+            }
+            const invalidField = ['from', 'to'].find(key => !isAddress(transaction[key]))
+                || ['value', 'gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'].find(key => !isInteger(transaction[key]))
+                || (transaction.nonce !== undefined && !Number.isSafeInteger(transaction.nonce) ? 'nonce' : null)
+                || (transaction.data !== undefined && transaction.data !== null && !ethers.utils.isHexString(transaction.data) ? 'data' : null);
+            if (invalidField) {
+                throw new Error(`无效的交易字段: ${invalidField}`);
+            }
+        }
+        return item;
+    }
+    
+    /**
+     * 按ID获取历史记录项
+     * @param {string} id - 记录ID
+     * @returns {Object|null} 历史记录项
+     */
+    getHistoryItem(id) {
+        return this.history.find(item => item.id === id) || null;
+    }
+    
+    /**
+     * 更新历史记录项（例如交易状态变化）
+     * @param {string} id - 记录ID
+     * @param {Object} changes - 要合并的字段
+     * @returns {Object|null} 更新后的记录，不存在时返回null
+     */
+    updateHistoryItem(id, changes) {
+        const item = this.getHistoryItem(id);
+        if (!item) return null;
+        
+        Object.assign(item, changes);
+        this._saveHistory();
+        return item;
+    }
+    
+    /**
+     * 获取尚未最终确定的交易（待确认或确认数不足）
+     * @returns {Array} 历史记录项
+     */
+    getPendingTransactions() {
+        return this.history.filter(item => this._isTracked(item));
+    }
+    
+    /**
+     * 判断记录是否为仍在跟踪状态的交易（待确认或已上链未达到确认数）
+     * @param {Object} item - 历史记录项
+     * @returns {boolean}
+     * @private
+     */
+    _isTracked(item) {
+        return Boolean(item.transactionHash) && (item.status === 'pending' || item.status === 'mined');
     }
     
     /**
@@ -110,13 +224,14 @@ export class HistoryManager {
     }
     
     /**
-     * 按函数名筛选历史记录
-     * @param {string} functionName - 函数名称
+     * 按函数筛选历史记录
+     * @param {string} functionName - 完整签名或函数名称（匹配该名称的所有重载）
      * @returns {Array} 筛选后的历史记录
      */
     getHistoryByFunction(functionName) {
         return this.history.filter(item => 
-            item.function === functionName
+            item.function === functionName ||
+            (item.function && item.function.split('(')[0] === functionName)
         );
     }
 }
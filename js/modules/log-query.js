@@ -0,0 +1,102 @@
+/**
+ * 日志查询模块
+ * 负责分段调用eth_getLogs，节点限制区块范围或结果数量时自动缩小查询范围
+ */
+export class LogQuery {
+    /**
+     * @param {Object} options - 查询参数
+     * @param {Provider} options.provider - 只读Provider
+     * @param {string} options.address - 合约地址
+     * @param {Array} options.topics - topics过滤条件
+     * @param {number} options.fromBlock - 起始区块
+     * @param {number} options.toBlock - 结束区块
+     * @param {number} options.chunkSize - 初始的单次查询区块数
+     */
+    constructor(options) {
+        this.provider = options.provider;
+        this.address = options.address;
+        this.topics = options.topics || [];
+        this.fromBlock = options.fromBlock;
+        this.toBlock = options.toBlock;
+        this.chunkSize = options.chunkSize || 50000;
+        
+        // 下一次查询的起始区块
+        this.nextBlock = this.fromBlock;
+        
+        // 单页最多发起的请求次数，避免稀疏事件在大范围内长时间扫描
+        this.maxRequestsPerPage = 20;
+    }
+    
+    /**
+     * 是否还有未查询的区块
+     * @returns {boolean}
+     */
+    hasMore() {
+        return this.nextBlock <= this.toBlock;
+    }
+    
+    /**
+     * 获取已查询到的区块位置
+     * @returns {number} 已完成查询的最后一个区块
+     */
+    getScannedBlock() {
+        return this.nextBlock - 1;
+    }
+    
+    /**
+     * 查询下一页日志
+     * 达到最少结果数、请求次数上限或查询到结束区块时返回
+     * @param {number} minResults - 本页最少结果数
+     * @returns {Promise<Array>} 原始日志
+     */
+    async nextPage(minResults = 100) {
+        const logs = [];
+        let requests = 0;
+        
+        while (this.hasMore() && logs.length < minResults && requests < this.maxRequestsPerPage) {
+            const endBlock = Math.min(this.nextBlock + this.chunkSize - 1, this.toBlock);
+            requests++;
+            
+            try {
+                const chunk = await this.provider.getLogs({
+                    address: this.address,
+                    topics: this.topics,
+                    fromBlock: this.nextBlock,
+                    toBlock: endBlock
+                });
+                logs.push(...chunk);
+                this.nextBlock = endBlock + 1;
+            } catch (error) {
+                if (!this._isRangeError(error) || this.chunkSize <= 1) {
+                    throw error;
+                }
+                // 节点拒绝该范围，区块数减半后重试
+                this.chunkSize = Math.max(1, Math.floor(this.chunkSize / 2));
+                console.log(`日志查询范围过大，缩小为每次${this.chunkSize}个区块`);
+            }
+        }
+        
+        return logs;
+    }
+    
+    /**
+     * 判断错误是否由查询范围或结果数量限制引起
+     * 只识别节点明确的范围和结果数量错误；限流、超时等其他错误直接抛出，不缩小范围重试
+     * @param {Error} error - 节点返回的错误
+     * @returns {boolean}
+     * @private
+     */
+    _isRangeError(error) {
+        const messages = [
+            error.message,
+            error.body,
+            error.error && error.error.message
+        ].filter(Boolean).join(' ');
+        
+        if (/block range|query returned more than/i.test(messages)) {
+            return true;
+        }
+        // -32005（Limit exceeded）也用于请求频率限制，排除限流的情况
+        return Boolean(error.error && error.error.code === -32005) && !/rate|request count/i.test(messages);
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * 消息签名模块
+ * 负责personal_sign消息签名、EIP-712结构化数据签名（eth_signTypedData_v4），
+ * 以及签名拆分和签名地址恢复
+ */
+export class MessageSigner {
+    constructor(options = {}) {
+        this.getSigner = options.getSigner || (() => null);
+        
+        // Uniswap Permit2在各网络上的部署地址
+        this.permit2Address = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+    }
+    
+    /**
+     * 使用personal_sign签名消息
+     * @param {string} message - 消息内容
+     * @param {boolean} isHex - 是否将消息作为十六进制字节签名
+     * @returns {Promise<string>} 签名
+     */
+    async signMessage(message, isHex = false) {
+        const signer = this._requireSigner();
+        return signer.signMessage(this._messageBytes(message, isHex));
+    }
+    
+    /**
+     * 使用eth_signTypedData_v4签名结构化数据
+     * @param {Object} typedData - parseTypedData()的返回值
+     * @returns {Promise<string>} 签名
+     */
+    async signTypedData({ domain, types, message }) {
+        const signer = this._requireSigner();
+        const address = await signer.getAddress();
+        const payload = ethers.utils._TypedDataEncoder.getPayload(domain, types, message);
+        return signer.provider.send('eth_signTypedData_v4', [address.toLowerCase(), JSON.stringify(payload)]);
+    }
+    
+    /**
+     * 解析编辑器中的结构化数据
+     * @param {Object} input - { domain, types, primaryType, message }，domain、types、message为JSON字符串
+     * @returns {Object} { domain, types, primaryType, message, hash }，types已去掉EIP712Domain和无关类型
+     */
+    parseTypedData({ domain, types, primaryType, message }) {
+        const parseJson = (text, label) => {
+            try {
+                const value = JSON.parse(text);
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error('必须是对象');
+                }
+                return value;
+            } catch (error) {
+                throw new Error(`${label}不是有效的JSON对象: ${error.message}`);
+            }
+        };
+        
+        const parsedDomain = parseJson(domain, 'domain');
+        const parsedTypes = parseJson(types, 'types');
+        const parsedMessage = parseJson(message, 'message');
+        delete parsedTypes.EIP712Domain;
+        
+        if (!primaryType || !parsedTypes[primaryType]) {
+            throw new Error(`types中没有定义primaryType: ${primaryType || '（未填写）'}`);
+        }
+        const reachableTypes = this._reachableTypes(parsedTypes, primaryType);
+        
+        let hash;
+        try {
+            hash = ethers.utils._TypedDataEncoder.hash(parsedDomain, reachableTypes, parsedMessage);
+        } catch (error) {
+            throw new Error(`结构化数据无效: ${error.reason || error.message}`);
+        }
+        
+        return { domain: parsedDomain, types: reachableTypes, primaryType, message: parsedMessage, hash };
+    }
+    
+    /**
+     * 拆分签名
+     * @param {string} signature - 65字节签名或64字节紧凑签名（EIP-2098）
+     * @returns {Object} { signature, r, s, v, compact }
+     */
+    splitSignature(signature) {
+        let split;
+        try {
+            split = ethers.utils.splitSignature(signature);
+        } catch (error) {
+            throw new Error('签名格式无效');
+        }
+        return {
+            signature: ethers.utils.joinSignature(split),
+            r: split.r,
+            s: split.s,
+            v: split.v,
+            compact: split.compact
+        };
+    }
+    
+    /**
+     * 从消息签名恢复签名地址
+     * @param {string} message - 消息内容
+     * @param {boolean} isHex - 是否将消息作为十六进制字节
+     * @param {string} signature - 签名
+     * @returns {string} 签名地址
+     */
+    recoverMessageSigner(message, isHex, signature) {
+        this.splitSignature(signature);
+        return ethers.utils.verifyMessage(this._messageBytes(message, isHex), signature);
+    }
+    
+    /**
+     * 从结构化数据签名恢复签名地址
+     * @param {Object} typedData - parseTypedData()的返回值
+     * @param {string} signature - 签名
+     * @returns {string} 签名地址
+     */
+    recoverTypedDataSigner({ domain, types, message }, signature) {
+        this.splitSignature(signature);
+        return ethers.utils.verifyTypedData(domain, types, message, signature);
+    }
+    
+    /**
+     * 生成结构化数据模板
+     * @param {string} name - 模板名称：permit（EIP-2612）或permit2（Permit2 PermitSingle）
+     * @param {Object} context - { chainId, account, contractAddress }，chainId为十进制数字
+     * @returns {Object} { domain, types, primaryType, message }
+     */
+    getTemplate(name, { chainId = 1, account = null, contractAddress = null } = {}) {
+        const zeroAddress = ethers.constants.AddressZero;
+        // 默认有效期1小时
+        const deadline = Math.floor(Date.now() / 1000) + 3600;
+        
+        if (name === 'permit') {
+            return {
+                domain: {
+                    name: '',
+                    version: '1',
+                    chainId,
+                    verifyingContract: contractAddress || zeroAddress
+                },
+                types: {
+                    Permit: [
+                        { name: 'owner', type: 'address' },
+                        { name: 'spender', type: 'address' },
+                        { name: 'value', type: 'uint256' },
+                        { name: 'nonce', type: 'uint256' },
+                        { name: 'deadline', type: 'uint256' }
+                    ]
+                },
+                primaryType: 'Permit',
+                message: {
+                    owner: account || zeroAddress,
+                    spender: zeroAddress,
+                    value: '0',
+                    nonce: '0',
+                    deadline: String(deadline)
+                }
+            };
+        }
+        
+        if (name === 'permit2') {
+            return {
+                domain: {
+                    name: 'Permit2',
+                    chainId,
+                    verifyingContract: this.permit2Address
+                },
+                types: {
+                    PermitSingle: [
+                        { name: 'details', type: 'PermitDetails' },
+                        { name: 'spender', type: 'address' },
+                        { name: 'sigDeadline', type: 'uint256' }
+                    ],
+                    PermitDetails: [
+                        { name: 'token', type: 'address' },
+                        { name: 'amount', type: 'uint160' },
+                        { name: 'expiration', type: 'uint48' },
+                        { name: 'nonce', type: 'uint48' }
+                    ]
+                },
+                primaryType: 'PermitSingle',
+                message: {
+                    details: {
+                        token: contractAddress || zeroAddress,
+                        amount: '0',
+                        expiration: String(deadline),
+                        nonce: '0'
+                    },
+                    spender: zeroAddress,
+                    sigDeadline: String(deadline)
+                }
+            };
+        }
+        
+        throw new Error(`未知的模板: ${name}`);
+    }
+    
+    /**
+     * 将消息转换为签名使用的内容
+     * @param {string} message - 消息内容
+     * @param {boolean} isHex - 是否作为十六进制字节
+     * @returns {string|Uint8Array} 文本消息或字节
+     * @private
+     */
+    _messageBytes(message, isHex) {
+        if (!isHex) {
+            return message;
+        }
+        if (!ethers.utils.isHexString(message)) {
+            throw new Error('消息不是有效的十六进制数据');
+        }
+        return ethers.utils.arrayify(message);
+    }
+    
+    /**
+     * 只保留primaryType及其引用的类型（ethers要求types只有一个根类型）
+     * @param {Object} types - 类型定义
+     * @param {string} primaryType - 主类型
+     * @returns {Object} 筛选后的类型定义
+     * @private
+     */
+    _reachableTypes(types, primaryType) {
+        const result = {};
+        const visit = (typeName) => {
+            // 去掉数组后缀，如 Order[] -> Order
+            const baseName = typeName.replace(/(\[\d*\])+$/, '');
+            if (result[baseName] || !types[baseName]) return;
+            if (!Array.isArray(types[baseName])) {
+                throw new Error(`类型${baseName}的定义必须是数组`);
+            }
+            result[baseName] = types[baseName];
+            types[baseName].forEach(field => visit(field.type));
+        };
+        visit(primaryType);
+        return result;
+    }
+    
+    /**
+     * 获取签名器，未连接钱包时抛出错误
+     * @returns {Signer}
+     * @private
+     */
+    _requireSigner() {
+        const signer = this.getSigner();
+        if (!signer) {
+            throw new Error('请先连接钱包');
+        }
+        return signer;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * 批量读取模块
+ * 负责一次性读取多个只读函数：链上部署了Multicall3时合并为一次aggregate3调用，否则并行发送eth_call
+ */
+export class MulticallReader {
+    constructor() {
+        // Multicall3在各条链上使用相同的部署地址
+        this.multicallAddress = '0xcA11bde05977b3631167028862bE2a173976CA11';
+        this.multicallInterface = new ethers.utils.Interface([
+            'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+        ]);
+        
+        // 单次aggregate3包含的最大调用数
+        this.batchSize = 100;
+        
+        // 各链是否部署了Multicall3，按chainId缓存
+        this.availability = {};
+    }
+    
+    /**
+     * 检查当前链是否部署了Multicall3
+     * @param {Provider} provider - 只读Provider
+     * @returns {Promise<boolean>}
+     */
+    async isMulticallAvailable(provider) {
+        const { chainId } = await provider.getNetwork();
+        if (this.availability[chainId] === undefined) {
+            const code = await provider.getCode(this.multicallAddress);
+            this.availability[chainId] = code !== '0x';
+        }
+        return this.availability[chainId];
+    }
+    
+    /**
+     * 批量读取只读函数
+     * @param {ContractInteractor} interactor - 已设置地址和ABI的合约交互实例
+     * @param {Array} calls - 要读取的函数 [{ signature, params }]
+     * @returns {Promise<Object>} { method, results }，method为multicall3或eth_call，
+     *                            results为 [{ signature, params, outputTypes, success, value, error }]
+     */
+    async readAll(interactor, calls) {
+        if (!interactor.isContractReady()) {
+            throw new Error('合约未准备好，请先设置合约地址和ABI');
+        }
+        
+        if (calls.length === 0) {
+            return { method: null, results: [] };
+        }
+        
+        const provider = interactor.getReadProvider();
+        let multicallAvailable = false;
+        try {
+            multicallAvailable = await this.isMulticallAvailable(provider);
+        } catch (error) {
+            console.warn('检测Multicall3失败:', error);
+        }
+        
+        if (multicallAvailable) {
+            try {
+                return { method: 'multicall3', results: await this._readWithMulticall(provider, interactor, calls) };
+            } catch (error) {
+                console.warn('Multicall3调用失败，改用并行eth_call:', error);
+            }
+        }
+        
+        return { method: 'eth_call', results: await this._readInParallel(interactor, calls) };
+    }
+    
+    /**
+     * 通过Multicall3的aggregate3批量读取，单个调用失败不影响其他调用
+     * @private
+     */
+    async _readWithMulticall(provider, interactor, calls) {
+        const target = interactor.getContractAddress();
+        const results = [];
+        
+        for (let start = 0; start < calls.length; start += this.batchSize) {
+            const batch = calls.slice(start, start + this.batchSize).map(call => {
+                try {
+                    return { call, callData: interactor.encodeFunctionCall(call.signature, call.params) };
+                } catch (error) {
+                    return { call, error: error.message };
+                }
+            });
+            
+            const encodedCalls = batch.filter(item => item.callData);
+            let returnData = [];
+            if (encodedCalls.length > 0) {
+                const data = this.multicallInterface.encodeFunctionData('aggregate3', [
+                    encodedCalls.map(item => ({ target, allowFailure: true, callData: item.callData }))
+                ]);
+                const raw = await provider.call({ to: this.multicallAddress, data });
+                [returnData] = this.multicallInterface.decodeFunctionResult('aggregate3', raw);
+            }
+            
+            let index = 0;
+            batch.forEach(item => {
+                if (item.error) {
+                    results.push(this._result(interactor, item.call, false, null, item.error));
+                    return;
+                }
+                
+                const { success, returnData: callResult } = returnData[index++];
+                if (!success) {
+                    results.push(this._result(interactor, item.call, false, null, interactor.decodeRevertData(callResult).reason));
+                    return;
+                }
+                
+                try {
+                    const value = interactor.decodeFunctionResult(item.call.signature, callResult);
+                    results.push(this._result(interactor, item.call, true, value, null));
+                } catch (error) {
+                    results.push(this._result(interactor, item.call, false, null, '返回数据无法按ABI解码'));
+                }
+            });
+        }
+        
+        return results;
+    }
+    
+    /**
+     * 不支持Multicall3时并行发送eth_call
+     * @private
+     */
+    async _readInParallel(interactor, calls) {
+        const settled = await Promise.allSettled(
+            calls.map(call => interactor.callFunction(call.signature, call.params))
+        );
+        
+        return settled.map((outcome, index) => {
+            if (outcome.status === 'fulfilled') {
+                return this._result(interactor, calls[index], true, outcome.value, null);
+            }
+            const revert = interactor.describeRevert(outcome.reason);
+            return this._result(interactor, calls[index], false, null, revert ? revert.reason : outcome.reason.message);
+        });
+    }
+    
+    /**
+     * 构建单个读取结果
+     * @private
+     */
+    _result(interactor, call, success, value, error) {
+        const details = interactor.getFunctionDetails(call.signature);
+        return {
+            ...call,
+            outputTypes: details
+                ? (details.outputs || []).map(output => ethers.utils.ParamType.from(output).format()).join(', ')
+                : '',
+            success,
+            value,
+            error
+        };
+    }
+}
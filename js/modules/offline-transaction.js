@@ -0,0 +1,146 @@
+/**
+ * 离线签名模块
+ * 负责构建完整的未签名交易（供冷钱包或离线设备签名），以及解码和广播已签名的原始交易
+ */
+export class OfflineTransaction {
+    constructor(options = {}) {
+        // 获取用于查询nonce、手续费和广播交易的Provider
+        this.getProvider = options.getProvider || (() => null);
+    }
+    
+    /**
+     * 构建未签名交易，未指定的nonce、Gas上限和手续费从节点获取
+     * @param {Object} params - { from, to, data, value, nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice }
+     * @returns {Promise<Object>} 未签名交易 { type, chainId, nonce, to, value, data, gasLimit, 手续费字段 }
+     */
+    async buildTransaction({ from, to, data = '0x', value = '0', nonce, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice }) {
+        const provider = this._requireProvider();
+        if (!from || !ethers.utils.isAddress(from)) {
+            throw new Error('签名账户地址无效');
+        }
+        if (!to || !ethers.utils.isAddress(to)) {
+            throw new Error('目标地址无效');
+        }
+        
+        const network = await provider.getNetwork();
+        const tx = {
+            chainId: network.chainId,
+            to: ethers.utils.getAddress(to),
+            data,
+            value: ethers.BigNumber.from(value || '0')
+        };
+        
+        tx.nonce = nonce !== undefined && nonce !== null
+            ? ethers.BigNumber.from(nonce).toNumber()
+            : await provider.getTransactionCount(from, 'pending');
+        tx.gasLimit = gasLimit
+            ? ethers.BigNumber.from(gasLimit)
+            : await provider.estimateGas({ from, to: tx.to, data, value: tx.value });
+        
+        if (gasPrice) {
+            return { type: 0, ...tx, gasPrice: ethers.BigNumber.from(gasPrice) };
+        }
+        
+        // 手续费未完整指定时按节点建议补齐，节点不支持EIP-1559时使用旧版交易
+        const feeData = maxFeePerGas && maxPriorityFeePerGas
+            ? { maxFeePerGas, maxPriorityFeePerGas }
+            : await provider.getFeeData();
+        if (feeData.maxFeePerGas) {
+            return {
+                type: 2,
+                ...tx,
+                maxFeePerGas: ethers.BigNumber.from(maxFeePerGas || feeData.maxFeePerGas),
+                maxPriorityFeePerGas: ethers.BigNumber.from(maxPriorityFeePerGas || feeData.maxPriorityFeePerGas)
+            };
+        }
+        return { type: 0, ...tx, gasPrice: feeData.gasPrice };
+    }
+    
+    /**
+     * 将未签名交易导出为JSON对象，数值转为十进制字符串
+     * @param {Object} tx - buildTransaction()的返回值
+     * @param {string} from - 签名账户地址（仅供核对，不参与签名）
+     * @returns {Object} 可序列化的交易，附带RLP编码
+     */
+    toJSON(tx, from) {
+        const result = { from: ethers.utils.getAddress(from) };
+        Object.entries(tx).forEach(([key, value]) => {
+            result[key] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+        });
+        result.unsignedSerialized = this.serializeUnsigned(tx);
+        return result;
+    }
+    
+    /**
+     * 将未签名交易编码为RLP十六进制（EIP-1559交易带0x02类型前缀）
+     * @param {Object} tx - buildTransaction()的返回值
+     * @returns {string} RLP编码
+     */
+    serializeUnsigned(tx) {
+        return ethers.utils.serializeTransaction(tx);
+    }
+    
+    /**
+     * 解码已签名的原始交易
+     * @param {string} rawTransaction - 已签名交易的十六进制
+     * @returns {Object} { hash, from, to, nonce, chainId, type, value, data, gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice }
+     */
+    parseSignedTransaction(rawTransaction) {
+        let tx;
+        try {
+            tx = ethers.utils.parseTransaction(rawTransaction);
+        } catch (error) {
+            throw new Error(`无法解析交易: ${error.reason || error.message}`);
+        }
+        if (!tx.from) {
+            throw new Error('交易未签名');
+        }
+        
+        const toString = (value) => value ? value.toString() : null;
+        return {
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to || null,
+            nonce: tx.nonce,
+            chainId: ethers.utils.hexValue(tx.chainId),
+            type: tx.type,
+            value: toString(tx.value) || '0',
+            data: tx.data,
+            gasLimit: toString(tx.gasLimit),
+            maxFeePerGas: toString(tx.maxFeePerGas),
+            maxPriorityFeePerGas: toString(tx.maxPriorityFeePerGas),
+            gasPrice: tx.maxFeePerGas ? null : toString(tx.gasPrice)
+        };
+    }
+    
+    /**
+     * 通过eth_sendRawTransaction广播已签名交易
+     * @param {string} rawTransaction - 已签名交易的十六进制
+     * @returns {Promise<Object>} ethers的TransactionResponse
+     */
+    async broadcast(rawTransaction) {
+        const parsed = this.parseSignedTransaction(rawTransaction);
+        const provider = this._requireProvider();
+        
+        // 旧版交易可能不含链ID（chainId为0），此时不做检查
+        const network = await provider.getNetwork();
+        if (parsed.chainId !== '0x0' && parseInt(parsed.chainId, 16) !== network.chainId) {
+            throw new Error(`交易的网络(${parsed.chainId})与当前网络(${ethers.utils.hexValue(network.chainId)})不同`);
+        }
+        
+        return provider.sendTransaction(rawTransaction);
+    }
+    
+    /**
+     * 获取Provider，不可用时抛出错误
+     * @returns {Provider}
+     * @private
+     */
+    _requireProvider() {
+        const provider = this.getProvider();
+        if (!provider) {
+            throw new Error('没有可用的网络连接，请连接钱包或配置RPC节点');
+        }
+        return provider;
+    }
+}
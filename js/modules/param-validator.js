@@ -0,0 +1,211 @@
+/**
+ * 参数校验模块
+ * 负责按ABI类型校验用户输入，并转换为可直接提交的规范值
+ */
+export class ParamValidator {
+    constructor() {
+        // 数值输入支持的单位后缀及其对应的小数位数
+        this.units = {
+            wei: 0,
+            kwei: 3,
+            mwei: 6,
+            gwei: 9,
+            szabo: 12,
+            finney: 15,
+            ether: 18,
+            eth: 18
+        };
+    }
+    
+    /**
+     * 校验单个基础类型的输入值
+     * @param {string} type - ABI类型（如 uint256、address、bytes32）
+     * @param {string} rawValue - 用户输入
+     * @param {Object} options - 校验选项
+     * @param {number|string} options.decimals - 代币精度，设置后不带单位的数值按该精度换算
+     * @returns {Object} 校验结果 { valid, value, error }
+     */
+    validate(type, rawValue, options = {}) {
+        const text = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+        
+        try {
+            if (type === 'address') {
+                return this._ok(this._normalizeAddress(text));
+            }
+            
+            if (/^u?int\d*$/.test(type)) {
+                return this._ok(this._normalizeInteger(type, text, options.decimals));
+            }
+            
+            if (type === 'bool') {
+                return this._ok(this._normalizeBool(text));
+            }
+            
+            if (/^bytes\d*$/.test(type)) {
+                return this._ok(this._normalizeBytes(type, text));
+            }
+            
+            // string等其他类型不做转换
+            return this._ok(rawValue === undefined || rawValue === null ? '' : String(rawValue));
+        } catch (error) {
+            return { valid: false, value: null, error: error.message };
+        }
+    }
+    
+    /**
+     * 校验数组元素个数
+     * @param {string} type - 数组类型（如 address[3]、uint256[]）
+     * @param {number} length - 实际元素个数
+     * @returns {Object} 校验结果 { valid, error }
+     */
+    validateArrayLength(type, length) {
+        const match = type.match(/\[(\d*)\]$/);
+        if (match && match[1] && parseInt(match[1], 10) !== length) {
+            return { valid: false, error: `需要${match[1]}个元素，实际为${length}个` };
+        }
+        return { valid: true, error: null };
+    }
+    
+    /**
+     * 解析数值输入，支持十六进制、科学计数法和单位后缀（如 1.5 ether、20 gwei、1e18）
+     * @param {string} text - 数值文本
+     * @param {number|string} decimals - 不带单位时使用的小数位数，0到77的整数，为空时按0处理
+     * @returns {BigNumber} 解析后的整数
+     */
+    parseNumber(text, decimals = 0) {
+        const defaultDecimals = this._parseDecimals(decimals);
+        const value = String(text).trim().replace(/[_,]/g, '');
+        if (!value) {
+            throw new Error('不能为空');
+        }
+        
+        if (/^-?0x[0-9a-fA-F]+$/.test(value)) {
+            return ethers.BigNumber.from(value);
+        }
+        
+        const match = value.match(/^(-?\d*\.?\d+|-?\d+\.)(?:e([+-]?\d+))?\s*([a-zA-Z]+)?$/);
+        if (!match) {
+            throw new Error('无效的数值');
+        }
+        
+        const [, mantissa, exponent, unit] = match;
+        let unitDecimals;
+        if (unit) {
+            unitDecimals = this.units[unit.toLowerCase()];
+            if (unitDecimals === undefined) {
+                throw new Error(`未知单位: ${unit}`);
+            }
+        } else {
+            unitDecimals = defaultDecimals;
+        }
+        
+        const totalDecimals = unitDecimals + (exponent ? parseInt(exponent, 10) : 0);
+        if (totalDecimals < 0) {
+            throw new Error('数值必须为整数');
+        }
+        
+        try {
+            return ethers.utils.parseUnits(mantissa.endsWith('.') ? mantissa.slice(0, -1) : mantissa, totalDecimals);
+        } catch (error) {
+            throw new Error('数值必须为整数');
+        }
+    }
+    
+    /**
+     * 校验精度设置，uint256最多77位十进制数
+     * @private
+     */
+    _parseDecimals(decimals) {
+        if (decimals === undefined || decimals === null || String(decimals).trim() === '') {
+            return 0;
+        }
+        const text = String(decimals).trim();
+        if (!/^\d+$/.test(text) || parseInt(text, 10) > 77) {
+            throw new Error(`精度必须是0到77之间的整数: ${decimals}`);
+        }
+        return parseInt(text, 10);
+    }
+    
+    /**
+     * 校验并转换为校验和地址
+     * @private
+     */
+    _normalizeAddress(text) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(text)) {
+            throw new Error('地址格式无效，需要0x开头的40位十六进制');
+        }
+        try {
+            return ethers.utils.getAddress(text);
+        } catch (error) {
+            throw new Error('地址校验和错误，请检查大小写');
+        }
+    }
+    
+    /**
+     * 校验整数范围并转换为十进制字符串
+     * @private
+     */
+    _normalizeInteger(type, text, decimals) {
+        const value = this.parseNumber(text, decimals);
+        const bits = parseInt(type.replace(/^u?int/, '') || '256', 10);
+        const two = ethers.BigNumber.from(2);
+        
+        if (type.startsWith('uint')) {
+            if (value.isNegative()) {
+                throw new Error(`${type}不能为负数`);
+            }
+            if (value.gt(two.pow(bits).sub(1))) {
+                throw new Error(`超出${type}范围`);
+            }
+        } else {
+            const limit = two.pow(bits - 1);
+            if (value.lt(limit.mul(-1)) || value.gte(limit)) {
+                throw new Error(`超出${type}范围`);
+            }
+        }
+        
+        return value.toString();
+    }
+    
+    /**
+     * 校验布尔值
+     * @private
+     */
+    _normalizeBool(text) {
+        const value = text.toLowerCase();
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        throw new Error('布尔值只能是true或false');
+    }
+    
+    /**
+     * 校验十六进制字节数据及长度
+     * @private
+     */
+    _normalizeBytes(type, text) {
+        const value = text === '' && type === 'bytes' ? '0x' : text;
+        if (!ethers.utils.isHexString(value)) {
+            throw new Error('需要0x开头的十六进制数据');
+        }
+        
+        const length = ethers.utils.hexDataLength(value);
+        if (length === null) {
+            throw new Error('十六进制长度必须为偶数');
+        }
+        
+        const expected = type === 'bytes' ? null : parseInt(type.substring(5), 10);
+        if (expected !== null && length !== expected) {
+            throw new Error(`${type}需要${expected}字节，实际为${length}字节`);
+        }
+        
+        return value.toLowerCase();
+    }
+    
+    /**
+     * 构造校验通过的结果
+     * @private
+     */
+    _ok(value) {
+        return { valid: true, value, error: null };
+    }
+}
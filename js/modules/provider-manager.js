@@ -0,0 +1,232 @@
+/**
+ * Provider管理模块
+ * 负责自定义RPC节点的配置，为只读调用和日志查询提供Provider
+ */
+export class ProviderManager {
+    constructor(options = {}) {
+        this.storageKey = 'rpc_settings';
+        this.settings = {
+            endpoints: {},   // 链ID（十六进制） -> RPC地址
+            readChainId: ''  // 只读调用使用的链，为空表示跟随钱包
+        };
+        this.providers = {};
+        
+        // 获取钱包Provider和钱包链ID的函数
+        this.getWalletProvider = options.getWalletProvider || (() => null);
+        this.getWalletChainId = options.getWalletChainId || (() => null);
+        
+        this._loadSettings();
+    }
+    
+    /**
+     * 从本地存储加载RPC设置
+     * @private
+     */
+    _loadSettings() {
+        try {
+            const storedSettings = localStorage.getItem(this.storageKey);
+            if (storedSettings) {
+                this.settings = { ...this.settings, ...JSON.parse(storedSettings) };
+                console.log(`已加载${Object.keys(this.settings.endpoints).length}个RPC节点`);
+            }
+        } catch (error) {
+            console.error('加载RPC设置失败:', error);
+        }
+    }
+    
+    /**
+     * 检查RPC地址的协议
+     * @param {string} url - RPC地址
+     * @returns {string} 去除首尾空白的地址
+     * @private
+     */
+    _checkUrl(url) {
+        const rpcUrl = String(url).trim();
+        if (!/^(https?|wss?):\/\/.+/.test(rpcUrl)) {
+            throw new Error('RPC地址需要以http(s)://或ws(s)://开头');
+        }
+        return rpcUrl;
+    }
+    
+    /**
+     * 将RPC设置保存到本地存储
+     * @private
+     */
+    _saveSettings() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('保存RPC设置失败:', error);
+        }
+    }
+    
+    /**
+     * 将十进制或十六进制链ID统一为十六进制字符串
+     * @param {string|number} chainId - 链ID
+     * @returns {string} 十六进制链ID，例如 "0x1"
+     */
+    normalizeChainId(chainId) {
+        try {
+            return ethers.utils.hexValue(ethers.BigNumber.from(String(chainId).trim()));
+        } catch (error) {
+            throw new Error(`无效的链ID: ${chainId}`);
+        }
+    }
+    
+    /**
+     * 检测RPC节点的链ID
+     * @param {string} url - RPC地址
+     * @returns {Promise<string>} 十六进制链ID
+     */
+    async detectChainId(url) {
+        const provider = this._createProvider(url);
+        try {
+            const network = await provider.getNetwork();
+            return this.normalizeChainId(network.chainId);
+        } catch (error) {
+            throw new Error(`无法连接RPC节点: ${url}`);
+        } finally {
+            if (provider.destroy) {
+                provider.destroy();
+            }
+        }
+    }
+    
+    /**
+     * 保存RPC节点，未指定链ID时自动检测，指定时校验是否与节点一致
+     * @param {string} url - RPC地址
+     * @param {string} chainId - 链ID（可选）
+     * @returns {Promise<string>} 节点所在的十六进制链ID
+     */
+    async setEndpoint(url, chainId = '') {
+        const rpcUrl = this._checkUrl(url);
+        const detectedChainId = await this.detectChainId(rpcUrl);
+        if (chainId && this.normalizeChainId(chainId) !== detectedChainId) {
+            throw new Error(`节点链ID为 ${parseInt(detectedChainId, 16)}，与填写的链ID不一致`);
+        }
+        
+        this.settings.endpoints[detectedChainId] = rpcUrl;
+        delete this.providers[detectedChainId];
+        this._saveSettings();
+        console.log(`RPC节点已保存: ${detectedChainId} -> ${rpcUrl}`);
+        return detectedChainId;
+    }
+    
+    /**
+     * 校验并规范化RPC节点配置，不连接节点也不保存
+     * @param {string} chainId - 链ID
+     * @param {string} url - RPC地址
+     * @returns {Object} { chainId, url }，chainId为十六进制
+     */
+    normalizeEndpoint(chainId, url) {
+        return { chainId: this.normalizeChainId(chainId), url: this._checkUrl(url) };
+    }
+    
+    /**
+     * 删除RPC节点
+     * @param {string} chainId - 链ID
+     */
+    removeEndpoint(chainId) {
+        const key = this.normalizeChainId(chainId);
+        if (!this.settings.endpoints[key]) {
+            return false;
+        }
+        
+        delete this.settings.endpoints[key];
+        delete this.providers[key];
+        if (this.settings.readChainId === key) {
+            this.settings.readChainId = '';
+        }
+        this._saveSettings();
+        console.log(`RPC节点已删除: ${key}`);
+        return true;
+    }
+    
+    /**
+     * 获取已配置的RPC节点列表
+     * @returns {Array} [{ chainId, url }]
+     */
+    getEndpoints() {
+        return Object.entries(this.settings.endpoints).map(([chainId, url]) => ({ chainId, url }));
+    }
+    
+    /**
+     * 获取指定链的RPC地址
+     * @param {string} chainId - 链ID
+     * @returns {string|null} RPC地址
+     */
+    getEndpoint(chainId) {
+        if (!chainId) return null;
+        return this.settings.endpoints[this.normalizeChainId(chainId)] || null;
+    }
+    
+    /**
+     * 设置只读调用使用的链
+     * @param {string} chainId - 链ID，为空表示跟随钱包网络
+     */
+    setReadChainId(chainId) {
+        this.settings.readChainId = chainId ? this.normalizeChainId(chainId) : '';
+        this._saveSettings();
+    }
+    
+    /**
+     * 获取只读调用实际使用的链ID
+     * @returns {string|null} 十六进制链ID
+     */
+    getReadChainId() {
+        const walletChainId = this.getWalletChainId();
+        return this.settings.readChainId || (walletChainId ? this.normalizeChainId(walletChainId) : null);
+    }
+    
+    /**
+     * 获取只读Provider
+     * 优先使用当前链配置的RPC节点，没有配置时使用钱包Provider
+     * @returns {Provider|null}
+     */
+    getReadProvider() {
+        const chainId = this.getReadChainId();
+        const url = chainId ? this.settings.endpoints[chainId] : null;
+        
+        if (url) {
+            if (!this.providers[chainId]) {
+                this.providers[chainId] = this._createProvider(url, chainId);
+            }
+            return this.providers[chainId];
+        }
+        
+        // 指定的只读网络与钱包网络一致时才能使用钱包Provider
+        const walletChainId = this.getWalletChainId();
+        if (walletChainId && chainId === this.normalizeChainId(walletChainId)) {
+            return this.getWalletProvider();
+        }
+        return null;
+    }
+    
+    /**
+     * 获取当前只读Provider的来源信息
+     * @returns {Object} { chainId, source, url }，source为rpc、wallet或null
+     */
+    getStatus() {
+        const chainId = this.getReadChainId();
+        const url = chainId ? this.settings.endpoints[chainId] : null;
+        if (url) {
+            return { chainId, source: 'rpc', url };
+        }
+        return { chainId, source: this.getReadProvider() ? 'wallet' : null, url: null };
+    }
+    
+    /**
+     * 创建RPC Provider
+     * @param {string} url - RPC地址
+     * @param {string} chainId - 已知的链ID（可选），提供时跳过网络检测
+     * @returns {Provider}
+     * @private
+     */
+    _createProvider(url, chainId) {
+        const network = chainId ? parseInt(chainId, 16) : undefined;
+        if (/^wss?:\/\//.test(url)) {
+            return new ethers.providers.WebSocketProvider(url, network);
+        }
+        return new ethers.providers.StaticJsonRpcProvider(url, network);
+    }
+}
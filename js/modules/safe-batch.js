@@ -0,0 +1,228 @@
+import { ContractInteractor } from './contract-interactor.js';
+
+/**
+ * Safe批量交易模块
+ * 负责导出和导入Safe Transaction Builder格式的批量交易JSON，以及生成MultiSend调用数据
+ */
+export class SafeBatch {
+    constructor(options = {}) {
+        // 用于审核导入交易的调用数据解码器
+        this.calldataDecoder = options.calldataDecoder || null;
+        
+        // Safe v1.3.0的MultiSendCallOnly合约，只允许CALL，不能在子交易中使用DELEGATECALL
+        this.multiSendAddress = '0x40A2aCCbd92BCA938b02010E17A5b8929b49130D';
+        this.multiSendInterface = new ethers.utils.Interface(['function multiSend(bytes transactions) payable']);
+    }
+    
+    /**
+     * 将一个调用编码为原始交易
+     * @param {Object} call - { address, abi, signature, params, value }
+     * @returns {Object} { to, value, data }
+     */
+    encodeCall({ address, abi, signature, params = [], value = null }) {
+        const interactor = new ContractInteractor();
+        interactor.setAbi(abi);
+        return {
+            to: ethers.utils.getAddress(address),
+            value: value ? ethers.BigNumber.from(value).toString() : '0',
+            data: interactor.encodeFunctionCall(signature, params)
+        };
+    }
+    
+    /**
+     * 将一个调用转换为Safe Transaction Builder的交易项
+     * @param {Object} call - { address, abi, signature, params, value }
+     * @returns {Object} { to, value, data, contractMethod, contractInputsValues }
+     */
+    buildTransaction(call) {
+        const interactor = new ContractInteractor();
+        interactor.setAbi(call.abi);
+        const details = interactor.getFunctionDetails(call.signature);
+        if (!details) {
+            throw new Error(`合约中不存在函数: ${call.signature}`);
+        }
+        
+        const params = call.params || [];
+        const transaction = {
+            ...this.encodeCall(call),
+            contractMethod: null,
+            contractInputsValues: null
+        };
+        
+        // Transaction Builder按参数名称填充表单，存在未命名或重名参数时只导出原始调用数据
+        const names = details.inputs.map(input => input.name);
+        const namesUsable = names.every(name => name) && new Set(names).size === names.length;
+        if (namesUsable) {
+            transaction.data = null;
+            transaction.contractMethod = {
+                inputs: details.inputs,
+                name: details.name,
+                payable: interactor.isPayableFunction(details)
+            };
+            transaction.contractInputsValues = {};
+            details.inputs.forEach((input, index) => {
+                transaction.contractInputsValues[input.name] = this._toInputValue(params[index]);
+            });
+        }
+        
+        return transaction;
+    }
+    
+    /**
+     * 导出Safe Transaction Builder批量交易文件
+     * @param {Array} calls - 调用列表 [{ address, abi, signature, params, value }]
+     * @param {Object} options - { chainId, name, safeAddress }
+     * @returns {Object} 批量交易JSON对象
+     */
+    exportBatch(calls, { chainId, name = '', safeAddress = '' } = {}) {
+        if (calls.length === 0) {
+            throw new Error('没有可导出的调用');
+        }
+        
+        return {
+            version: '1.0',
+            chainId: ethers.BigNumber.from(chainId).toString(),
+            createdAt: Date.now(),
+            meta: {
+                name: name || 'Transactions Batch',
+                description: '',
+                txBuilderVersion: '1.16.5',
+                createdFromSafeAddress: safeAddress || '',
+                createdFromOwnerAddress: ''
+            },
+            transactions: calls.map(call => this.buildTransaction(call))
+        };
+    }
+    
+    /**
+     * 将多笔交易编码为MultiSend调用，由Safe以DELEGATECALL方式执行
+     * @param {Array} transactions - [{ to, value, data }]
+     * @returns {Object} { to, value, operation, data }
+     */
+    encodeMultiSend(transactions) {
+        if (transactions.length === 0) {
+            throw new Error('没有可编码的交易');
+        }
+        
+        // 每笔交易按 operation(uint8) + to(address) + value(uint256) + dataLength(uint256) + data 紧密编码
+        const packed = ethers.utils.hexConcat(transactions.map(tx => {
+            const data = tx.data || '0x';
+            return ethers.utils.solidityPack(
+                ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+                [0, tx.to, tx.value || 0, ethers.utils.hexDataLength(data), data]
+            );
+        }));
+        
+        return {
+            to: this.multiSendAddress,
+            value: '0',
+            operation: 1,
+            data: this.multiSendInterface.encodeFunctionData('multiSend', [packed])
+        };
+    }
+    
+    /**
+     * 解析Safe Transaction Builder批量交易文件
+     * @param {string|Object} content - 文件内容
+     * @returns {Object} { name, chainId, transactions: [{ to, value, data }] }
+     */
+    parseBatch(content) {
+        let batch;
+        try {
+            batch = typeof content === 'string' ? JSON.parse(content) : content;
+        } catch (error) {
+            throw new Error('文件不是有效的JSON');
+        }
+        
+        if (!batch || !Array.isArray(batch.transactions)) {
+            throw new Error('不是Safe Transaction Builder批量交易文件：缺少transactions');
+        }
+        
+        const transactions = batch.transactions.map((tx, index) => {
+            if (!tx || !ethers.utils.isAddress(tx.to)) {
+                throw new Error(`第${index + 1}笔交易的目标地址无效`);
+            }
+            
+            let data = tx.data;
+            if (!data && tx.contractMethod) {
+                data = this._encodeContractMethod(tx.contractMethod, tx.contractInputsValues || {}, index);
+            }
+            
+            return {
+                to: ethers.utils.getAddress(tx.to),
+                value: ethers.BigNumber.from(tx.value || '0').toString(),
+                data: data || '0x'
+            };
+        });
+        
+        return {
+            name: batch.meta && batch.meta.name ? batch.meta.name : '',
+            chainId: batch.chainId ? ethers.utils.hexValue(ethers.BigNumber.from(batch.chainId)) : null,
+            transactions
+        };
+    }
+    
+    /**
+     * 按当前ABI和已保存的ABI解码交易，供导入后审核
+     * @param {Array} transactions - parseBatch()返回的交易
+     * @param {Array} currentAbi - 当前加载的ABI
+     * @returns {Array} 附带decoded字段的交易
+     */
+    reviewTransactions(transactions, currentAbi = null) {
+        return transactions.map(tx => ({
+            ...tx,
+            decoded: tx.data !== '0x' && this.calldataDecoder
+                ? this.calldataDecoder.decode(tx.data, currentAbi)
+                : null
+        }));
+    }
+    
+    /**
+     * 按contractMethod和contractInputsValues编码调用数据
+     * @private
+     */
+    _encodeContractMethod(contractMethod, inputValues, index) {
+        try {
+            const fragment = ethers.utils.FunctionFragment.from({
+                type: 'function',
+                name: contractMethod.name,
+                inputs: contractMethod.inputs || [],
+                outputs: [],
+                stateMutability: contractMethod.payable ? 'payable' : 'nonpayable'
+            });
+            const values = fragment.inputs.map(input => this._fromInputValue(input, inputValues[input.name]));
+            return new ethers.utils.Interface([fragment]).encodeFunctionData(fragment, values);
+        } catch (error) {
+            throw new Error(`第${index + 1}笔交易的参数无法编码: ${error.message}`);
+        }
+    }
+    
+    /**
+     * 转换为Transaction Builder使用的字符串参数值，数组和结构体使用JSON
+     * @private
+     */
+    _toInputValue(value) {
+        if (typeof value === 'string') return value;
+        if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+    
+    /**
+     * 将Transaction Builder的字符串参数值还原为编码所需的值
+     * @private
+     */
+    _fromInputValue(input, value) {
+        if (value === undefined || value === null) {
+            throw new Error(`缺少参数 ${input.name}`);
+        }
+        if (input.baseType === 'array' || input.baseType === 'tuple') {
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        }
+        if (input.baseType === 'bool') {
+            return value === true || value === 'true';
+        }
+        return value;
+    }
+}
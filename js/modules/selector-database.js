@@ -0,0 +1,99 @@
+/**
+ * 本地函数选择器库
+ * 内置常用合约（ERC20/721/1155、Multicall、Safe、代理、Uniswap路由等）的函数签名，
+ * 用于在没有对应ABI时离线识别调用数据
+ */
+export class SelectorDatabase {
+    constructor() {
+        this.signatures = [
+            // ERC20 / WETH
+            'function transfer(address to, uint256 amount)',
+            'function transferFrom(address from, address to, uint256 amount)',
+            'function approve(address spender, uint256 amount)',
+            'function increaseAllowance(address spender, uint256 addedValue)',
+            'function decreaseAllowance(address spender, uint256 subtractedValue)',
+            'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+            'function balanceOf(address account)',
+            'function allowance(address owner, address spender)',
+            'function totalSupply()',
+            'function name()',
+            'function symbol()',
+            'function decimals()',
+            'function deposit() payable',
+            'function withdraw(uint256 wad)',
+            'function mint(address to, uint256 amount)',
+            'function burn(uint256 amount)',
+            
+            // ERC721 / ERC1155
+            'function ownerOf(uint256 tokenId)',
+            'function safeTransferFrom(address from, address to, uint256 tokenId)',
+            'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+            'function setApprovalForAll(address operator, bool approved)',
+            'function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)',
+            'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)',
+            
+            // 权限与代理
+            'function transferOwnership(address newOwner)',
+            'function renounceOwnership()',
+            'function acceptOwnership()',
+            'function grantRole(bytes32 role, address account)',
+            'function revokeRole(bytes32 role, address account)',
+            'function renounceRole(bytes32 role, address account)',
+            'function pause()',
+            'function unpause()',
+            'function upgradeTo(address newImplementation)',
+            'function upgradeToAndCall(address newImplementation, bytes data) payable',
+            'function changeAdmin(address newAdmin)',
+            'function upgrade(address proxy, address implementation)',
+            'function upgradeAndCall(address proxy, address implementation, bytes data) payable',
+            
+            // Multicall
+            'function multicall(bytes[] data) payable',
+            'function multicall(uint256 deadline, bytes[] data) payable',
+            'function multicall(bytes32 previousBlockhash, bytes[] data) payable',
+            'function aggregate((address target, bytes callData)[] calls) payable',
+            'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable',
+            'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable',
+            'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable',
+            
+            // Safe
+            'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures) payable',
+            'function execTransactionFromModule(address to, uint256 value, bytes data, uint8 operation)',
+            'function multiSend(bytes transactions) payable',
+            'function addOwnerWithThreshold(address owner, uint256 _threshold)',
+            'function removeOwner(address prevOwner, address owner, uint256 _threshold)',
+            'function swapOwner(address prevOwner, address oldOwner, address newOwner)',
+            'function changeThreshold(uint256 _threshold)',
+            'function enableModule(address module)',
+            'function disableModule(address prevModule, address module)',
+            'function setGuard(address guard)',
+            'function approveHash(bytes32 hashToApprove)',
+            
+            // Uniswap V2 / V3 路由
+            'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+            'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+            'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable',
+            'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+            'function addLiquidity(address tokenA, address tokenB, uint256 amountADesired, uint256 amountBDesired, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+            'function removeLiquidity(address tokenA, address tokenB, uint256 liquidity, uint256 amountAMin, uint256 amountBMin, address to, uint256 deadline)',
+            'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) payable',
+            'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params) payable',
+            'function unwrapWETH9(uint256 amountMinimum, address recipient) payable',
+            'function refundETH() payable',
+            'function sweepToken(address token, uint256 amountMinimum, address recipient) payable'
+        ];
+        
+        this.interface = null;
+    }
+    
+    /**
+     * 获取内置签名对应的Interface（首次使用时创建）
+     * @returns {ethers.utils.Interface} 接口实例
+     */
+    getInterface() {
+        if (!this.interface) {
+            this.interface = new ethers.utils.Interface(this.signatures);
+        }
+        return this.interface;
+    }
+}
@@ -0,0 +1,320 @@
+/**
+ * 交易跟踪模块
+ * 负责跟踪已发送交易的状态（待确认、已上链、确认数、失败、被替换），并支持加速和取消
+ * 交易状态保存在历史记录中，页面刷新后可继续跟踪
+ */
+export class TransactionTracker {
+    constructor(options = {}) {
+        this.getProvider = options.getProvider || (() => null);
+        this.getSigner = options.getSigner || (() => null);
+        // 当前网络的链ID（十六进制），用于记录不含链ID的旧版交易
+        this.getChainId = options.getChainId || (() => null);
+        this.historyManager = options.historyManager;
+        
+        // 解码回执日志的函数
+        this.decodeLogs = options.decodeLogs || ((logs) => logs);
+        
+        // 回调函数
+        this.callbacks = {
+            onUpdate: options.onUpdate || (() => {}),
+            onStatusChange: options.onStatusChange || (() => {})
+        };
+        
+        // 达到该确认数后停止跟踪
+        this.confirmationTarget = 12;
+        // 替换交易的手续费提高比例（节点要求至少提高10%）
+        this.feeBumpPercent = 115;
+        
+        this.provider = null;
+        this.isChecking = false;
+        // 检查期间又收到的检查请求（只保留最新区块），检查结束后补查
+        this.queuedCheck = null;
+        
+        this._blockListener = (blockNumber) => this._checkPending(blockNumber);
+    }
+    
+    /**
+     * 将已发送的交易转换为可保存到历史记录的字段
+     * EIP-155之前的旧版交易不含链ID（chainId为0），按当前网络记录
+     * @param {Object} tx - ethers的TransactionResponse
+     * @returns {Object} { transactionHash, chainId, status, confirmations, transaction }
+     */
+    describeTransaction(tx) {
+        const toString = (value) => value ? value.toString() : null;
+        const chainId = tx.chainId ? ethers.utils.hexValue(tx.chainId) : this.getChainId();
+        return {
+            transactionHash: tx.hash,
+            chainId,
+            status: 'pending',
+            confirmations: 0,
+            transaction: {
+                from: tx.from,
+                to: tx.to,
+                nonce: tx.nonce,
+                data: tx.data,
+                value: toString(tx.value) || '0',
+                gasLimit: toString(tx.gasLimit),
+                type: tx.type,
+                maxFeePerGas: toString(tx.maxFeePerGas),
+                maxPriorityFeePerGas: toString(tx.maxPriorityFeePerGas),
+                gasPrice: tx.maxFeePerGas ? null : toString(tx.gasPrice)
+            }
+        };
+    }
+    
+    /**
+     * 开始跟踪历史记录中未完成的交易（新发送的交易记录添加到历史后调用）
+     */
+    track() {
+        this._attachProvider();
+        this._checkPending();
+    }
+    
+    /**
+     * Provider变化（连接钱包、切换网络、修改RPC节点）后重新挂载监听
+     * 页面加载时调用可恢复跟踪刷新前未完成的交易
+     */
+    refreshProvider() {
+        this._detachProvider();
+        this.track();
+    }
+    
+    /**
+     * 加速待确认的交易：以相同nonce和更高手续费重新发送
+     * @param {string} id - 历史记录ID
+     * @returns {Promise<Object>} 新交易的历史记录
+     */
+    async speedUp(id) {
+        return this._replace(id, 'speedup');
+    }
+    
+    /**
+     * 取消待确认的交易：以相同nonce和更高手续费向自己发送0金额交易
+     * @param {string} id - 历史记录ID
+     * @returns {Promise<Object>} 取消交易的历史记录
+     */
+    async cancel(id) {
+        return this._replace(id, 'cancel');
+    }
+    
+    /**
+     * 以相同nonce发送替换交易
+     * @private
+     */
+    async _replace(id, action) {
+        const item = this.historyManager.getHistoryItem(id);
+        if (!item || item.status !== 'pending') {
+            throw new Error('只能加速或取消待确认的交易');
+        }
+        
+        const signer = this.getSigner();
+        if (!signer) {
+            throw new Error('需要签名者执行此操作，请先连接钱包');
+        }
+        
+        const original = item.transaction;
+        const from = await signer.getAddress();
+        if (from.toLowerCase() !== original.from.toLowerCase()) {
+            throw new Error(`请在钱包中切换到原交易的发送账户 ${original.from}`);
+        }
+        
+        const signerChainId = ethers.utils.hexValue(await signer.getChainId());
+        if (signerChainId !== item.chainId) {
+            throw new Error(`钱包网络(${signerChainId})与原交易所在网络(${item.chainId})不一致`);
+        }
+        
+        const fees = await this._bumpFees(original);
+        const request = action === 'cancel'
+            ? { to: from, value: 0, data: '0x', gasLimit: 21000, nonce: original.nonce, ...fees }
+            : {
+                to: original.to,
+                value: original.value,
+                data: original.data,
+                gasLimit: original.gasLimit || undefined,
+                nonce: original.nonce,
+                ...fees
+            };
+        
+        const tx = await signer.sendTransaction(request);
+        
+        // 原交易在替换交易上链后会被标记为已替换
+        this.historyManager.updateHistoryItem(id, { replacedBy: tx.hash });
+        const record = this.historyManager.addToHistory({
+            timestamp: Date.now(),
+            address: item.address,
+            function: item.function,
+            selector: item.selector,
+            params: action === 'cancel' ? [] : item.params,
+            value: action === 'cancel' ? '0' : item.value,
+            action,
+            replaces: item.transactionHash,
+            ...this.describeTransaction(tx)
+        });
+        
+        this.track();
+        return record;
+    }
+    
+    /**
+     * 计算替换交易的手续费：原手续费提高一定比例，且不低于当前网络手续费
+     * @private
+     */
+    async _bumpFees(original) {
+        const provider = this.getProvider();
+        const feeData = provider ? await provider.getFeeData() : {};
+        const bump = (value) => ethers.BigNumber.from(value).mul(this.feeBumpPercent).div(100);
+        const max = (a, b) => (b && (!a || b.gt(a)) ? b : a);
+        
+        if (original.maxFeePerGas || (!original.gasPrice && feeData.maxFeePerGas)) {
+            const maxPriorityFeePerGas = max(
+                original.maxPriorityFeePerGas ? bump(original.maxPriorityFeePerGas) : null,
+                feeData.maxPriorityFeePerGas
+            );
+            let maxFeePerGas = max(original.maxFeePerGas ? bump(original.maxFeePerGas) : null, feeData.maxFeePerGas);
+            if (maxPriorityFeePerGas.gt(maxFeePerGas)) {
+                maxFeePerGas = maxPriorityFeePerGas;
+            }
+            return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+        }
+        
+        const gasPrice = max(original.gasPrice ? bump(original.gasPrice) : null, feeData.gasPrice);
+        if (!gasPrice) {
+            throw new Error('无法获取当前网络手续费');
+        }
+        return { gasPrice };
+    }
+    
+    /**
+     * 在当前Provider上挂载新区块监听（仅在有未完成交易时）
+     * @private
+     */
+    _attachProvider() {
+        if (this.provider || this.historyManager.getPendingTransactions().length === 0) {
+            return;
+        }
+        
+        const provider = this.getProvider();
+        if (!provider) {
+            console.warn('未提供Provider，无法跟踪交易状态');
+            return;
+        }
+        
+        this.provider = provider;
+        this.provider.on('block', this._blockListener);
+    }
+    
+    /**
+     * 移除新区块监听
+     * @private
+     */
+    _detachProvider() {
+        if (!this.provider) return;
+        
+        this.provider.off('block', this._blockListener);
+        this.provider = null;
+    }
+    
+    /**
+     * 检查当前网络上所有未完成交易的状态
+     * 上一轮检查未完成时记下该区块，结束后只补查最新的一个
+     * @private
+     */
+    async _checkPending(blockNumber = null) {
+        if (!this.provider) return;
+        if (this.isChecking) {
+            this.queuedCheck = { blockNumber };
+            return;
+        }
+        
+        this.isChecking = true;
+        const provider = this.provider;
+        try {
+            const network = await provider.getNetwork();
+            const chainId = ethers.utils.hexValue(network.chainId);
+            const latestBlock = blockNumber !== null ? blockNumber : await provider.getBlockNumber();
+            
+            // 其他网络上的交易等切换回该网络后再继续跟踪
+            const items = this.historyManager.getPendingTransactions().filter(item => item.chainId === chainId);
+            let updated = false;
+            
+            for (const item of items) {
+                try {
+                    const changes = await this._checkTransaction(provider, item, latestBlock);
+                    if (!changes) continue;
+                    
+                    const previousStatus = item.status;
+                    this.historyManager.updateHistoryItem(item.id, changes);
+                    updated = true;
+                    if (item.status !== previousStatus) {
+                        this.callbacks.onStatusChange(item, previousStatus);
+                    }
+                } catch (error) {
+                    console.error(`查询交易状态失败 [${item.transactionHash}]:`, error);
+                }
+            }
+            
+            if (updated) {
+                this.callbacks.onUpdate();
+            }
+        } catch (error) {
+            console.error('检查交易状态失败:', error);
+        } finally {
+            this.isChecking = false;
+            if (this.historyManager.getPendingTransactions().length === 0) {
+                this._detachProvider();
+            } else if (this.queuedCheck) {
+                const { blockNumber: queuedBlock } = this.queuedCheck;
+                this.queuedCheck = null;
+                this._checkPending(queuedBlock);
+            }
+        }
+    }
+    
+    /**
+     * 检查单笔交易，返回需要更新的字段，没有变化时返回null
+     * @private
+     */
+    async _checkTransaction(provider, item, latestBlock) {
+        const receipt = await provider.getTransactionReceipt(item.transactionHash);
+        
+        if (receipt && receipt.blockNumber) {
+            const confirmations = Math.max(latestBlock - receipt.blockNumber + 1, 1);
+            const changes = { confirmations };
+            
+            if (item.status === 'pending') {
+                changes.status = receipt.status === 1 ? 'mined' : 'failed';
+                changes.result = {
+                    transactionHash: receipt.transactionHash,
+                    blockNumber: receipt.blockNumber,
+                    status: receipt.status === 1 ? '成功' : '失败',
+                    gasUsed: receipt.gasUsed.toString(),
+                    logs: this.decodeLogs(receipt.logs)
+                };
+            }
+            if (confirmations >= this.confirmationTarget && (changes.status || item.status) === 'mined') {
+                changes.status = 'confirmed';
+            }
+            
+            if (!changes.status && confirmations === item.confirmations) {
+                return null;
+            }
+            return changes;
+        }
+        
+        // 已上链的交易查不到回执，说明发生了区块重组，重新等待确认
+        if (item.status === 'mined') {
+            return { status: 'pending', confirmations: 0, result: null };
+        }
+        
+        // 查不到回执但nonce已被使用，说明同nonce的其他交易先上链
+        const transactionCount = await provider.getTransactionCount(item.transaction.from, 'latest');
+        if (transactionCount > item.transaction.nonce) {
+            // 两次查询之间交易可能刚好上链，再确认一次
+            const latestReceipt = await provider.getTransactionReceipt(item.transactionHash);
+            if (!latestReceipt) {
+                return { status: 'replaced' };
+            }
+        }
+        return null;
+    }
+}
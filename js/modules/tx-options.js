@@ -0,0 +1,39 @@
+/**
+ * 交易选项模块
+ * 合约调用和部署共用：将用户指定的Gas、手续费和nonce写入交易
+ */
+export class TxOptions {
+    constructor() {
+        // 可由用户覆盖的交易Gas和手续费字段
+        this.keys = ['gasLimit', 'maxFeePerGas', 'maxPriorityFeePerGas', 'gasPrice'];
+    }
+    
+    /**
+     * 将用户指定的字段写入交易，未指定的字段交由钱包决定
+     * 只有未填写（undefined、null或空字符串）才视为未指定，显式指定的0会保留，如优先费为0
+     * @param {Object} transaction - 交易或合约调用的覆盖参数，会被原地修改
+     * @param {Object} options - { gasLimit, maxFeePerGas, maxPriorityFeePerGas, gasPrice, nonce }
+     * @returns {Object} 修改后的transaction
+     */
+    apply(transaction, options = {}) {
+        this.keys.forEach(key => {
+            if (this._isSet(options[key])) {
+                transaction[key] = ethers.BigNumber.from(options[key]);
+            }
+        });
+        if (this._isSet(options.nonce)) {
+            transaction.nonce = options.nonce;
+        }
+        return transaction;
+    }
+    
+    /**
+     * 判断字段是否已填写
+     * @param {*} value - 字段值
+     * @returns {boolean}
+     * @private
+     */
+    _isSet(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+}
@@ -1,9 +1,40 @@
+import { ParamValidator } from './param-validator.js';
+
 /**
  * UI管理模块
  * 负责处理用户界面的更新和交互
  */
 export class UIManager {
     constructor() {
+        this.paramValidator = new ParamValidator();
+        this.nativeSymbol = 'ETH';
+        
+        // 事件查询结果及排序状态
+        this.eventResults = {
+            logs: [],
+            eventDetails: null,
+            sortColumn: null,
+            sortAscending: true
+        };
+        
+        // 交易状态显示文字
+        this.txStatusLabels = {
+            pending: '待确认',
+            mined: '已上链',
+            confirmed: '已确认',
+            failed: '执行失败',
+            replaced: '已被替换'
+        };
+        
+        // 高级交易选项字段，decimals为不带单位时的小数位数（手续费默认单位gwei）
+        this.txOptionFields = [
+            { key: 'gasLimit', label: 'Gas上限', decimals: 0, placeholder: '留空由钱包估算' },
+            { key: 'maxFeePerGas', label: '最大手续费 maxFeePerGas（gwei）', decimals: 9, placeholder: '留空由钱包决定' },
+            { key: 'maxPriorityFeePerGas', label: '优先费 maxPriorityFeePerGas（gwei）', decimals: 9, placeholder: '留空由钱包决定' },
+            { key: 'gasPrice', label: 'Gas价格 gasPrice（gwei，旧式交易）', decimals: 9, placeholder: '仅用于不支持EIP-1559的链' },
+            { key: 'nonce', label: 'Nonce', decimals: 0, placeholder: '留空使用账户的下一个nonce' }
+        ];
+        
         // UI元素缓存
         this.elements = {
             connectionStatus: document.getElementById('connectionStatus'),
@@ -13,12 +44,39 @@ export class UIManager {
             savedAbis: document.getElementById('savedAbis'),
             contractFunctions: document.getElementById('contractFunctions'),
             functionParams: document.getElementById('functionParams'),
+            deployParams: document.getElementById('deployParams'),
             functionOutput: document.getElementById('functionOutput'),
             transactionHistory: document.getElementById('transactionHistory')
         };
         
         // 初始化通知系统（如果需要可以扩展）
         this._initNotification();
+        
+        // 初始化右侧面板标签页
+        this._initTabs();
+    }
+    
+    /**
+     * 初始化标签页切换
+     * @private
+     */
+    _initTabs() {
+        document.querySelectorAll('.tab-btn').forEach(button => {
+            button.addEventListener('click', () => this.switchTab(button.dataset.tab));
+        });
+    }
+    
+    /**
+     * 切换右侧面板标签页
+     * @param {string} tabId - 标签页对应的面板ID
+     */
+    switchTab(tabId) {
+        document.querySelectorAll('.tab-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tabId);
+        });
+        document.querySelectorAll('.tab-panel').forEach(panel => {
+            panel.hidden = panel.id !== tabId;
+        });
     }
     
     /**
@@ -134,23 +192,260 @@ export class UIManager {
     /**
      * 更新链信息UI
      * @param {string} chainId - 链ID
+     * @param {Object} chain - 链注册表中的网络信息，未登记时为null
      */
-    updateChainInfo(chainId) {
-        // 可以根据chainId显示网络名称
-        const networks = {
-            '0x1': '以太坊主网',
-            '0x3': 'Ropsten测试网',
-            '0x4': 'Rinkeby测试网',
-            '0x5': 'Goerli测试网',
-            '0x2a': 'Kovan测试网',
-            '0x38': '币安智能链',
-            '0x89': 'Polygon'
-        };
+    updateChainInfo(chainId, chain = null) {
+        const select = document.getElementById('networkSelect');
+        
+        // 移除之前为未登记网络临时添加的选项
+        const unknownOption = select.querySelector('option[data-unknown]');
+        if (unknownOption) {
+            unknownOption.remove();
+        }
+        
+        this.nativeSymbol = chain ? chain.nativeCurrency.symbol : 'ETH';
+        
+        if (!chainId) {
+            select.value = '';
+            return;
+        }
         
-        const networkName = networks[chainId] || `链ID: ${chainId}`;
+        const networkName = chain ? chain.name : `链ID: ${parseInt(chainId, 16)}`;
         console.log(`当前网络: ${networkName}`);
         
-        // 这里可以更新网络信息的UI元素（如果有）
+        if (!chain) {
+            const option = document.createElement('option');
+            option.value = chainId;
+            option.textContent = `${networkName}（未登记）`;
+            option.dataset.unknown = 'true';
+            select.appendChild(option);
+        }
+        select.value = chainId;
+    }
+    
+    /**
+     * 填充头部网络切换下拉列表
+     * @param {Array} chains - 链注册表中的网络列表
+     * @param {string} currentChainId - 钱包当前所在的链ID
+     * @param {Object} currentChain - 当前链的网络信息
+     */
+    populateNetworkDropdown(chains, currentChainId, currentChain) {
+        const select = document.getElementById('networkSelect');
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        
+        chains.forEach(chain => {
+            const option = document.createElement('option');
+            option.value = chain.chainId;
+            option.textContent = chain.name;
+            select.appendChild(option);
+        });
+        
+        this.updateChainInfo(currentChainId, currentChain);
+    }
+    
+    /**
+     * 渲染网络管理列表
+     * @param {Array} chains - 网络列表
+     * @param {Object} handlers - 回调 { onEdit, onDelete }，参数为网络信息
+     */
+    renderChainList(chains, handlers) {
+        const list = document.getElementById('chainList');
+        list.innerHTML = '';
+        
+        chains.forEach(chain => {
+            const item = document.createElement('div');
+            item.className = 'chain-item';
+            
+            const text = document.createElement('span');
+            text.textContent = `${chain.name}（${parseInt(chain.chainId, 16)}，${chain.nativeCurrency.symbol}）`;
+            
+            const buttons = document.createElement('div');
+            
+            const editBtn = document.createElement('button');
+            editBtn.className = 'icon-btn';
+            editBtn.textContent = '编辑';
+            editBtn.addEventListener('click', () => handlers.onEdit(chain));
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'icon-btn';
+            deleteBtn.textContent = '删除';
+            deleteBtn.addEventListener('click', () => handlers.onDelete(chain));
+            
+            buttons.appendChild(editBtn);
+            buttons.appendChild(deleteBtn);
+            item.appendChild(text);
+            item.appendChild(buttons);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * 将网络信息填入编辑表单
+     * @param {Object} chain - 网络信息，为null时清空表单
+     */
+    fillChainForm(chain) {
+        document.getElementById('chainIdInput').value = chain ? parseInt(chain.chainId, 16) : '';
+        document.getElementById('chainNameInput').value = chain ? chain.name : '';
+        document.getElementById('chainSymbolInput').value = chain ? chain.nativeCurrency.symbol : '';
+        document.getElementById('chainDecimalsInput').value = chain ? chain.nativeCurrency.decimals : '';
+        document.getElementById('chainRpcInput').value = chain ? chain.rpcUrls.join(', ') : '';
+        document.getElementById('chainExplorerInput').value = chain ? chain.explorerUrl : '';
+    }
+    
+    /**
+     * 读取网络编辑表单
+     * @returns {Object} 网络信息
+     */
+    readChainForm() {
+        const symbol = document.getElementById('chainSymbolInput').value.trim();
+        return {
+            chainId: document.getElementById('chainIdInput').value.trim(),
+            name: document.getElementById('chainNameInput').value.trim(),
+            nativeCurrency: {
+                name: symbol,
+                symbol,
+                decimals: document.getElementById('chainDecimalsInput').value.trim()
+            },
+            rpcUrls: document.getElementById('chainRpcInput').value.split(','),
+            explorerUrl: document.getElementById('chainExplorerInput').value.trim()
+        };
+    }
+    
+    /**
+     * 显示或隐藏网络管理区域
+     */
+    toggleChainSection() {
+        const section = document.getElementById('chainSection');
+        section.hidden = !section.hidden;
+    }
+    
+    /**
+     * 渲染已配置的RPC节点及只读网络选择
+     * @param {Array} endpoints - RPC节点列表 [{ chainId, url, name }]
+     * @param {string} readChainId - 当前选择的只读网络，为空表示跟随钱包
+     * @param {Function} onRemove - 删除节点的回调，参数为链ID
+     */
+    renderRpcEndpoints(endpoints, readChainId, onRemove) {
+        const select = document.getElementById('readChainSelect');
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        
+        const list = document.getElementById('rpcEndpointList');
+        list.innerHTML = '';
+        
+        endpoints.forEach(endpoint => {
+            const chainLabel = endpoint.name || `链ID ${parseInt(endpoint.chainId, 16)}`;
+            
+            const option = document.createElement('option');
+            option.value = endpoint.chainId;
+            option.textContent = chainLabel;
+            select.appendChild(option);
+            
+            const item = document.createElement('div');
+            item.className = 'rpc-endpoint-item';
+            
+            const text = document.createElement('span');
+            text.textContent = `${chainLabel}: ${endpoint.url}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = '删除';
+            removeBtn.addEventListener('click', () => onRemove(endpoint.chainId));
+            
+            item.appendChild(text);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+        
+        select.value = readChainId || '';
+    }
+    
+    /**
+     * 更新只读Provider状态显示
+     * @param {Object} status - ProviderManager.getStatus()的返回值，可附带chainName
+     */
+    updateReadProviderStatus(status) {
+        const element = document.getElementById('readProviderStatus');
+        const chainText = status.chainName || (status.chainId ? `链ID ${parseInt(status.chainId, 16)}` : '未知网络');
+        
+        if (status.source === 'rpc') {
+            element.textContent = `只读调用: ${status.url}（${chainText}）`;
+        } else if (status.source === 'wallet') {
+            element.textContent = `只读调用: 钱包Provider（${chainText}）`;
+        } else {
+            element.textContent = '未配置只读节点，请连接钱包或添加RPC节点';
+        }
+    }
+    
+    /**
+     * 渲染地址簿列表
+     * @param {Array} entries - 地址簿条目，附带chainName、abiMissing（引用的ABI已删除）和walletChainName（钱包网络与条目不同时）字段
+     * @param {Object} handlers - { onUse, onDelete }，参数为条目
+     */
+    renderAddressBook(entries, handlers) {
+        const list = document.getElementById('addressBookList');
+        list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'param-hint';
+            hint.textContent = '地址簿为空或没有匹配的条目';
+            list.appendChild(hint);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'address-book-item';
+            
+            const info = document.createElement('div');
+            info.className = 'address-book-info';
+            
+            const title = document.createElement('strong');
+            title.textContent = entry.name;
+            info.appendChild(title);
+            
+            const details = document.createElement('div');
+            details.className = 'address-text';
+            const chainText = entry.chainId ? (entry.chainName || `链ID ${parseInt(entry.chainId, 16)}`) : '未知网络';
+            const abiText = entry.abiName
+                ? `ABI: ${entry.abiName}${entry.abiMissing ? '（不存在）' : ''}`
+                : (entry.abi ? 'ABI: 随条目保存' : '无ABI');
+            details.textContent = `${chainText} · ${this._shortenAddress(entry.address)} · ${abiText}`;
+            details.title = entry.address;
+            info.appendChild(details);
+            
+            if (entry.notes) {
+                const notes = document.createElement('div');
+                notes.className = 'param-hint';
+                notes.textContent = entry.notes;
+                info.appendChild(notes);
+            }
+            
+            if (entry.walletChainName) {
+                const warning = document.createElement('p');
+                warning.className = 'watch-error';
+                warning.textContent = `注意：钱包当前网络为${entry.walletChainName}，与该合约所在网络不同`;
+                info.appendChild(warning);
+            }
+            
+            const actions = document.createElement('div');
+            actions.className = 'address-book-actions';
+            [['使用', handlers.onUse], ['删除', handlers.onDelete]].forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'icon-btn';
+                button.textContent = label;
+                button.addEventListener('click', () => handler(entry));
+                actions.appendChild(button);
+            });
+            
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
     }
     
     /**
@@ -174,6 +469,364 @@ export class UIManager {
         });
     }
     
+    /**
+     * 渲染已保存ABI的条目列表，未选择已保存的ABI时隐藏
+     * @param {Array|null} fragments - AbiManager.getFragments()的返回值
+     * @param {Function} onRemove - 删除条目的回调，参数为条目标识
+     */
+    renderAbiFragments(fragments, onRemove) {
+        const editor = document.getElementById('abiFragmentEditor');
+        const list = document.getElementById('abiFragmentList');
+        list.innerHTML = '';
+        editor.hidden = !fragments;
+        if (!fragments) return;
+        
+        fragments.forEach(fragment => {
+            const item = document.createElement('div');
+            item.className = 'abi-fragment-item';
+            
+            const text = document.createElement('span');
+            text.textContent = fragment.signature;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = '删除';
+            removeBtn.addEventListener('click', () => onRemove(fragment.key));
+            
+            item.appendChild(text);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * 渲染ABI库列表和标签过滤下拉框
+     * @param {Array} entries - AbiManager.getLibrary()的返回值
+     * @param {Array} tags - 所有标签
+     * @param {Object} handlers - { onLoad, onRename, onEditTags, onDelete, onCompare }，参数均为ABI名称
+     */
+    renderAbiLibrary(entries, tags, handlers) {
+        const tagSelect = document.getElementById('abiLibraryTagFilter');
+        const selectedTag = tagSelect.value;
+        while (tagSelect.options.length > 1) {
+            tagSelect.remove(1);
+        }
+        tags.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            option.textContent = tag;
+            tagSelect.appendChild(option);
+        });
+        tagSelect.value = tags.includes(selectedTag) ? selectedTag : '';
+        
+        const list = document.getElementById('abiLibraryList');
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = '没有匹配的ABI';
+            list.appendChild(hint);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'abi-library-item';
+            
+            const info = document.createElement('div');
+            info.className = 'abi-library-info';
+            
+            const title = document.createElement('strong');
+            title.textContent = entry.name;
+            info.appendChild(title);
+            entry.tags.forEach(tag => {
+                const tagEl = document.createElement('span');
+                tagEl.className = 'abi-tag';
+                tagEl.textContent = tag;
+                info.appendChild(document.createTextNode(' '));
+                info.appendChild(tagEl);
+            });
+            
+            const details = document.createElement('div');
+            details.className = 'address-text';
+            const parts = [`${entry.counts.function}个函数 · ${entry.counts.event}个事件 · ${entry.counts.error}个错误`];
+            if (entry.contractName) {
+                parts.push(entry.sourceName ? `${entry.sourceName}:${entry.contractName}` : entry.contractName);
+            }
+            if (entry.updatedAt) {
+                parts.push(`更新于 ${new Date(entry.updatedAt).toLocaleString()}`);
+            }
+            if (entry.versionCount > 0) {
+                parts.push(`${entry.versionCount}个历史版本`);
+            }
+            details.textContent = parts.join(' · ');
+            info.appendChild(details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'abi-library-actions';
+            const buttons = [
+                ['载入', handlers.onLoad],
+                ['重命名', handlers.onRename],
+                ['标签', handlers.onEditTags],
+                ...(entry.versionCount > 0 ? [['对比上一版本', handlers.onCompare]] : []),
+                ['删除', handlers.onDelete]
+            ];
+            buttons.forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'icon-btn';
+                button.textContent = label;
+                button.addEventListener('click', () => handler(entry.name));
+                actions.appendChild(button);
+            });
+            
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * 填充ABI对比的两个下拉框，每个ABI列出当前版本和历史版本
+     * @param {Array} sources - [{ name, versions: [{ index, savedAt }] }]
+     */
+    populateAbiDiffOptions(sources) {
+        ['abiDiffBase', 'abiDiffTarget'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            while (select.options.length > 1) {
+                select.remove(1);
+            }
+            
+            sources.forEach(source => {
+                const addOption = (index, label) => {
+                    const option = document.createElement('option');
+                    option.value = index === null ? JSON.stringify([source.name]) : JSON.stringify([source.name, index]);
+                    option.textContent = label;
+                    select.appendChild(option);
+                };
+                addOption(null, `${source.name}（当前）`);
+                source.versions.slice().reverse().forEach(version => {
+                    const time = version.savedAt ? new Date(version.savedAt).toLocaleString() : '时间未知';
+                    addOption(version.index, `${source.name} 版本${version.index + 1}（${time}）`);
+                });
+            });
+            
+            if ([...select.options].some(option => option.value === selected)) {
+                select.value = selected;
+            }
+        });
+    }
+    
+    /**
+     * 选中ABI对比的两个版本
+     * @param {Array} base - [名称, 历史版本序号]，当前版本省略序号
+     * @param {Array} target - 同上
+     */
+    selectAbiDiff(base, target) {
+        document.getElementById('abiDiffBase').value = JSON.stringify(base);
+        document.getElementById('abiDiffTarget').value = JSON.stringify(target);
+    }
+    
+    /**
+     * 获取ABI对比选中的两个版本
+     * @returns {Object|null} { base, target }，均为 [名称, 历史版本序号]，未选择完整时返回null
+     */
+    getAbiDiffSelection() {
+        const base = document.getElementById('abiDiffBase').value;
+        const target = document.getElementById('abiDiffTarget').value;
+        if (!base || !target) return null;
+        return { base: JSON.parse(base), target: JSON.parse(target) };
+    }
+    
+    /**
+     * 显示ABI对比结果
+     * @param {Object|null} diff - AbiDiff.diff()的返回值，null时清空
+     */
+    renderAbiDiff(diff) {
+        const container = document.getElementById('abiDiffResult');
+        container.innerHTML = '';
+        if (!diff) return;
+        
+        if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = '两个ABI的函数、事件和错误完全相同';
+            container.appendChild(hint);
+            return;
+        }
+        
+        const sections = [
+            ['新增', 'abi-diff-added', diff.added.map(item => `+ ${item.signature}`)],
+            ['删除', 'abi-diff-removed', diff.removed.map(item => `- ${item.signature}`)],
+            ['修改', 'abi-diff-changed', diff.changed.map(item => `${item.before}\n→ ${item.after}`)]
+        ];
+        sections.forEach(([label, className, lines]) => {
+            if (lines.length === 0) return;
+            
+            const title = document.createElement('h4');
+            title.textContent = `${label}（${lines.length}）`;
+            container.appendChild(title);
+            
+            lines.forEach(line => {
+                const entry = document.createElement('div');
+                entry.className = `log-entry ${className}`;
+                entry.textContent = line;
+                container.appendChild(entry);
+            });
+        });
+    }
+    
+    /**
+     * 渲染工作区各部分的勾选框和导入模式下拉框
+     * @param {Array} sections - [{ id, label }]
+     * @param {Object} modes - 导入模式 -> 说明
+     */
+    renderWorkspaceOptions(sections, modes) {
+        const container = document.getElementById('workspaceSections');
+        container.innerHTML = '';
+        sections.forEach(section => {
+            const label = document.createElement('label');
+            label.className = 'workspace-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = section.id;
+            checkbox.checked = true;
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${section.label}`));
+            container.appendChild(label);
+        });
+        
+        const select = document.getElementById('workspaceImportMode');
+        select.innerHTML = '';
+        Object.entries(modes).forEach(([mode, text]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * 获取勾选的工作区部分和导入模式
+     * @returns {Object} { sections: [id], mode }
+     */
+    getWorkspaceSelection() {
+        return {
+            sections: [...document.querySelectorAll('#workspaceSections input:checked')].map(input => input.value),
+            mode: document.getElementById('workspaceImportMode').value
+        };
+    }
+    
+    /**
+     * 显示工作区导入报告
+     * @param {string} text - 报告文本，为空时隐藏
+     * @param {boolean} isError - 是否为错误信息
+     */
+    showWorkspaceReport(text, isError = false) {
+        const output = document.getElementById('workspaceReport');
+        output.textContent = text;
+        output.hidden = !text;
+        output.classList.toggle('simulation-failed', isError);
+    }
+    
+    /**
+     * 读取拖入的文件和文件夹中的编译产物文件
+     * @param {DataTransfer} dataTransfer - 拖放事件的数据
+     * @returns {Promise<Array>} [{ name, content }]，name为相对路径
+     */
+    async readDroppedFiles(dataTransfer) {
+        const files = [];
+        const readEntry = async (entry) => {
+            if (entry.isFile) {
+                if (!this._isArtifactFile(entry.fullPath)) return;
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ name: entry.fullPath.replace(/^\//, ''), content: await file.text() });
+            } else if (entry.isDirectory && !this._isSkippedDirectory(entry.name)) {
+                // readEntries每次只返回部分条目，需要读到返回空数组为止
+                const reader = entry.createReader();
+                let entries;
+                do {
+                    entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of entries) {
+                        await readEntry(child);
+                    }
+                } while (entries.length > 0);
+            }
+        };
+        
+        const items = Array.from(dataTransfer.items || []);
+        const entries = items.map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+        if (entries.some(entry => entry)) {
+            for (const entry of entries.filter(Boolean)) {
+                await readEntry(entry);
+            }
+            return files;
+        }
+        return this.readSelectedFiles(dataTransfer.files);
+    }
+    
+    /**
+     * 读取文件选择框中的编译产物文件（选择文件夹时包含子目录中的文件）
+     * @param {FileList} fileList - 选择的文件
+     * @returns {Promise<Array>} [{ name, content }]，name为相对路径
+     */
+    async readSelectedFiles(fileList) {
+        const files = [];
+        for (const file of Array.from(fileList || [])) {
+            const name = file.webkitRelativePath || file.name;
+            if (this._isArtifactFile(name)) {
+                files.push({ name, content: await file.text() });
+            }
+        }
+        return files;
+    }
+    
+    /**
+     * 判断文件是否可能是编译产物：JSON文件，跳过被忽略目录中的文件。
+     * Hardhat调试文件和build-info也会读取，用于获取产物中没有的NatSpec
+     * @param {string} path - 文件路径
+     * @returns {boolean}
+     * @private
+     */
+    _isArtifactFile(path) {
+        const segments = path.split('/');
+        if (segments.slice(0, -1).some(segment => this._isSkippedDirectory(segment))) {
+            return false;
+        }
+        const fileName = segments[segments.length - 1];
+        return /\.json$/i.test(fileName);
+    }
+    
+    /**
+     * 导入文件夹时跳过依赖和缓存目录
+     * @param {string} name - 目录名
+     * @returns {boolean}
+     * @private
+     */
+    _isSkippedDirectory(name) {
+        return ['node_modules', '.git', 'cache'].includes(name);
+    }
+    
+    /**
+     * 在函数签名下方显示NatSpec注释
+     * @param {Object|null} doc - AbiManager.getFunctionDoc()的返回值
+     */
+    renderFunctionDoc(doc) {
+        const signatureInfo = this.elements.functionParams.querySelector('.function-signature');
+        if (!doc || !signatureInfo) return;
+        
+        const lines = [];
+        if (doc.notice) lines.push(doc.notice);
+        if (doc.details) lines.push(doc.details);
+        Object.entries(doc.params).forEach(([name, text]) => lines.push(`@param ${name} ${text}`));
+        Object.entries(doc.returns).forEach(([name, text]) => lines.push(`@return ${name} ${text}`));
+        
+        const docElement = document.createElement('div');
+        docElement.className = 'function-doc';
+        docElement.textContent = lines.join('\n');
+        signatureInfo.after(docElement);
+    }
+    
     /**
      * 填充合约函数下拉列表
      * @param {Array} functions - 函数列表
@@ -201,11 +854,12 @@ export class UIManager {
             optGroups[key].label = groups[key];
         }
         
-        // 将函数添加到相应的组
+        // 将函数添加到相应的组，以完整签名区分重载函数
         functions.forEach(func => {
             const option = document.createElement('option');
-            option.value = func.name;
-            option.textContent = `${func.name}`;
+            option.value = func.signature;
+            option.textContent = `${func.signature}`;
+            option.title = `选择器: ${func.selector}`;
             
             const group = func.type || 'nonpayable';
             optGroups[group].appendChild(option);
@@ -220,166 +874,1675 @@ export class UIManager {
     }
     
     /**
-     * 渲染函数参数输入区域
-     * @param {Object} functionDetails - 函数详细信息
+     * 填充合约事件下拉列表
+     * @param {Array} events - 事件列表
      */
-    renderFunctionParams(functionDetails) {
-        const paramsContainer = this.elements.functionParams;
-        paramsContainer.innerHTML = '';
+    populateEventDropdown(events) {
+        // 事件日志查询和事件订阅使用同一份事件列表
+        ['contractEvents', 'watchEvents'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            
+            // 清空现有选项（保留默认选项）
+            while (select.options.length > 1) {
+                select.remove(1);
+            }
+            
+            events.forEach(evt => {
+                const option = document.createElement('option');
+                option.value = evt.signature;
+                option.textContent = evt.signature;
+                option.title = evt.topic ? `topic0: ${evt.topic}` : '匿名事件';
+                select.appendChild(option);
+            });
+        });
+        
+        this.renderEventFilterParams(null);
+    }
+    
+    /**
+     * 渲染事件indexed参数的过滤输入框
+     * @param {Object} eventDetails - 事件详细信息，为null表示查询全部事件
+     */
+    renderEventFilterParams(eventDetails) {
+        const container = document.getElementById('eventFilterParams');
+        container.innerHTML = '';
         
-        if (!functionDetails || !functionDetails.inputs || functionDetails.inputs.length === 0) {
-            paramsContainer.innerHTML = '<p>此函数没有参数</p>';
+        const indexedInputs = eventDetails ? eventDetails.inputs.filter(input => input.indexed) : [];
+        if (indexedInputs.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = eventDetails ? '此事件没有indexed参数' : '查询合约的全部事件';
+            container.appendChild(hint);
             return;
         }
         
-        // 创建参数输入表单
-        const form = document.createElement('form');
-        form.id = 'function-params-form';
-        
-        functionDetails.inputs.forEach((input, index) => {
+        eventDetails.inputs.forEach((input, index) => {
+            if (!input.indexed) return;
+            
             const row = document.createElement('div');
             row.className = 'param-row';
             
             const label = document.createElement('label');
-            label.textContent = `${input.name || `参数${index + 1}`} (${input.type})`;
+            label.textContent = `${input.name || `参数${index + 1}`} (${input.type} indexed)`;
             
-            let inputElement;
+            const inputElement = document.createElement('input');
+            inputElement.type = 'text';
+            inputElement.className = 'event-filter-input';
+            inputElement.dataset.index = index;
+            inputElement.dataset.type = input.type;
             
-            // 根据类型选择合适的输入控件
-            if (input.type === 'bool') {
-                // 布尔类型使用选择框
-                inputElement = document.createElement('select');
-                const optTrue = document.createElement('option');
-                optTrue.value = 'true';
-                optTrue.textContent = 'True';
-                
-                const optFalse = document.createElement('option');
-                optFalse.value = 'false';
-                optFalse.textContent = 'False';
-                
-                inputElement.appendChild(optTrue);
-                inputElement.appendChild(optFalse);
+            // tuple和数组的indexed值只保存哈希，无法按值过滤
+            if (input.type === 'tuple' || input.type.endsWith(']')) {
+                inputElement.disabled = true;
+                inputElement.placeholder = '该类型不支持过滤';
             } else {
-                // 其他类型使用文本输入框
-                inputElement = document.createElement('input');
-                inputElement.type = 'text';
-                
-                if (input.type.includes('int')) {
-                    inputElement.placeholder = '数字值';
-                } else if (input.type === 'address') {
-                    inputElement.placeholder = '0x...';
-                } else if (input.type.includes('[]')) {
-                    inputElement.placeholder = '数组值，用逗号分隔';
-                }
+                inputElement.placeholder = '可选，多个值用逗号分隔（任一匹配）';
             }
             
-            inputElement.id = `param-${index}`;
-            inputElement.dataset.type = input.type;
-            inputElement.dataset.name = input.name || `param${index}`;
-            
             row.appendChild(label);
             row.appendChild(inputElement);
-            form.appendChild(row);
+            container.appendChild(row);
         });
+    }
+    
+    /**
+     * 收集事件查询条件
+     * @returns {Object} { eventSignature, indexedValues, fromBlock, toBlock }
+     */
+    collectEventFilter() {
+        const eventSignature = document.getElementById('contractEvents').value;
+        const indexedValues = [];
         
-        // 如果是payable函数，添加value输入框
-        if (functionDetails.stateMutability === 'payable' || functionDetails.payable) {
-            const valueRow = document.createElement('div');
-            valueRow.className = 'param-row';
+        document.querySelectorAll('#eventFilterParams .event-filter-input').forEach(input => {
+            const index = parseInt(input.dataset.index, 10);
+            const text = input.value.trim();
+            if (!text || input.disabled) return;
             
-            const valueLabel = document.createElement('label');
-            valueLabel.textContent = '发送ETH数量';
+            // 逗号分隔的多个值按“任一匹配”过滤，string类型按原文整体匹配
+            const rawValues = input.dataset.type === 'string' ? [text] : text.split(',').map(value => value.trim());
+            indexedValues[index] = rawValues.map(rawValue => {
+                const result = this.paramValidator.validate(input.dataset.type, rawValue);
+                if (!result.valid) {
+                    throw new Error(`过滤条件 ${rawValue} 无效: ${result.error}`);
+                }
+                return result.value;
+            });
+        });
+        
+        // 补齐未填写的位置
+        for (let i = 0; i < indexedValues.length; i++) {
+            if (indexedValues[i] === undefined) {
+                indexedValues[i] = null;
+            }
+        }
+        
+        return {
+            eventSignature,
+            indexedValues,
+            fromBlock: this._parseBlockInput(document.getElementById('eventFromBlock').value),
+            toBlock: this._parseBlockInput(document.getElementById('eventToBlock').value)
+        };
+    }
+    
+    /**
+     * 解析区块号输入
+     * @param {string} text - 区块号（十进制、十六进制或latest）
+     * @returns {number|string|null} 区块号，未填写返回null
+     * @private
+     */
+    _parseBlockInput(text) {
+        const value = text.trim().toLowerCase();
+        if (!value) return null;
+        if (value === 'latest') return 'latest';
+        if (/^\d+$/.test(value) || /^0x[0-9a-f]+$/.test(value)) {
+            return Number(value);
+        }
+        throw new Error(`无效的区块号: ${text}`);
+    }
+    
+    /**
+     * 渲染事件查询结果表格
+     * @param {Array} logs - 解码后的日志
+     * @param {Object} eventDetails - 查询的事件，为null表示全部事件
+     */
+    renderEventResults(logs, eventDetails) {
+        if (this.eventResults.eventDetails !== eventDetails) {
+            this.eventResults.sortColumn = null;
+        }
+        this.eventResults.logs = logs;
+        this.eventResults.eventDetails = eventDetails;
+        this._renderEventTable();
+    }
+    
+    /**
+     * 更新事件查询状态
+     * @param {string} text - 状态说明
+     * @param {boolean} hasMore - 是否还能继续加载
+     */
+    updateEventQueryStatus(text, hasMore) {
+        document.getElementById('eventQueryStatus').textContent = text;
+        document.getElementById('loadMoreEventsBtn').disabled = !hasMore;
+    }
+    
+    /**
+     * 导出事件查询结果
+     * @param {string} format - 导出格式，csv或json
+     */
+    exportEventResults(format) {
+        const { logs } = this.eventResults;
+        if (logs.length === 0) {
+            throw new Error('没有可导出的事件');
+        }
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (format === 'json') {
+            this.downloadFile(`events-${timestamp}.json`, JSON.stringify(logs, null, 2), 'application/json');
+            return;
+        }
+        
+        const { columns, rows } = this._buildEventTable();
+        const escape = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+        const lines = [
+            columns.map(column => escape(column.label)).join(','),
+            ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+        ];
+        this.downloadFile(`events-${timestamp}.csv`, lines.join('\r\n'), 'text/csv');
+    }
+    
+    /**
+     * 下载文本文件
+     * @param {string} filename - 文件名
+     * @param {string} content - 文件内容
+     * @param {string} mimeType - MIME类型
+     */
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 将事件结果整理为表格数据（按当前排序）
+     * @returns {Object} { columns, rows }
+     * @private
+     */
+    _buildEventTable() {
+        const { logs, eventDetails } = this.eventResults;
+        const formatValue = (value) => typeof value === 'object' ? JSON.stringify(value) : String(value);
+        
+        const columns = [
+            { key: 'blockNumber', label: '区块' },
+            { key: 'logIndex', label: '序号' },
+            { key: 'transactionHash', label: '交易哈希' }
+        ];
+        
+        if (eventDetails) {
+            // 指定事件时每个参数单独一列
+            eventDetails.inputs.forEach((input, index) => {
+                columns.push({ key: `arg${index}`, label: `${input.name || `参数${index + 1}`} (${input.type})` });
+            });
+        } else {
+            columns.push({ key: 'event', label: '事件' });
+            columns.push({ key: 'args', label: '参数' });
+        }
+        
+        const rows = logs.map(log => {
+            const row = {
+                blockNumber: log.blockNumber,
+                logIndex: log.logIndex,
+                transactionHash: log.transactionHash,
+                event: log.decoded ? log.name : '未识别事件'
+            };
+            
+            if (log.decoded) {
+                log.args.forEach((arg, index) => {
+                    row[`arg${index}`] = formatValue(arg.value);
+                });
+                row.args = log.args.map(arg => `${arg.name}=${formatValue(arg.value)}`).join('; ');
+            } else {
+                row.args = `topics=${log.topics.join(',')}; data=${log.data}`;
+            }
+            return row;
+        });
+        
+        // 按当前排序列排序，导出时保持与表格一致
+        const { sortColumn, sortAscending } = this.eventResults;
+        if (sortColumn) {
+            rows.sort((a, b) => {
+                const order = this._compareValues(a[sortColumn], b[sortColumn]);
+                return sortAscending ? order : -order;
+            });
+        }
+        
+        return { columns, rows };
+    }
+    
+    /**
+     * 渲染事件结果表格，点击表头按该列排序
+     * @private
+     */
+    _renderEventTable() {
+        const container = document.getElementById('eventResults');
+        container.innerHTML = '';
+        
+        const { columns, rows } = this._buildEventTable();
+        if (rows.length === 0) {
+            container.textContent = '没有查询到事件';
+            return;
+        }
+        
+        const { sortColumn, sortAscending } = this.eventResults;
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        
+        const headerRow = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            const arrow = sortColumn === column.key ? (sortAscending ? ' ▲' : ' ▼') : '';
+            th.textContent = column.label + arrow;
+            th.addEventListener('click', () => {
+                if (this.eventResults.sortColumn === column.key) {
+                    this.eventResults.sortAscending = !this.eventResults.sortAscending;
+                } else {
+                    this.eventResults.sortColumn = column.key;
+                    this.eventResults.sortAscending = true;
+                }
+                this._renderEventTable();
+            });
+            headerRow.appendChild(th);
+        });
+        
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            columns.forEach(column => {
+                const value = row[column.key];
+                tr.insertCell().textContent = value === undefined || value === null ? '' : value;
+            });
+        });
+        
+        container.appendChild(table);
+    }
+    
+    /**
+     * 比较两个表格值，整数按数值比较，其余按字符串比较
+     * @private
+     */
+    _compareValues(a, b) {
+        const left = a === undefined || a === null ? '' : String(a);
+        const right = b === undefined || b === null ? '' : String(b);
+        
+        if (/^-?\d+$/.test(left) && /^-?\d+$/.test(right)) {
+            const diff = BigInt(left) - BigInt(right);
+            return diff > 0n ? 1 : (diff < 0n ? -1 : 0);
+        }
+        return left.localeCompare(right);
+    }
+    
+    /**
+     * 渲染函数参数输入区域
+     * 合约方法和部署构造函数的表单各自独立，表单内的元素按容器查找，只清空传入的容器
+     * @param {Object} functionDetails - 函数详细信息（或ContractInteractor.getConstructorDetails()的构造函数信息）
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     */
+    renderFunctionParams(functionDetails, container = this.elements.functionParams) {
+        const paramsContainer = container;
+        paramsContainer.innerHTML = '';
+        
+        if (functionDetails && functionDetails.signature) {
+            const signatureInfo = document.createElement('div');
+            signatureInfo.className = 'function-signature';
+            signatureInfo.textContent = functionDetails.selector
+                ? `${functionDetails.signature}  ${functionDetails.selector}`
+                : functionDetails.signature;
+            paramsContainer.appendChild(signatureInfo);
+        }
+        
+        if (!functionDetails) {
+            this.validateFunctionParams(paramsContainer);
+            return;
+        }
+        
+        const inputs = functionDetails.inputs || [];
+        if (inputs.length === 0) {
+            // 无参数的payable函数仍需要显示value输入框，因此不直接返回
+            const emptyHint = document.createElement('p');
+            emptyHint.textContent = '此函数没有参数';
+            paramsContainer.appendChild(emptyHint);
+        }
+        
+        // 创建参数输入表单
+        const form = document.createElement('form');
+        form.className = 'function-params-form';
+        
+        // 按ABI定义递归生成输入控件，tuple和数组会生成嵌套的子表单；元素ID带容器前缀，避免两个表单重复
+        inputs.forEach((input, index) => {
+            const node = this._createParamNode(input, input.name || `参数${index + 1}`, `${paramsContainer.id}-param-${index}`);
+            form.appendChild(node);
+        });
+        
+        // 如果是payable函数，添加value输入框
+        if (functionDetails.stateMutability === 'payable' || functionDetails.payable) {
+            const valueRow = document.createElement('div');
+            valueRow.className = 'param-row';
+            
+            const valueLabel = document.createElement('label');
+            valueLabel.textContent = `发送${this.nativeSymbol}数量`;
+            
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.className = 'eth-value';
+            valueInput.placeholder = '0.01（默认单位ether，支持 20 gwei、100 wei）';
+            
+            const valueHint = document.createElement('div');
+            valueHint.className = 'param-hint eth-value-hint';
+            
+            valueRow.appendChild(valueLabel);
+            valueRow.appendChild(valueInput);
+            valueRow.appendChild(valueHint);
+            form.appendChild(valueRow);
+        }
+        
+        // 写入函数添加高级交易选项
+        const isReadOnly = functionDetails.stateMutability === 'view' ||
+            functionDetails.stateMutability === 'pure' ||
+            functionDetails.constant;
+        if (!isReadOnly) {
+            form.appendChild(this._createTxOptionsSection(paramsContainer.id));
+        }
+        
+        // 输入变化时即时校验，已编辑过的字段才显示错误
+        const onInput = (e) => {
+            const node = e.target.closest('.param-row[data-kind="value"]');
+            if (node) {
+                node.dataset.touched = 'true';
+            }
+            this.validateFunctionParams(paramsContainer);
+        };
+        form.addEventListener('input', onInput);
+        form.addEventListener('change', onInput);
+        
+        paramsContainer.appendChild(form);
+        this.validateFunctionParams(paramsContainer);
+    }
+    
+    /**
+     * 校验参数表单，并根据结果启用或禁用调用和模拟按钮（部署表单对应部署按钮）
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     * @returns {boolean} 所有参数是否有效
+     */
+    validateFunctionParams(container = this.elements.functionParams) {
+        const form = container.querySelector('.function-params-form');
+        const buttons = container === this.elements.deployParams
+            ? [document.getElementById('deployContractBtn')]
+            : [document.getElementById('callFunction'), document.getElementById('simulateFunction')];
+        if (!form) {
+            buttons.forEach(button => { button.disabled = false; });
+            return true;
+        }
+        
+        let allValid = true;
+        form.querySelectorAll('.param-row[data-kind]').forEach(node => {
+            const result = node.dataset.kind === 'value'
+                ? this._validateValueNode(node)
+                : this._validateArrayNode(node);
+            if (!result.valid) {
+                allValid = false;
+            }
+        });
+        
+        if (!this._validateEthValue(container).valid) {
+            allValid = false;
+        }
+        
+        if (!this._validateTxOptions(container).valid) {
+            allValid = false;
+        }
+        
+        buttons.forEach(button => { button.disabled = !allValid; });
+        return allValid;
+    }
+    
+    /**
+     * 收集函数参数值
+     * tuple收集为按字段顺序排列的数组，数组收集为元素数组，可直接交给ContractInteractor._processParams
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     * @returns {Array} 参数值数组
+     */
+    collectFunctionParams(container = this.elements.functionParams) {
+        const form = container.querySelector('.function-params-form');
+        if (!form) return [];
+        
+        // 只取顶层参数节点，eth-value等附加输入框没有data-kind，不会被收集
+        const nodes = form.querySelectorAll(':scope > .param-row[data-kind]');
+        return Array.from(nodes).map(node => this._collectParamValue(node));
+    }
+    
+    /**
+     * 根据参数定义创建输入节点
+     * @param {Object} param - ABI参数定义（可包含components）
+     * @param {string} name - 显示名称
+     * @param {string} id - 元素ID前缀
+     * @returns {HTMLElement} 参数节点
+     * @private
+     */
+    _createParamNode(param, name, id) {
+        const node = document.createElement('div');
+        node.className = 'param-row';
+        node.dataset.type = param.type;
+        node.dataset.name = name;
+        
+        const label = document.createElement('label');
+        label.textContent = this._formatParamLabel(name, param);
+        node.appendChild(label);
+        
+        const arrayMatch = param.type.match(/^(.*)\[(\d*)\]$/);
+        
+        if (arrayMatch) {
+            // 数组类型：动态数组可增删元素，定长数组固定元素个数
+            node.dataset.kind = 'array';
+            node.classList.add('param-group');
+            
+            const elementParam = {
+                ...param,
+                type: arrayMatch[1],
+                internalType: param.internalType ? param.internalType.replace(/\[\d*\]$/, '') : undefined
+            };
+            const fixedLength = arrayMatch[2] ? parseInt(arrayMatch[2], 10) : null;
+            
+            const items = document.createElement('div');
+            items.className = 'array-items';
+            node.appendChild(items);
+            
+            let nextId = 0;
+            const renumber = () => {
+                Array.from(items.children).forEach((item, index) => {
+                    const itemLabel = item.querySelector(':scope > .param-row > label');
+                    itemLabel.textContent = this._formatParamLabel(`[${index}]`, elementParam);
+                });
+            };
+            const addItem = () => {
+                const item = document.createElement('div');
+                item.className = 'array-item';
+                item.appendChild(this._createParamNode(elementParam, `[${items.children.length}]`, `${id}-${nextId++}`));
+                
+                if (fixedLength === null) {
+                    const removeBtn = document.createElement('button');
+                    removeBtn.type = 'button';
+                    removeBtn.className = 'icon-btn';
+                    removeBtn.textContent = '删除';
+                    removeBtn.addEventListener('click', () => {
+                        const container = item.closest('.function-params-form').parentElement;
+                        item.remove();
+                        renumber();
+                        this.validateFunctionParams(container);
+                    });
+                    item.appendChild(removeBtn);
+                }
+                items.appendChild(item);
+            };
+            
+            if (fixedLength === null) {
+                const addBtn = document.createElement('button');
+                addBtn.type = 'button';
+                addBtn.className = 'secondary-btn';
+                addBtn.textContent = '添加元素';
+                addBtn.addEventListener('click', () => {
+                    addItem();
+                    this.validateFunctionParams(addBtn.closest('.function-params-form').parentElement);
+                });
+                node.appendChild(addBtn);
+            } else {
+                for (let i = 0; i < fixedLength; i++) {
+                    addItem();
+                }
+            }
+        } else if (param.type === 'tuple') {
+            // 结构体：按components逐个生成字段
+            node.dataset.kind = 'tuple';
+            node.classList.add('param-group');
+            
+            const fields = document.createElement('div');
+            fields.className = 'tuple-fields';
+            (param.components || []).forEach((component, index) => {
+                fields.appendChild(this._createParamNode(component, component.name || `字段${index + 1}`, `${id}-${index}`));
+            });
+            node.appendChild(fields);
+        } else {
+            node.dataset.kind = 'value';
+            
+            const inputLine = document.createElement('div');
+            inputLine.className = 'value-input-line';
+            inputLine.appendChild(this._createValueInput(param, id));
+            
+            // 整数类型可填写代币精度，按小数金额输入
+            if (/^u?int\d*$/.test(param.type)) {
+                const decimalsInput = document.createElement('input');
+                decimalsInput.type = 'text';
+                decimalsInput.className = 'decimals-input';
+                decimalsInput.placeholder = '小数位';
+                decimalsInput.title = '填写代币精度（如18、6）后，可直接输入代币数量';
+                inputLine.appendChild(decimalsInput);
+            }
+            node.appendChild(inputLine);
+            
+            const hint = document.createElement('div');
+            hint.className = 'param-hint';
+            node.appendChild(hint);
+        }
+        
+        return node;
+    }
+    
+    /**
+     * 创建基础类型的输入控件
+     * @param {Object} param - ABI参数定义
+     * @param {string} id - 元素ID
+     * @returns {HTMLElement} 输入控件
+     * @private
+     */
+    _createValueInput(param, id) {
+        let inputElement;
+        
+        // 根据类型选择合适的输入控件
+        if (param.type === 'bool') {
+            // 布尔类型使用选择框
+            inputElement = document.createElement('select');
+            const optTrue = document.createElement('option');
+            optTrue.value = 'true';
+            optTrue.textContent = 'True';
+            
+            const optFalse = document.createElement('option');
+            optFalse.value = 'false';
+            optFalse.textContent = 'False';
+            
+            inputElement.appendChild(optTrue);
+            inputElement.appendChild(optFalse);
+        } else {
+            // 其他类型使用文本输入框
+            inputElement = document.createElement('input');
+            inputElement.type = 'text';
+            
+            if (param.type.includes('int')) {
+                inputElement.placeholder = '数字值，支持 1.5 ether、20 gwei、1e18';
+            } else if (param.type === 'address') {
+                inputElement.placeholder = '0x...';
+            } else if (param.type.startsWith('bytes')) {
+                inputElement.placeholder = '0x...';
+            }
+        }
+        
+        inputElement.id = id;
+        inputElement.className = 'param-input';
+        inputElement.dataset.type = param.type;
+        return inputElement;
+    }
+    
+    /**
+     * 生成参数标签文本，结构体附带internalType中的结构名
+     * @param {string} name - 参数名称
+     * @param {Object} param - ABI参数定义
+     * @returns {string} 标签文本
+     * @private
+     */
+    _formatParamLabel(name, param) {
+        const structName = param.internalType && param.internalType.startsWith('struct ')
+            ? ` ${param.internalType.substring(7)}`
+            : '';
+        return `${name} (${param.type}${structName})`;
+    }
+    
+    /**
+     * 从参数节点递归收集值
+     * @param {HTMLElement} node - 由_createParamNode创建的节点
+     * @returns {*} 参数值
+     * @private
+     */
+    _collectParamValue(node) {
+        if (node.dataset.kind === 'tuple') {
+            return Array.from(node.querySelectorAll(':scope > .tuple-fields > .param-row'))
+                .map(child => this._collectParamValue(child));
+        }
+        
+        if (node.dataset.kind === 'array') {
+            return Array.from(node.querySelectorAll(':scope > .array-items > .array-item > .param-row'))
+                .map(child => this._collectParamValue(child));
+        }
+        
+        const result = this._validateValueNode(node);
+        if (!result.valid) {
+            throw new Error(`参数 ${node.dataset.name} 无效: ${result.error}`);
+        }
+        return result.value;
+    }
+    
+    /**
+     * 校验基础类型参数节点，并更新提示信息
+     * @param {HTMLElement} node - 参数节点
+     * @returns {Object} 校验结果 { valid, value, error }
+     * @private
+     */
+    _validateValueNode(node) {
+        const input = node.querySelector('.param-input');
+        const decimalsInput = node.querySelector('.decimals-input');
+        const hint = node.querySelector(':scope > .param-hint');
+        const rawValue = input.value.trim();
+        
+        const result = this.paramValidator.validate(node.dataset.type, rawValue, {
+            decimals: decimalsInput ? decimalsInput.value.trim() : undefined
+        });
+        
+        const showError = !result.valid && node.dataset.touched === 'true';
+        input.classList.toggle('invalid', showError);
+        hint.classList.toggle('error', showError);
+        
+        if (showError) {
+            hint.textContent = result.error;
+        } else if (result.valid && rawValue && String(result.value) !== rawValue && input.tagName !== 'SELECT') {
+            // 显示换算或校验和转换后的实际提交值
+            hint.textContent = `= ${result.value}`;
+        } else {
+            hint.textContent = '';
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 校验数组参数节点的元素个数
+     * @param {HTMLElement} node - 参数节点
+     * @returns {Object} 校验结果 { valid, error }
+     * @private
+     */
+    _validateArrayNode(node) {
+        if (node.dataset.kind !== 'array') {
+            return { valid: true, error: null };
+        }
+        const length = node.querySelectorAll(':scope > .array-items > .array-item').length;
+        return this.paramValidator.validateArrayLength(node.dataset.type, length);
+    }
+    
+    /**
+     * 获取发送的ETH数量（如果有）
+     * 不带单位时按ether换算，支持gwei、wei等单位后缀
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     * @returns {string|null} 以wei为单位的数量，非payable函数返回null
+     */
+    getEthValue(container = this.elements.functionParams) {
+        const valueInput = container.querySelector('.eth-value');
+        if (!valueInput) return null;
+        
+        const result = this._validateEthValue(container);
+        if (!result.valid) {
+            throw new Error(`发送ETH数量无效: ${result.error}`);
+        }
+        return result.value;
+    }
+    
+    /**
+     * 校验发送的ETH数量，并更新提示信息
+     * @param {HTMLElement} container - 表单容器
+     * @returns {Object} 校验结果 { valid, value, error }
+     * @private
+     */
+    _validateEthValue(container) {
+        const valueInput = container.querySelector('.eth-value');
+        if (!valueInput) {
+            return { valid: true, value: null, error: null };
+        }
+        
+        const hint = container.querySelector('.eth-value-hint');
+        const rawValue = valueInput.value.trim();
+        let result;
+        
+        try {
+            const value = rawValue ? this.paramValidator.parseNumber(rawValue, 18) : ethers.constants.Zero;
+            if (value.isNegative()) {
+                throw new Error('不能为负数');
+            }
+            result = { valid: true, value: value.toString(), error: null };
+        } catch (error) {
+            result = { valid: false, value: null, error: error.message };
+        }
+        
+        valueInput.classList.toggle('invalid', !result.valid);
+        hint.classList.toggle('error', !result.valid);
+        if (!result.valid) {
+            hint.textContent = result.error;
+        } else if (rawValue) {
+            hint.textContent = `= ${ethers.utils.formatEther(result.value)} ${this.nativeSymbol}（${result.value} wei）`;
+        } else {
+            hint.textContent = '';
+        }
+        
+        return result;
+    }
+    
+    /**
+     * 创建高级交易选项区域（Gas上限、手续费、nonce）
+     * @param {string} idPrefix - 输入框ID前缀（表单容器的ID）
+     * @returns {HTMLElement} 可折叠的选项区域
+     * @private
+     */
+    _createTxOptionsSection(idPrefix) {
+        const section = document.createElement('details');
+        section.className = 'tx-options';
+        
+        const summary = document.createElement('summary');
+        summary.textContent = '高级交易选项（Gas、手续费、Nonce）';
+        section.appendChild(summary);
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'tx-options-toolbar';
+        toolbar.innerHTML = `
+            <button type="button" class="secondary-btn estimate-tx-btn">估算并填充</button>
+            <span class="param-hint tx-estimate-status"></span>
+        `;
+        section.appendChild(toolbar);
+        
+        this.txOptionFields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'param-row';
+            
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            label.htmlFor = `${idPrefix}-tx-${field.key}`;
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `${idPrefix}-tx-${field.key}`;
+            input.dataset.txOption = field.key;
+            input.placeholder = field.placeholder;
+            
+            row.appendChild(label);
+            row.appendChild(input);
+            section.appendChild(row);
+        });
+        
+        const costHint = document.createElement('div');
+        costHint.className = 'param-hint tx-cost-estimate';
+        section.appendChild(costHint);
+        
+        return section;
+    }
+    
+    /**
+     * 用估算结果填充高级交易选项，手续费以gwei显示
+     * @param {Object} estimate - ContractInteractor.estimateTransaction()的返回值
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     */
+    fillTxOptions(estimate, container = this.elements.functionParams) {
+        const setField = (key, value) => {
+            const input = container.querySelector(`[data-tx-option="${key}"]`);
+            if (input) {
+                input.value = value === null || value === undefined ? '' : value;
+            }
+        };
+        const toGwei = (value) => value ? ethers.utils.formatUnits(value, 'gwei') : null;
+        
+        setField('gasLimit', estimate.gasLimit);
+        if (estimate.maxFeePerGas) {
+            // 支持EIP-1559的链优先使用动态手续费
+            setField('maxFeePerGas', toGwei(estimate.maxFeePerGas));
+            setField('maxPriorityFeePerGas', toGwei(estimate.maxPriorityFeePerGas));
+            setField('gasPrice', null);
+        } else {
+            setField('maxFeePerGas', null);
+            setField('maxPriorityFeePerGas', null);
+            setField('gasPrice', toGwei(estimate.gasPrice));
+        }
+        setField('nonce', estimate.nonce);
+        
+        this.setTxEstimateStatus('已按当前网络估算，可手动修改', false, container);
+        this.validateFunctionParams(container);
+    }
+    
+    /**
+     * 更新交易估算状态文字
+     * @param {string} text - 状态文字
+     * @param {boolean} isError - 是否为错误信息
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     */
+    setTxEstimateStatus(text, isError = false, container = this.elements.functionParams) {
+        const status = container.querySelector('.tx-estimate-status');
+        if (!status) return;
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+    
+    /**
+     * 获取用户填写的高级交易选项
+     * @param {HTMLElement} container - 表单容器，默认为合约方法的参数区域
+     * @returns {Object} 已填写的字段，手续费为wei字符串，nonce为数字；没有选项区域时返回空对象
+     */
+    getTxOptions(container = this.elements.functionParams) {
+        const result = this._validateTxOptions(container);
+        if (!result.valid) {
+            throw new Error(`交易选项无效: ${result.error}`);
+        }
+        return result.value;
+    }
+    
+    /**
+     * 校验高级交易选项，并更新预估费用提示
+     * @param {HTMLElement} container - 表单容器
+     * @returns {Object} 校验结果 { valid, value, error }
+     * @private
+     */
+    _validateTxOptions(container) {
+        if (!container.querySelector('.tx-options')) {
+            return { valid: true, value: {}, error: null };
+        }
+        
+        const values = {};
+        let error = null;
+        
+        this.txOptionFields.forEach(field => {
+            const input = container.querySelector(`[data-tx-option="${field.key}"]`);
+            const rawValue = input.value.trim();
+            let fieldError = null;
+            
+            if (rawValue) {
+                try {
+                    const value = this.paramValidator.parseNumber(rawValue, field.decimals);
+                    if (value.isNegative()) {
+                        throw new Error('不能为负数');
+                    }
+                    values[field.key] = value;
+                } catch (parseError) {
+                    fieldError = `${field.label}: ${parseError.message}`;
+                }
+            }
+            
+            input.classList.toggle('invalid', fieldError !== null);
+            if (fieldError && !error) {
+                error = fieldError;
+            }
+        });
+        
+        if (!error && values.gasPrice && (values.maxFeePerGas || values.maxPriorityFeePerGas)) {
+            error = 'gasPrice不能与EIP-1559手续费同时设置';
+        }
+        if (!error && values.maxFeePerGas && values.maxPriorityFeePerGas &&
+            values.maxPriorityFeePerGas.gt(values.maxFeePerGas)) {
+            error = '优先费不能高于最大手续费';
+        }
+        if (!error && values.nonce && values.nonce.gt(String(Number.MAX_SAFE_INTEGER))) {
+            error = 'Nonce过大';
+        }
+        
+        // 按Gas上限和单价计算费用，EIP-1559交易显示最高费用
+        const costHint = container.querySelector('.tx-cost-estimate');
+        const feePerGas = values.maxFeePerGas || values.gasPrice;
+        costHint.classList.toggle('error', error !== null);
+        if (error) {
+            costHint.textContent = error;
+        } else if (values.gasLimit && feePerGas) {
+            const cost = ethers.utils.formatEther(values.gasLimit.mul(feePerGas));
+            costHint.textContent = `${values.maxFeePerGas ? '最高' : '预估'}手续费: ${cost} ${this.nativeSymbol}`;
+        } else {
+            costHint.textContent = '填写Gas上限和手续费后显示预估费用';
+        }
+        
+        if (error) {
+            return { valid: false, value: null, error };
+        }
+        
+        const txOptions = {};
+        Object.entries(values).forEach(([key, value]) => {
+            txOptions[key] = key === 'nonce' ? value.toNumber() : value.toString();
+        });
+        return { valid: true, value: txOptions, error: null };
+    }
+    
+    /**
+     * 显示函数调用结果
+     * @param {*} result - 函数调用结果
+     */
+    showFunctionResult(result) {
+        const outputElement = this.elements.functionOutput;
+        
+        // 清空现有结果
+        outputElement.innerHTML = '';
+        
+        if (result === undefined || result === null) {
+            outputElement.textContent = '无返回值';
+            return;
+        }
+        
+        // 写入交易的回执，日志单独列出
+        if (typeof result === 'object' && Array.isArray(result.logs)) {
+            const { logs, ...summary } = result;
+            const summaryElement = document.createElement('pre');
+            summaryElement.textContent = JSON.stringify(summary, null, 2);
+            outputElement.appendChild(summaryElement);
+            outputElement.appendChild(this._renderLogList(logs));
+            return;
+        }
+        
+        // 显示结果
+        if (typeof result === 'object') {
+            // 对象类型结果，格式化为JSON
+            const formattedResult = document.createElement('pre');
+            formattedResult.textContent = JSON.stringify(result, null, 2);
+            outputElement.appendChild(formattedResult);
+        } else {
+            // 简单类型结果
+            outputElement.textContent = result.toString();
+        }
+    }
+    
+    /**
+     * 显示模拟执行结果
+     * @param {Object} simulation - ContractInteractor.simulateFunction()的返回值
+     */
+    showSimulationResult(simulation) {
+        const outputElement = this.elements.functionOutput;
+        outputElement.innerHTML = '';
+        
+        const lines = [
+            simulation.success ? '模拟执行成功（未签名，未上链）' : '模拟执行失败，交易将会回滚',
+            `调用者: ${simulation.from || '未连接钱包（使用默认地址）'}`
+        ];
+        
+        if (simulation.success) {
+            const result = simulation.result;
+            const resultText = result === undefined || result === null
+                ? '无返回值'
+                : (typeof result === 'object' ? JSON.stringify(result, null, 2) : result.toString());
+            lines.push(`返回值: ${resultText}`);
+        } else {
+            lines.push(...this._formatRevertLines(simulation.revert));
+        }
+        
+        const pre = document.createElement('pre');
+        pre.textContent = lines.join('\n');
+        pre.classList.toggle('simulation-failed', !simulation.success);
+        outputElement.appendChild(pre);
+    }
+    
+    /**
+     * 显示合约回滚信息
+     * @param {Object} revert - ContractInteractor.describeRevert()的返回值
+     */
+    showRevertResult(revert) {
+        const outputElement = this.elements.functionOutput;
+        outputElement.innerHTML = '';
+        
+        const pre = document.createElement('pre');
+        pre.textContent = ['调用失败，合约回滚', ...this._formatRevertLines(revert)].join('\n');
+        pre.classList.add('simulation-failed');
+        outputElement.appendChild(pre);
+    }
+    
+    /**
+     * 将回滚信息格式化为多行文本
+     * @param {Object} revert - 回滚信息 { reason, data, decoded }
+     * @returns {Array<string>} 文本行
+     * @private
+     */
+    _formatRevertLines(revert) {
+        const lines = [`原因: ${revert.reason}`];
+        const decoded = revert.decoded;
+        
+        if (decoded && decoded.signature) {
+            const source = decoded.abiName ? `（${decoded.abiName}）` : '';
+            lines.push(`错误: ${decoded.signature}${source}`);
+            decoded.args.forEach(arg => {
+                const value = typeof arg.value === 'object' ? JSON.stringify(arg.value) : arg.value;
+                lines.push(`  ${arg.name} (${arg.type}): ${value}`);
+            });
+        }
+        
+        if (revert.data) {
+            lines.push(`回滚数据: ${revert.data}`);
+        }
+        return lines;
+    }
+    
+    /**
+     * 渲染解码后的日志列表
+     * @param {Array} logs - EventDecoder解码后的日志
+     * @returns {HTMLElement} 日志列表元素
+     * @private
+     */
+    _renderLogList(logs) {
+        const container = document.createElement('div');
+        container.className = 'receipt-logs';
+        
+        const title = document.createElement('h4');
+        title.textContent = `事件日志（${logs.length}）`;
+        container.appendChild(title);
+        
+        if (logs.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = '交易未产生事件日志';
+            container.appendChild(empty);
+            return container;
+        }
+        
+        logs.forEach(log => {
+            container.appendChild(this._renderLogEntry(log));
+        });
+        
+        return container;
+    }
+    
+    /**
+     * 渲染单条解码后的日志
+     * @param {Object} log - EventDecoder解码后的日志
+     * @returns {HTMLElement} 日志元素
+     * @private
+     */
+    _renderLogEntry(log) {
+        const entry = document.createElement('div');
+        entry.className = 'log-entry';
+        
+        const header = document.createElement('div');
+        header.className = 'log-header';
+        const eventName = log.decoded ? log.signature : '未识别事件';
+        header.textContent = `#${log.logIndex} ${eventName}${log.abiName ? ` · ${log.abiName}` : ''}`;
+        entry.appendChild(header);
+        
+        const address = document.createElement('div');
+        address.className = 'address-text';
+        address.textContent = `合约: ${log.address}`;
+        entry.appendChild(address);
+        
+        if (log.decoded) {
+            entry.appendChild(this._renderArgsTable(log.args));
+        } else {
+            // 无法匹配任何ABI时显示原始数据
+            const raw = document.createElement('div');
+            raw.className = 'log-raw';
+            raw.textContent = [
+                ...log.topics.map((topic, index) => `topic[${index}]: ${topic}`),
+                `data: ${log.data}`
+            ].join('\n');
+            entry.appendChild(raw);
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * 渲染解码后的参数表格（事件参数或函数参数）
+     * @param {Array} args - [{ name, type, indexed, value }]
+     * @returns {HTMLElement} 表格元素
+     * @private
+     */
+    _renderArgsTable(args) {
+        const table = document.createElement('table');
+        table.className = 'log-args';
+        args.forEach(arg => {
+            const row = table.insertRow();
+            row.insertCell().textContent = arg.name;
+            row.insertCell().textContent = arg.indexed ? `${arg.type} indexed` : arg.type;
+            row.insertCell().textContent = typeof arg.value === 'object'
+                ? JSON.stringify(arg.value)
+                : String(arg.value);
+        });
+        return table;
+    }
+    
+    /**
+     * 更新监控面板中的最新区块
+     * @param {number} blockNumber - 区块号
+     */
+    updateLatestBlock(blockNumber) {
+        document.getElementById('latestBlock').textContent = `最新区块 #${blockNumber}`;
+    }
+    
+    /**
+     * 渲染批量读取结果表格
+     * @param {Array} results - MulticallReader.readAll()返回的results
+     * @param {Function} onRemovePin - 移除带参数读取项的回调，参数为读取项
+     */
+    renderReadAllResults(results, onRemovePin) {
+        const container = document.getElementById('readAllResults');
+        container.innerHTML = '';
+        
+        if (results.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = '当前合约没有可批量读取的只读函数';
+            container.appendChild(hint);
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        table.innerHTML = '<thead><tr><th>函数</th><th>返回类型</th><th>值</th><th></th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        
+        results.forEach(result => {
+            const row = document.createElement('tr');
             
-            const valueInput = document.createElement('input');
-            valueInput.type = 'text';
-            valueInput.id = 'eth-value';
-            valueInput.placeholder = '0.01';
+            const nameCell = document.createElement('td');
+            const paramsText = result.params.length > 0 ? ` ${JSON.stringify(result.params)}` : '';
+            nameCell.textContent = `${result.signature}${paramsText}`;
             
-            valueRow.appendChild(valueLabel);
-            valueRow.appendChild(valueInput);
-            form.appendChild(valueRow);
+            const typeCell = document.createElement('td');
+            typeCell.textContent = result.outputTypes;
+            
+            const valueCell = document.createElement('td');
+            valueCell.className = 'read-all-value';
+            if (result.success) {
+                valueCell.textContent = typeof result.value === 'object' && result.value !== null
+                    ? JSON.stringify(result.value, null, 2)
+                    : String(result.value);
+            } else {
+                valueCell.classList.add('watch-error');
+                valueCell.textContent = `读取失败: ${result.error}`;
+            }
+            
+            const actionCell = document.createElement('td');
+            if (result.pinned) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'icon-btn';
+                removeBtn.textContent = '移除';
+                removeBtn.addEventListener('click', () => onRemovePin(result));
+                actionCell.appendChild(removeBtn);
+            }
+            
+            row.appendChild(nameCell);
+            row.appendChild(typeCell);
+            row.appendChild(valueCell);
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+        
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
+    
+    /**
+     * 更新批量读取状态文字
+     * @param {string} text - 状态文字
+     */
+    updateReadAllStatus(text) {
+        document.getElementById('readAllStatus').textContent = text;
+    }
+    
+    /**
+     * 渲染批量交易队列
+     * @param {Array} queue - BatchManager.getQueue()的返回值
+     * @param {Object} stepStates - 各步骤的执行状态，按步骤ID索引
+     * @param {Object} handlers - { onMove(id, offset), onRemove(id) }
+     */
+    renderBatchQueue(queue, stepStates, handlers) {
+        const container = document.getElementById('batchQueue');
+        container.innerHTML = '';
+        
+        if (queue.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = '在“合约方法”中填写参数后点击“加入批量交易”';
+            container.appendChild(hint);
+            return;
         }
         
-        paramsContainer.appendChild(form);
+        const statusLabels = {
+            running: '执行中...',
+            success: '成功',
+            failed: '失败',
+            skipped: '已跳过'
+        };
+        
+        queue.forEach((step, index) => {
+            const item = document.createElement('div');
+            item.className = 'batch-step';
+            
+            const info = document.createElement('div');
+            info.className = 'batch-step-info';
+            
+            const title = document.createElement('div');
+            title.innerHTML = `<strong>${index + 1}. </strong>`;
+            title.appendChild(document.createTextNode(`${step.signature} @ ${this._shortenAddress(step.address)}`));
+            info.appendChild(title);
+            
+            const details = document.createElement('div');
+            details.className = 'address-text';
+            const valueText = step.value && step.value !== '0'
+                ? ` · ${ethers.utils.formatEther(step.value)} ${this.nativeSymbol}`
+                : '';
+            details.textContent = `${JSON.stringify(step.params)}${valueText}`;
+            info.appendChild(details);
+            
+            const state = stepStates[step.id];
+            if (state) {
+                const status = document.createElement('div');
+                status.className = `batch-step-status batch-step-${state.status}`;
+                status.textContent = state.status === 'failed'
+                    ? `${statusLabels.failed}: ${state.error}`
+                    : statusLabels[state.status];
+                if (state.result && state.result.transactionHash) {
+                    status.title = state.result.transactionHash;
+                }
+                info.appendChild(status);
+            }
+            item.appendChild(info);
+            
+            const actions = document.createElement('div');
+            actions.className = 'batch-step-actions';
+            [
+                { text: '↑', title: '上移', onClick: () => handlers.onMove(step.id, -1), disabled: index === 0 },
+                { text: '↓', title: '下移', onClick: () => handlers.onMove(step.id, 1), disabled: index === queue.length - 1 },
+                { text: '✕', title: '移除', onClick: () => handlers.onRemove(step.id), disabled: false }
+            ].forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'icon-btn';
+                button.textContent = action.text;
+                button.title = action.title;
+                button.disabled = action.disabled;
+                button.addEventListener('click', action.onClick);
+                actions.appendChild(button);
+            });
+            item.appendChild(actions);
+            
+            container.appendChild(item);
+        });
     }
     
     /**
-     * 收集函数参数值
-     * @returns {Array} 参数值数组
+     * 填充已保存的批次下拉列表
+     * @param {Array<string>} names - 批次名称
      */
-    collectFunctionParams() {
-        const form = document.getElementById('function-params-form');
-        if (!form) return [];
+    populateBatchDropdown(names) {
+        const select = document.getElementById('savedBatches');
         
-        const params = [];
-        const inputs = form.querySelectorAll('input, select');
-        
-        inputs.forEach(input => {
-            // 跳过eth-value输入框，它不是函数参数
-            if (input.id === 'eth-value') return;
-            
-            const value = input.value.trim();
-            const type = input.dataset.type;
-            
-            // 根据类型处理值
-            if (type === 'bool') {
-                params.push(value === 'true');
-            } else if (type.includes('[]')) {
-                // 处理数组类型
-                const arrayValues = value.split(',').map(v => v.trim());
-                params.push(arrayValues);
-            } else if (type.includes('int')) {
-                // 处理整数类型
-                params.push(value);
-            } else {
-                // 其他类型
-                params.push(value);
+        // 清空现有选项（保留默认选项）
+        while (select.options.length > 1) {
+            select.remove(1);
+        }
+        
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * 显示Safe相关的输出（例如MultiSend调用数据）
+     * @param {string} text - 输出内容
+     */
+    showSafeOutput(text) {
+        const output = document.getElementById('safeOutput');
+        output.textContent = text;
+        output.hidden = !text;
+    }
+    
+    /**
+     * 渲染导入的Safe批量交易审核列表
+     * @param {Object} batch - { name, chainId, chainMismatch, transactions }，交易附带decoded字段
+     * @param {Function} onAddToQueue - 将可解码的交易加入批量交易队列的回调
+     */
+    renderSafeReview(batch, onAddToQueue) {
+        const container = document.getElementById('safeReview');
+        container.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'event-results-toolbar';
+        const title = document.createElement('span');
+        title.textContent = `${batch.name || '未命名批次'} · ${batch.transactions.length}笔交易`;
+        header.appendChild(title);
+        
+        const decodedCount = batch.transactions.filter(tx => tx.decoded && tx.decoded.decoded).length;
+        if (decodedCount > 0) {
+            const addButton = document.createElement('button');
+            addButton.className = 'secondary-btn';
+            addButton.textContent = '加入批量交易队列';
+            addButton.addEventListener('click', onAddToQueue);
+            header.appendChild(addButton);
+        }
+        container.appendChild(header);
+        
+        if (batch.chainMismatch) {
+            const warning = document.createElement('p');
+            warning.className = 'watch-error';
+            warning.textContent = `注意：该文件的网络(${batch.chainId})与当前网络不同`;
+            container.appendChild(warning);
+        }
+        
+        batch.transactions.forEach((tx, index) => {
+            const entry = document.createElement('div');
+            entry.className = 'log-entry';
+            
+            const entryHeader = document.createElement('div');
+            entryHeader.className = 'log-header';
+            const decoded = tx.decoded && tx.decoded.decoded ? tx.decoded : null;
+            const valueText = tx.value !== '0' ? ` · ${ethers.utils.formatEther(tx.value)} ${this.nativeSymbol}` : '';
+            entryHeader.textContent = decoded
+                ? `${index + 1}. ${decoded.signature} · ${decoded.abiName}${valueText}`
+                : `${index + 1}. ${tx.data === '0x' ? '转账' : `未知函数 ${tx.decoded ? tx.decoded.selector : ''}`}${valueText}`;
+            entry.appendChild(entryHeader);
+            
+            const address = document.createElement('div');
+            address.className = 'address-text';
+            address.textContent = tx.to;
+            entry.appendChild(address);
+            
+            if (decoded) {
+                entry.appendChild(this._renderArgsTable(decoded.args));
+            } else if (tx.data !== '0x') {
+                const raw = document.createElement('div');
+                raw.className = 'log-raw';
+                raw.textContent = `data: ${tx.data}`;
+                entry.appendChild(raw);
             }
+            
+            container.appendChild(entry);
         });
+    }
+    
+    /**
+     * 渲染调用数据解码结果
+     * @param {Object|null} result - CalldataDecoder.decode()的返回值，null时清空
+     */
+    renderCalldataResult(result) {
+        const container = document.getElementById('calldataResult');
+        container.innerHTML = '';
+        if (result) {
+            container.appendChild(this._renderCalldataNode(result, null));
+        }
+    }
+    
+    /**
+     * 渲染一个调用节点及其嵌套调用
+     * @param {Object} node - 解码结果
+     * @param {Object|null} nested - 嵌套调用信息 { path, to, value, operation }，顶层为null
+     * @returns {HTMLElement} 节点元素
+     * @private
+     */
+    _renderCalldataNode(node, nested) {
+        const entry = document.createElement('div');
+        entry.className = nested ? 'log-entry calldata-nested' : 'log-entry';
+        
+        const header = document.createElement('div');
+        header.className = 'log-header';
+        const prefix = nested ? `${nested.path}: ` : '';
+        if (!node) {
+            header.textContent = `${prefix}转账（无调用数据）`;
+        } else if (node.decoded) {
+            header.textContent = `${prefix}${node.signature} · ${node.abiName}`;
+        } else {
+            header.textContent = `${prefix}未知函数 ${node.selector || ''}`;
+        }
+        entry.appendChild(header);
+        
+        if (nested) {
+            const details = [];
+            if (nested.to) details.push(`目标: ${nested.to}`);
+            if (nested.value && nested.value !== '0') {
+                details.push(`金额: ${ethers.utils.formatEther(nested.value)} ${this.nativeSymbol}`);
+            }
+            if (nested.operation === 1) details.push('DelegateCall');
+            if (details.length > 0) {
+                const info = document.createElement('div');
+                info.className = 'address-text';
+                info.textContent = details.join(' · ');
+                entry.appendChild(info);
+            }
+        }
+        
+        if (node && node.decoded) {
+            if (node.args.length > 0) {
+                entry.appendChild(this._renderArgsTable(node.args));
+            }
+            node.calls.forEach(call => {
+                entry.appendChild(this._renderCalldataNode(call.call, call));
+            });
+        } else if (node) {
+            const raw = document.createElement('div');
+            raw.className = 'log-raw';
+            raw.textContent = `data: ${node.data}`;
+            entry.appendChild(raw);
+        }
         
-        return params;
+        return entry;
     }
     
     /**
-     * 获取发送的ETH数量（如果有）
-     * @returns {string|null} ETH数量
+     * 显示构建好的未签名交易
+     * @param {Object|null} tx - OfflineTransaction.toJSON()的返回值，null时清空
      */
-    getEthValue() {
-        const valueInput = document.getElementById('eth-value');
-        return valueInput ? valueInput.value.trim() : null;
+    showUnsignedTransaction(tx) {
+        const output = document.getElementById('unsignedTxOutput');
+        output.textContent = tx ? JSON.stringify(tx, null, 2) : '';
+        output.hidden = !tx;
+        document.getElementById('exportUnsignedJsonBtn').disabled = !tx;
+        document.getElementById('copyUnsignedRlpBtn').disabled = !tx;
     }
     
     /**
-     * 显示函数调用结果
-     * @param {*} result - 函数调用结果
+     * 渲染已签名交易的审核信息
+     * @param {Object|null} tx - OfflineTransaction.parseSignedTransaction()的返回值，null时清空
+     * @param {Object|null} decoded - 调用数据的解码结果
+     * @param {string|null} warning - 需要提醒的问题（如网络不一致）
      */
-    showFunctionResult(result) {
-        const outputElement = this.elements.functionOutput;
+    renderSignedTransaction(tx, decoded, warning = null) {
+        const container = document.getElementById('signedTxReview');
+        container.innerHTML = '';
+        document.getElementById('broadcastSignedTxBtn').disabled = !tx;
+        if (!tx) return;
         
-        // 清空现有结果
-        outputElement.innerHTML = '';
+        if (warning) {
+            const warningElement = document.createElement('p');
+            warningElement.className = 'watch-error';
+            warningElement.textContent = warning;
+            container.appendChild(warningElement);
+        }
         
-        if (result === undefined || result === null) {
-            outputElement.textContent = '无返回值';
+        const formatGwei = (value) => value ? `${ethers.utils.formatUnits(value, 9)} Gwei` : null;
+        const rows = [
+            ['交易哈希', tx.hash],
+            ['签名账户', tx.from],
+            ['目标地址', tx.to || '（创建合约）'],
+            ['金额', `${ethers.utils.formatEther(tx.value)} ${this.nativeSymbol}`],
+            ['Nonce', tx.nonce],
+            ['链ID', tx.chainId],
+            ['类型', tx.type],
+            ['Gas上限', tx.gasLimit],
+            ['最大手续费', formatGwei(tx.maxFeePerGas)],
+            ['优先费', formatGwei(tx.maxPriorityFeePerGas)],
+            ['Gas价格', formatGwei(tx.gasPrice)]
+        ];
+        
+        const table = document.createElement('table');
+        table.className = 'log-args';
+        rows.filter(([, value]) => value !== null && value !== undefined).forEach(([label, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = String(value);
+        });
+        container.appendChild(table);
+        
+        if (decoded) {
+            container.appendChild(this._renderCalldataNode(decoded, null));
+        }
+    }
+    
+    /**
+     * 读取结构化数据编辑器的内容
+     * @returns {Object} { domain, types, primaryType, message }，均为字符串
+     */
+    getTypedDataInput() {
+        return {
+            domain: document.getElementById('typedDataDomain').value,
+            types: document.getElementById('typedDataTypes').value,
+            primaryType: document.getElementById('typedDataPrimaryType').value.trim(),
+            message: document.getElementById('typedDataMessage').value
+        };
+    }
+    
+    /**
+     * 将结构化数据填入编辑器
+     * @param {Object} typedData - { domain, types, primaryType, message }
+     */
+    fillTypedData(typedData) {
+        document.getElementById('typedDataDomain').value = JSON.stringify(typedData.domain, null, 2);
+        document.getElementById('typedDataTypes').value = JSON.stringify(typedData.types, null, 2);
+        document.getElementById('typedDataPrimaryType').value = typedData.primaryType;
+        document.getElementById('typedDataMessage').value = JSON.stringify(typedData.message, null, 2);
+    }
+    
+    /**
+     * 显示签名结果或验证结果
+     * @param {Array<string>|null} lines - 要显示的内容，null时隐藏
+     * @param {boolean} isError - 是否为验证失败
+     */
+    showSignatureOutput(lines, isError = false) {
+        const output = document.getElementById('signatureOutput');
+        output.textContent = lines ? lines.join('\n') : '';
+        output.hidden = !lines;
+        output.classList.toggle('simulation-failed', isError);
+    }
+    
+    /**
+     * 更新部署状态
+     * @param {string} text - 状态文本
+     * @param {boolean} isError - 是否为错误
+     */
+    setDeployStatus(text, isError = false) {
+        const status = document.getElementById('deployStatus');
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+    
+    /**
+     * 渲染数值监控列表
+     * @param {Array} watches - ContractWatcher.getWatches()的返回值
+     * @param {Function} onRemove - 取消监控的回调，参数为监控项ID
+     */
+    renderWatches(watches, onRemove) {
+        const container = document.getElementById('watchList');
+        container.innerHTML = '';
+        
+        if (watches.length === 0) {
+            const hint = document.createElement('p');
+            hint.textContent = '在“合约方法”中选择只读函数并点击“固定监控”';
+            container.appendChild(hint);
             return;
         }
         
-        // 显示结果
-        if (typeof result === 'object') {
-            // 对象类型结果，格式化为JSON
-            const formattedResult = JSON.stringify(result, null, 2);
-            outputElement.innerHTML = `<pre>${formattedResult}</pre>`;
-        } else {
-            // 简单类型结果
-            outputElement.textContent = result.toString();
+        const formatValue = (value) => typeof value === 'object' && value !== null
+            ? JSON.stringify(value)
+            : String(value);
+        
+        watches.forEach(watch => {
+            const item = document.createElement('div');
+            item.className = 'watch-item';
+            
+            const header = document.createElement('div');
+            header.className = 'watch-item-header';
+            const title = document.createElement('span');
+            const paramsText = watch.params.length > 0 ? ` ${JSON.stringify(watch.params)}` : '';
+            title.textContent = `${watch.signature}${paramsText} @ ${this._shortenAddress(watch.address)}`;
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = '取消';
+            removeBtn.addEventListener('click', () => onRemove(watch.id));
+            header.appendChild(title);
+            header.appendChild(removeBtn);
+            item.appendChild(header);
+            
+            const valueLine = document.createElement('div');
+            valueLine.className = 'watch-value';
+            if (watch.error) {
+                valueLine.classList.add('watch-error');
+                valueLine.textContent = `查询失败: ${watch.error}`;
+            } else {
+                valueLine.textContent = watch.value === null ? '查询中...' : formatValue(watch.value);
+                if (watch.change) {
+                    const change = document.createElement('span');
+                    change.className = 'watch-change';
+                    change.textContent = watch.change;
+                    valueLine.appendChild(change);
+                }
+            }
+            item.appendChild(valueLine);
+            
+            // 变化日志
+            if (watch.changeLog.length > 1) {
+                const changeLog = document.createElement('div');
+                changeLog.className = 'watch-change-log';
+                changeLog.textContent = watch.changeLog.map(entry => {
+                    const time = new Date(entry.timestamp).toLocaleTimeString();
+                    const block = entry.blockNumber === null ? '' : ` #${entry.blockNumber}`;
+                    const change = entry.change ? ` (${entry.change})` : '';
+                    return `${time}${block}: ${formatValue(entry.value)}${change}`;
+                }).join('\n');
+                item.appendChild(changeLog);
+            }
+            
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * 渲染事件订阅列表
+     * @param {Array} subscriptions - ContractWatcher.getSubscriptions()的返回值
+     * @param {Function} onRemove - 取消订阅的回调，参数为订阅项ID
+     */
+    renderSubscriptions(subscriptions, onRemove) {
+        const container = document.getElementById('subscriptionList');
+        container.innerHTML = '';
+        
+        subscriptions.forEach(subscription => {
+            const item = document.createElement('div');
+            item.className = 'subscription-item';
+            
+            const text = document.createElement('span');
+            text.textContent = `${subscription.eventSignature || '全部事件'} @ ${this._shortenAddress(subscription.address)}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'icon-btn';
+            removeBtn.textContent = '取消订阅';
+            removeBtn.addEventListener('click', () => onRemove(subscription.id));
+            
+            item.appendChild(text);
+            item.appendChild(removeBtn);
+            container.appendChild(item);
+        });
+    }
+    
+    /**
+     * 在实时事件列表顶部添加一条事件，最多保留100条
+     * @param {Object} log - 解码后的日志
+     */
+    prependLiveEvent(log) {
+        const container = document.getElementById('liveEvents');
+        const entry = this._renderLogEntry(log);
+        
+        const meta = document.createElement('div');
+        meta.className = 'address-text';
+        meta.textContent = `${new Date().toLocaleTimeString()} 区块 #${log.blockNumber} ${log.transactionHash}`;
+        entry.insertBefore(meta, entry.children[1]);
+        
+        container.insertBefore(entry, container.firstChild);
+        while (container.children.length > 100) {
+            container.removeChild(container.lastChild);
         }
     }
     
+    /**
+     * 清空实时事件列表
+     */
+    clearLiveEvents() {
+        document.getElementById('liveEvents').innerHTML = '';
+    }
+    
     /**
      * 渲染交易历史记录
-     * @param {Array} historyItems - 历史记录项目
+     * @param {Array} historyItems - 历史记录项目，附带nativeSymbol字段（记录所在网络的原生币符号）
+     * @param {Object} handlers - 待确认交易的操作回调 { onSpeedUp, onCancel }
      */
-    renderTransactionHistory(historyItems) {
+    renderTransactionHistory(historyItems, handlers = {}) {
         const historyContainer = this.elements.transactionHistory;
         historyContainer.innerHTML = '';
         
@@ -397,18 +2560,77 @@ export class UIManager {
             const date = new Date(item.timestamp);
             const timeStr = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}:${date.getSeconds().toString().padStart(2, '0')}`;
             
-            historyItem.innerHTML = `
-                <div>
-                    <div><strong>${item.function}</strong></div>
-                    <div class="address-text">${this._shortenAddress(item.address)}</div>
-                </div>
-                <div class="history-time">${timeStr}</div>
-            `;
+            // 记录可能来自导入的工作区文件，全部使用textContent
+            const details = document.createElement('div');
+            const functionLine = document.createElement('div');
+            const functionName = document.createElement('strong');
+            functionName.textContent = item.function;
+            functionLine.appendChild(functionName);
+            details.appendChild(functionLine);
+            
+            const addressLine = document.createElement('div');
+            addressLine.className = 'address-text';
+            addressLine.textContent = this._shortenAddress(item.address);
+            details.appendChild(addressLine);
+            
+            // 附带发送的原生币数量（如果有）
+            if (item.value && item.value !== '0') {
+                const valueLine = document.createElement('div');
+                valueLine.className = 'address-text';
+                valueLine.textContent = `${ethers.utils.formatEther(item.value)} ${item.nativeSymbol || 'ETH'}`;
+                details.appendChild(valueLine);
+            }
+            
+            const timeElement = document.createElement('div');
+            timeElement.className = 'history-time';
+            timeElement.textContent = timeStr;
+            historyItem.append(details, timeElement);
+            
+            // 批量交易中的步骤
+            if (item.batchStep) {
+                const batchElement = document.createElement('div');
+                batchElement.className = 'address-text';
+                batchElement.textContent = `批量交易${item.batch ? ` ${item.batch}` : ''} · 步骤 ${item.batchStep}`;
+                historyItem.firstElementChild.appendChild(batchElement);
+            }
+            
+            // 离线签名后广播的交易
+            if (item.offline) {
+                const offlineElement = document.createElement('div');
+                offlineElement.className = 'address-text';
+                offlineElement.textContent = '离线签名';
+                historyItem.firstElementChild.appendChild(offlineElement);
+            }
+            
+            // 失败的调用显示原因（回滚原因来自合约，使用textContent）
+            if (item.revert || item.error) {
+                const revertElement = document.createElement('div');
+                revertElement.className = 'history-revert';
+                revertElement.textContent = `失败: ${item.revert ? item.revert.reason : item.error}`;
+                historyItem.firstElementChild.appendChild(revertElement);
+            }
+            
+            // 已发送交易的状态，待确认时可加速或取消
+            if (item.status) {
+                historyItem.firstElementChild.appendChild(this._createTxStatusElement(item, handlers));
+            }
             
             // 添加点击事件以显示详细信息
             historyItem.addEventListener('click', () => {
                 // 显示历史记录详情
-                this.showFunctionResult(item.result);
+                if (item.revert) {
+                    this.showRevertResult(item.revert);
+                } else if (item.error) {
+                    this.showFunctionResult(`调用失败: ${item.error}`);
+                } else if (item.result) {
+                    this.showFunctionResult(item.result);
+                } else {
+                    this.showFunctionResult({
+                        transactionHash: item.transactionHash,
+                        status: this.txStatusLabels[item.status] || item.status,
+                        nonce: item.transaction ? item.transaction.nonce : null
+                    });
+                }
                 
                 // 高亮显示被点击的项目
                 document.querySelectorAll('.history-item').forEach(el => {
@@ -421,6 +2643,52 @@ export class UIManager {
         });
     }
     
+    /**
+     * 创建交易状态行
+     * @param {Object} item - 历史记录项
+     * @param {Object} handlers - { onSpeedUp, onCancel }
+     * @returns {HTMLElement} 状态元素
+     * @private
+     */
+    _createTxStatusElement(item, handlers) {
+        const statusRow = document.createElement('div');
+        statusRow.className = 'tx-status-row';
+        
+        const badge = document.createElement('span');
+        badge.className = `tx-status tx-status-${item.status}`;
+        let label = this.txStatusLabels[item.status] || item.status;
+        if (item.status === 'mined' || item.status === 'confirmed') {
+            label += ` · ${item.confirmations}个确认`;
+        }
+        if (item.action) {
+            label = `${item.action === 'cancel' ? '取消交易' : '加速交易'} · ${label}`;
+        }
+        badge.textContent = label;
+        badge.title = item.transactionHash;
+        statusRow.appendChild(badge);
+        
+        // 离线签名的交易需要在签名设备上重新签名，不提供加速和取消
+        if (item.status === 'pending' && !item.offline) {
+            const actions = [
+                { text: '加速', handler: handlers.onSpeedUp },
+                { text: '取消', handler: handlers.onCancel }
+            ];
+            actions.filter(action => action.handler).forEach(action => {
+                const button = document.createElement('button');
+                button.className = 'secondary-btn tx-action-btn';
+                button.textContent = action.text;
+                button.addEventListener('click', (e) => {
+                    // 不触发历史记录项的点击
+                    e.stopPropagation();
+                    action.handler(item.id);
+                });
+                statusRow.appendChild(button);
+            });
+        }
+        
+        return statusRow;
+    }
+    
     /**
      * 缩短地址显示
      * @param {string} address - 完整地址
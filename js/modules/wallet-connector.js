@@ -30,6 +30,12 @@ export class MetaMaskConnector {
             // 链变更事件
             window.ethereum.on('chainChanged', (chainId) => {
                 this.currentChainId = chainId;
+                
+                // ethers的Web3Provider在网络变化后不可继续使用，需要重新创建
+                if (this.provider) {
+                    this.provider = new ethers.providers.Web3Provider(window.ethereum);
+                    this.signer = this.provider.getSigner();
+                }
                 this.callbacks.onChainChanged(chainId);
                 console.log(`Chain changed to: ${chainId}`);
             });
@@ -167,6 +173,17 @@ export class MetaMaskConnector {
         return this.currentAddress;
     }
     
+    /**
+     * 获取当前账户的原生币余额
+     * @returns {Promise<BigNumber|null>} 余额（wei），未连接时返回null
+     */
+    async getBalance() {
+        if (!this.provider || !this.currentAddress) {
+            return null;
+        }
+        return this.provider.getBalance(this.currentAddress);
+    }
+    
     /**
      * 获取当前链ID
      */
@@ -177,8 +194,9 @@ export class MetaMaskConnector {
     /**
      * 切换网络
      * @param {string} chainId - 链ID，十六进制字符串，例如 "0x1" 表示以太坊主网
+     * @param {Object} addChainParams - 钱包中不存在该网络时用于wallet_addEthereumChain的参数（可选）
      */
-    async switchChain(chainId) {
+    async switchChain(chainId, addChainParams = null) {
         if (!window.ethereum) {
             throw new Error('MetaMask未安装');
         }
@@ -190,8 +208,24 @@ export class MetaMaskConnector {
             });
             return true;
         } catch (error) {
-            // 如果链不存在，可能需要添加网络
+            // 4902表示钱包中不存在该网络，部分移动端钱包会把错误码放在originalError中
+            const errorCode = error.code === 4902
+                ? error.code
+                : error.data && error.data.originalError && error.data.originalError.code;
+            
+            if (errorCode === 4902 && addChainParams) {
+                console.log(`钱包中不存在网络 ${chainId}，尝试添加`);
+                await window.ethereum.request({
+                    method: 'wallet_addEthereumChain',
+                    params: [addChainParams],
+                });
+                return true;
+            }
+            
             console.error('切换网络失败:', error);
+            if (errorCode === 4902) {
+                throw new Error(`钱包中不存在链ID为 ${parseInt(chainId, 16)} 的网络，请先在网络管理中配置RPC地址`);
+            }
             throw error;
         }
     }
@@ -0,0 +1,638 @@
+/**
+ * 工作区模块
+ * 将ABI、地址簿、网络和RPC设置、交易历史、批量交易导出为一个带版本号的工作区文件，
+ * 导入时按结构校验，可合并或替换并报告冲突。文件格式见README“工作区文件格式”
+ */
+export class WorkspaceManager {
+    constructor(options = {}) {
+        this.format = 'evm-contract-tool-workspace';
+        this.version = 1;
+        
+        // 本地没有保存网络列表时，以注册表中的默认网络为准
+        this.getChains = options.getChains || (() => ({}));
+        
+        // 交易历史超出数量时的裁剪规则，与HistoryManager一致
+        this.trimHistory = options.trimHistory || (items => items);
+        
+        // 各模块自己的校验规则，导入的条目逐个校验，失败的条目被跳过并在报告中列出
+        this.normalizeChain = options.normalizeChain || (chain => chain);
+        this.normalizeAddressEntry = options.normalizeAddressEntry || (entry => entry);
+        this.parseAbi = options.parseAbi || (content => JSON.parse(content));
+        this.normalizeHistoryItem = options.normalizeHistoryItem || (item => item);
+        this.normalizeRpcEndpoint = options.normalizeRpcEndpoint || ((chainId, url) => ({ chainId, url }));
+        this.normalizeChainId = options.normalizeChainId || (chainId => chainId);
+        this.normalizeBatchStep = options.normalizeBatchStep || (step => step);
+        
+        // 工作区分为若干部分，每部分包含一个或多个数据字段，字段名 -> 本地存储键
+        this.sections = [
+            { id: 'abis', label: 'ABI', fields: { abis: 'saved_abis', abiMetadata: 'saved_abi_metadata', abiLibrary: 'saved_abi_library' } },
+            { id: 'addressBook', label: '地址簿', fields: { addressBook: 'address_book' } },
+            { id: 'chains', label: '网络和RPC设置', fields: { chains: 'chain_registry', rpcSettings: 'rpc_settings' } },
+            { id: 'history', label: '交易历史', fields: { history: 'tx_history' } },
+            { id: 'batches', label: '批量交易', fields: { batches: 'saved_batches' } }
+        ];
+        
+        // 导入模式
+        this.importModes = {
+            merge: '合并，冲突时保留本地数据',
+            overwrite: '合并，冲突时使用导入的数据',
+            replace: '替换所选部分'
+        };
+        
+        // 校验错误信息中的类型名称
+        this.typeNames = { object: '对象', array: '数组', string: '字符串', number: '数字', integer: '整数', boolean: '布尔值', null: 'null' };
+        
+        // 工作区文件结构（JSON Schema子集：type、const、minimum、required、properties、additionalProperties、items）
+        const nullable = (type) => ({ type: [type, 'null'] });
+        this.schema = {
+            type: 'object',
+            required: ['format', 'version', 'data'],
+            properties: {
+                format: { const: this.format },
+                version: { type: 'integer', minimum: 1 },
+                exportedAt: { type: 'string' },
+                data: {
+                    type: 'object',
+                    properties: {
+                        abis: { type: 'object', additionalProperties: { type: 'string' } },
+                        abiMetadata: { type: 'object', additionalProperties: { type: 'object' } },
+                        abiLibrary: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['tags', 'versions'],
+                                properties: {
+                                    tags: { type: 'array', items: { type: 'string' } },
+                                    updatedAt: nullable('number'),
+                                    versions: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['content'],
+                                            properties: { content: { type: 'string' }, savedAt: nullable('number') }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        addressBook: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'address'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    name: { type: 'string' },
+                                    chainId: nullable('string'),
+                                    address: { type: 'string' },
+                                    abiName: nullable('string'),
+                                    abi: nullable('array'),
+                                    notes: { type: 'string' }
+                                }
+                            }
+                        },
+                        chains: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['chainId', 'name', 'nativeCurrency'],
+                                properties: {
+                                    chainId: { type: 'string' },
+                                    name: { type: 'string' },
+                                    nativeCurrency: {
+                                        type: 'object',
+                                        required: ['name', 'symbol', 'decimals'],
+                                        properties: { name: { type: 'string' }, symbol: { type: 'string' }, decimals: { type: 'integer', minimum: 0 } }
+                                    },
+                                    rpcUrls: { type: 'array', items: { type: 'string' } },
+                                    explorerUrl: { type: 'string' }
+                                }
+                            }
+                        },
+                        rpcSettings: {
+                            type: 'object',
+                            properties: {
+                                endpoints: { type: 'object', additionalProperties: { type: 'string' } },
+                                readChainId: { type: 'string' }
+                            }
+                        },
+                        history: {
+                            type: 'array',
+                            items: { type: 'object', required: ['timestamp'], properties: { id: { type: 'string' }, timestamp: { type: 'number' } } }
+                        },
+                        batches: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['steps'],
+                                properties: {
+                                    savedAt: { type: 'number' },
+                                    steps: { type: 'array', items: { type: 'object', required: ['address', 'signature'] } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+    }
+    
+    /**
+     * 导出工作区
+     * @param {Array} sectionIds - 要导出的部分，默认全部
+     * @returns {Object} 工作区文件内容
+     */
+    exportWorkspace(sectionIds = this.sections.map(section => section.id)) {
+        const data = {};
+        this.sections
+            .filter(section => sectionIds.includes(section.id))
+            .forEach(section => {
+                Object.entries(section.fields).forEach(([field, storageKey]) => {
+                    const value = this._readStorage(storageKey);
+                    if (value !== null) {
+                        data[field] = value;
+                    }
+                });
+            });
+        
+        return {
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+    
+    /**
+     * 解析并校验工作区文件
+     * 先按结构校验整个文件，再用各模块的规则逐个校验条目，无效条目从data中移除并记录在skipped中
+     * @param {string} content - 文件内容
+     * @returns {Object} 工作区文件内容，附带skipped: [{ section, description }]
+     */
+    parseWorkspace(content) {
+        let workspace;
+        try {
+            workspace = JSON.parse(content);
+        } catch (error) {
+            throw new Error('工作区文件不是有效的JSON');
+        }
+        
+        if (workspace && typeof workspace.version === 'number' && workspace.version > this.version) {
+            throw new Error(`工作区文件版本为${workspace.version}，当前只支持版本${this.version}，请先升级本工具`);
+        }
+        
+        const errors = this.validate(workspace);
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? `\n...共${errors.length}处错误` : '';
+            throw new Error(`工作区文件格式无效:\n${errors.slice(0, 5).join('\n')}${more}`);
+        }
+        
+        workspace.skipped = this._removeInvalidItems(workspace.data);
+        return workspace;
+    }
+    
+    /**
+     * 按工作区结构校验数据
+     * @param {*} value - 待校验的数据
+     * @param {Object} schema - 结构定义，默认为工作区文件结构
+     * @param {string} path - 当前路径，用于错误信息
+     * @returns {Array<string>} 错误信息列表，为空表示有效
+     */
+    validate(value, schema = this.schema, path = '$') {
+        const errors = [];
+        
+        if (schema.const !== undefined && value !== schema.const) {
+            errors.push(`${path}: 应为 ${JSON.stringify(schema.const)}`);
+            return errors;
+        }
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this._isType(value, type))) {
+                errors.push(`${path}: 应为${types.map(type => this.typeNames[type] || type).join('或')}`);
+                return errors;
+            }
+        }
+        if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+            errors.push(`${path}: 不能小于${schema.minimum}`);
+        }
+        
+        if (this._isType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key}: 缺少必填字段`);
+                }
+            });
+            Object.entries(value).forEach(([key, item]) => {
+                const itemSchema = schema.properties && schema.properties[key] ? schema.properties[key] : schema.additionalProperties;
+                if (itemSchema && item !== undefined) {
+                    errors.push(...this.validate(item, itemSchema, `${path}.${key}`));
+                }
+            });
+        }
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+        return errors;
+    }
+    
+    /**
+     * 获取工作区文件中包含的部分
+     * @param {Object} workspace - 工作区文件内容
+     * @returns {Array} [{ id, label }]
+     */
+    getIncludedSections(workspace) {
+        return this.sections
+            .filter(section => Object.keys(section.fields).some(field => workspace.data[field] !== undefined))
+            .map(({ id, label }) => ({ id, label }));
+    }
+    
+    /**
+     * 计算导入结果，不写入本地存储
+     * @param {Object} workspace - 已校验的工作区文件内容
+     * @param {Object} options - { mode: 'merge'|'overwrite'|'replace', sections: 要导入的部分，默认为文件中的全部 }
+     * @returns {Object} { changes: { 存储键: 新值 }, report: [{ id, label, replaced, added, removed, updated, unchanged, conflicts: [描述], skipped: [描述] }] }
+     *     替换模式下added为导入的条目数量，removed为被替换的本地条目数量
+     */
+    planImport(workspace, { mode = 'merge', sections = null } = {}) {
+        if (!this.importModes[mode]) {
+            throw new Error(`未知的导入模式: ${mode}`);
+        }
+        
+        const data = workspace.data;
+        const included = this.getIncludedSections(workspace).map(section => section.id);
+        const selected = (sections || included).filter(id => included.includes(id));
+        const changes = {};
+        const report = [];
+        
+        this.sections.filter(section => selected.includes(section.id)).forEach(section => {
+            const stats = { id: section.id, label: section.label, replaced: mode === 'replace', added: 0, removed: 0, updated: 0, unchanged: 0, conflicts: [] };
+            stats.skipped = (workspace.skipped || [])
+                .filter(item => item.section === section.id)
+                .map(item => item.description);
+            const local = {};
+            Object.entries(section.fields).forEach(([field, storageKey]) => {
+                local[field] = this._readStorage(storageKey);
+            });
+            
+            const merged = mode === 'replace'
+                ? this._replaceSection(section, local, data, stats)
+                : this._mergeSection(section, local, data, mode === 'overwrite', stats);
+            
+            Object.entries(merged).forEach(([field, value]) => {
+                changes[section.fields[field]] = value;
+            });
+            report.push(stats);
+        });
+        
+        return { changes, report };
+    }
+    
+    /**
+     * 将导入结果写入本地存储，写入后需要重新加载页面使各模块读取新数据
+     * @param {Object} plan - planImport()的返回值
+     */
+    applyImport(plan) {
+        Object.entries(plan.changes).forEach(([storageKey, value]) => {
+            localStorage.setItem(storageKey, JSON.stringify(value));
+        });
+        console.log(`工作区已导入: ${Object.keys(plan.changes).join(', ')}`);
+    }
+    
+    /**
+     * 将导入报告格式化为文本
+     * @param {Array} report - planImport()返回的report
+     * @returns {string} 报告文本
+     */
+    formatReport(report) {
+        return report.map(stats => {
+            const lines = [stats.replaced
+                ? `${stats.label}: 替换为导入的${stats.added}项，本地${stats.removed}项将被删除`
+                : `${stats.label}: 新增${stats.added}项，更新${stats.updated}项，未变化${stats.unchanged}项`];
+            stats.conflicts.forEach(conflict => lines.push(`  冲突: ${conflict}`));
+            (stats.skipped || []).forEach(description => lines.push(`  已跳过无效条目: ${description}`));
+            return lines.join('\n');
+        }).join('\n');
+    }
+    
+    /**
+     * 用各模块的规则校验导入的条目，移除无效条目
+     * @param {Object} data - 已通过结构校验的data字段，会被原地修改
+     * @returns {Array} 被移除的条目 [{ section, description }]
+     * @private
+     */
+    _removeInvalidItems(data) {
+        const skipped = [];
+        const check = (section, description, validate) => {
+            try {
+                return validate();
+            } catch (error) {
+                skipped.push({ section, description: `${description}（${error.message}）` });
+                return undefined;
+            }
+        };
+        
+        // ABI内容必须能被AbiManager解析，无效ABI的附加信息和库信息一并移除
+        Object.entries(data.abis || {}).forEach(([name, content]) => {
+            if (check('abis', `ABI ${name}`, () => this.parseAbi(content)) === undefined) {
+                delete data.abis[name];
+                [data.abiMetadata, data.abiLibrary].forEach(field => {
+                    if (field) delete field[name];
+                });
+            }
+        });
+        Object.entries(data.abiLibrary || {}).forEach(([name, info]) => {
+            info.versions = info.versions.filter((version, index) =>
+                check('abis', `ABI ${name} 的历史版本${index + 1}`, () => this.parseAbi(version.content)) !== undefined
+            );
+        });
+        
+        // 地址簿条目按AddressBook的规则规范化地址和链ID
+        if (data.addressBook) {
+            data.addressBook = data.addressBook.reduce((result, entry) => {
+                const normalized = check('addressBook', `地址簿条目 ${entry.name || entry.address}`, () => {
+                    const value = this.normalizeAddressEntry(entry);
+                    if (value.abi) {
+                        this.parseAbi(JSON.stringify(value.abi));
+                    }
+                    return value;
+                });
+                if (normalized) result.push(normalized);
+                return result;
+            }, []);
+        }
+        
+        // 交易历史按HistoryManager的规则校验，记录会被渲染到页面并用于跟踪交易状态
+        if (data.history) {
+            data.history = data.history.filter(item => check('history', `交易历史 ${item.id || ''} (${new Date(item.timestamp).toLocaleString()})`,
+                () => this.normalizeHistoryItem(item)) !== undefined);
+        }
+        
+        // 网络按ChainRegistry的规则校验，键必须与规范化后的链ID一致
+        Object.entries(data.chains || {}).forEach(([key, chain]) => {
+            const normalized = check('chains', `网络 ${chain.name} (${key})`, () => {
+                const value = this.normalizeChain(chain);
+                if (value.chainId !== key) {
+                    throw new Error(`键与链ID ${value.chainId} 不一致`);
+                }
+                return value;
+            });
+            if (normalized) {
+                data.chains[key] = normalized;
+            } else {
+                delete data.chains[key];
+            }
+        });
+        
+        // RPC节点按ProviderManager的规则校验，链ID统一为十六进制
+        if (data.rpcSettings) {
+            const endpoints = {};
+            Object.entries(data.rpcSettings.endpoints || {}).forEach(([chainId, url]) => {
+                const endpoint = check('chains', `RPC节点 ${chainId}`, () => this.normalizeRpcEndpoint(chainId, url));
+                if (endpoint) endpoints[endpoint.chainId] = endpoint.url;
+            });
+            data.rpcSettings.endpoints = endpoints;
+            if (data.rpcSettings.readChainId) {
+                data.rpcSettings.readChainId = check('chains', `只读调用网络 ${data.rpcSettings.readChainId}`,
+                    () => this.normalizeChainId(data.rpcSettings.readChainId)) || '';
+            }
+        }
+        
+        // 批次中任一步骤无效时整个批次被跳过，避免执行时缺少步骤
+        Object.entries(data.batches || {}).forEach(([name, batch]) => {
+            const steps = check('batches', `批次 ${name}`, () => batch.steps.map((step, index) => {
+                try {
+                    return this.normalizeBatchStep(step);
+                } catch (error) {
+                    throw new Error(`步骤${index + 1}: ${error.message}`);
+                }
+            }));
+            if (steps) {
+                batch.steps = steps;
+            } else {
+                delete data.batches[name];
+            }
+        });
+        
+        return skipped;
+    }
+    
+    /**
+     * 用导入的数据替换一个部分，文件中缺少的字段保持本地数据不变
+     * ABI的附加信息和库信息依附于ABI内容，替换ABI时一并替换，只保留导入的ABI名称对应的条目
+     * @private
+     */
+    _replaceSection(section, local, data, stats) {
+        const result = {};
+        const count = (value) => Array.isArray(value) ? value.length : Object.keys(value || {}).length;
+        Object.keys(section.fields).forEach(field => {
+            if (data[field] !== undefined) {
+                result[field] = data[field];
+            }
+        });
+        
+        if (section.id === 'abis' && data.abis !== undefined) {
+            ['abiMetadata', 'abiLibrary'].forEach(field => {
+                result[field] = Object.fromEntries(
+                    Object.entries(data[field] || {}).filter(([name]) => data.abis[name] !== undefined)
+                );
+            });
+        }
+        
+        // 以每部分的第一个字段统计条目数量，RPC设置按节点数量统计
+        const primaryField = Object.keys(section.fields)[0];
+        if (data[primaryField] !== undefined) {
+            stats.added += count(data[primaryField]);
+            stats.removed += count(local[primaryField]);
+        }
+        if (data.rpcSettings && section.id === 'chains') {
+            stats.added += count(data.rpcSettings.endpoints);
+            stats.removed += count(local.rpcSettings ? local.rpcSettings.endpoints : null);
+        }
+        return result;
+    }
+    
+    /**
+     * 合并一个部分
+     * @private
+     */
+    _mergeSection(section, local, data, preferImported, stats) {
+        switch (section.id) {
+            case 'abis':
+                return this._mergeAbis(local, data, preferImported, stats);
+            case 'addressBook':
+                return data.addressBook ? {
+                    addressBook: this._mergeList(local.addressBook || [], data.addressBook,
+                        entry => `${entry.chainId || ''}:${entry.address.toLowerCase()}`,
+                        entry => `${entry.name} (${entry.address})`, preferImported, stats)
+                } : {};
+            case 'chains': {
+                const result = {};
+                if (data.chains) {
+                    result.chains = this._mergeMap(local.chains || {}, data.chains, key => `网络 ${data.chains[key].name} (${parseInt(key, 16)})`, preferImported, stats);
+                }
+                if (data.rpcSettings) {
+                    const localSettings = local.rpcSettings || { endpoints: {}, readChainId: '' };
+                    result.rpcSettings = {
+                        ...localSettings,
+                        endpoints: this._mergeMap(localSettings.endpoints || {}, data.rpcSettings.endpoints || {}, key => `RPC节点 ${parseInt(key, 16)}`, preferImported, stats),
+                        readChainId: localSettings.readChainId || data.rpcSettings.readChainId || ''
+                    };
+                }
+                return result;
+            }
+            case 'history': {
+                if (!data.history) return {};
+                const history = this._mergeList(local.history || [], data.history,
+                    item => item.id || `${item.timestamp}:${item.transactionHash || item.function || ''}`,
+                    item => `${item.function || '交易'} (${new Date(item.timestamp).toLocaleString()})`, preferImported, stats);
+                return { history: this.trimHistory(history.sort((a, b) => b.timestamp - a.timestamp)) };
+            }
+            case 'batches':
+                return data.batches ? {
+                    batches: this._mergeMap(local.batches || {}, data.batches, key => `批次 ${key}`, preferImported, stats)
+                } : {};
+            default:
+                return {};
+        }
+    }
+    
+    /**
+     * 合并ABI，附加信息和ABI库信息跟随ABI内容一起保留或替换
+     * @private
+     */
+    _mergeAbis(local, data, preferImported, stats) {
+        const abis = { ...(local.abis || {}) };
+        const metadata = { ...(local.abiMetadata || {}) };
+        const library = { ...(local.abiLibrary || {}) };
+        
+        Object.entries(data.abis || {}).forEach(([name, content]) => {
+            const exists = abis[name] !== undefined;
+            if (exists && this._sameJson(abis[name], content)) {
+                stats.unchanged++;
+                return;
+            }
+            if (exists) {
+                stats.conflicts.push(`ABI ${name} 内容不同，${preferImported ? '已使用导入的版本' : '已保留本地版本'}`);
+                if (!preferImported) return;
+                stats.updated++;
+            } else {
+                stats.added++;
+            }
+            
+            abis[name] = content;
+            [[metadata, data.abiMetadata], [library, data.abiLibrary]].forEach(([target, source]) => {
+                if (source && source[name]) {
+                    target[name] = source[name];
+                } else {
+                    delete target[name];
+                }
+            });
+        });
+        
+        return { abis, abiMetadata: metadata, abiLibrary: library };
+    }
+    
+    /**
+     * 按键合并对象，键相同且内容不同时视为冲突
+     * @private
+     */
+    _mergeMap(local, incoming, describe, preferImported, stats) {
+        const result = { ...local };
+        Object.entries(incoming).forEach(([key, value]) => {
+            if (result[key] === undefined) {
+                result[key] = value;
+                stats.added++;
+            } else if (JSON.stringify(result[key]) === JSON.stringify(value)) {
+                stats.unchanged++;
+            } else {
+                stats.conflicts.push(`${describe(key)} 内容不同，${preferImported ? '已使用导入的数据' : '已保留本地数据'}`);
+                if (preferImported) {
+                    result[key] = value;
+                    stats.updated++;
+                }
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * 按标识合并数组，标识相同且内容不同时视为冲突
+     * @private
+     */
+    _mergeList(local, incoming, keyOf, describe, preferImported, stats) {
+        const result = [...local];
+        const indexByKey = new Map(result.map((item, index) => [keyOf(item), index]));
+        
+        incoming.forEach(item => {
+            const key = keyOf(item);
+            if (!indexByKey.has(key)) {
+                indexByKey.set(key, result.length);
+                result.push(item);
+                stats.added++;
+                return;
+            }
+            
+            const index = indexByKey.get(key);
+            if (JSON.stringify(result[index]) === JSON.stringify(item)) {
+                stats.unchanged++;
+            } else {
+                stats.conflicts.push(`${describe(item)} 内容不同，${preferImported ? '已使用导入的数据' : '已保留本地数据'}`);
+                if (preferImported) {
+                    result[index] = item;
+                    stats.updated++;
+                }
+            }
+        });
+        return result;
+    }
+    
+    /**
+     * 比较两个JSON字符串的内容是否相同（忽略格式差异）
+     * @private
+     */
+    _sameJson(a, b) {
+        try {
+            return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+        } catch (error) {
+            return a === b;
+        }
+    }
+    
+    /**
+     * 判断值是否符合结构定义中的类型
+     * @private
+     */
+    _isType(value, type) {
+        switch (type) {
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === type;
+        }
+    }
+    
+    /**
+     * 读取本地存储中的JSON数据，不存在或无法解析时返回null
+     * 网络列表未保存过时返回注册表中的默认网络
+     * @private
+     */
+    _readStorage(storageKey) {
+        try {
+            const stored = localStorage.getItem(storageKey);
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (error) {
+            console.error(`读取本地数据失败: ${storageKey}`, error);
+        }
+        return storageKey === 'chain_registry' ? this.getChains() : null;
+    }
+}